@@ -0,0 +1,126 @@
+/**
+ * Phantom IRC WebSocket Bridge
+ *
+ * Small Node.js relay for IRC servers without WebSocket support.
+ * The browser opens ws://bridge/?host=irc.libera.chat&port=6697&tls=1 and
+ * every WebSocket text frame is relayed as one IRC line over TCP (or TLS).
+ *
+ * Usage: npm run bridge
+ *   PHANTOM_BRIDGE_HOST  - Listen address (default: 127.0.0.1; 0.0.0.0 for all interfaces)
+ *   PHANTOM_BRIDGE_PORT  - Listen port (default: 8067)
+ *   PHANTOM_BRIDGE_ALLOW - Comma-separated ircd hosts allowed, on any port
+ *                          (default: any host, but only on IRC ports)
+ *   PHANTOM_BRIDGE_CERT  - PEM client certificate for SASL EXTERNAL over TLS
+ *   PHANTOM_BRIDGE_KEY   - PEM private key for PHANTOM_BRIDGE_CERT
+ */
+
+import fs from 'fs';
+import net from 'net';
+import tls from 'tls';
+import { WebSocketServer } from 'ws';
+
+const HOST = process.env.PHANTOM_BRIDGE_HOST || '127.0.0.1';
+const PORT = Number(process.env.PHANTOM_BRIDGE_PORT) || 8067;
+const ALLOWED_HOSTS = (process.env.PHANTOM_BRIDGE_ALLOW || '')
+  .split(',')
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// Browsers can't hand a client certificate to the bridge, so it holds one itself
+const CLIENT_CERT = process.env.PHANTOM_BRIDGE_CERT && process.env.PHANTOM_BRIDGE_KEY
+  ? {
+      cert: fs.readFileSync(process.env.PHANTOM_BRIDGE_CERT),
+      key: fs.readFileSync(process.env.PHANTOM_BRIDGE_KEY)
+    }
+  : {};
+
+// Without an allow list the bridge only dials ports ircds listen on, so it
+// can't be used to reach web servers, databases and the like
+const IRC_PORTS = new Set([6660, 6661, 6662, 6663, 6664, 6665, 6666, 6667, 6668, 6669, 6679, 6697, 7000, 7070]);
+
+/**
+ * Parse the target ircd from the WebSocket request URL
+ * @param {string} requestUrl - Request path and query
+ * @returns {Object|null} { host, port, tls } or null if invalid
+ */
+function parseTarget(requestUrl) {
+  const url = new URL(requestUrl, 'ws://bridge');
+  const host = url.searchParams.get('host');
+  const secure = url.searchParams.get('tls') === '1';
+  const port = Number(url.searchParams.get('port')) || (secure ? 6697 : 6667);
+
+  if (!host || port < 1 || port > 65535) {
+    return null;
+  }
+  if (ALLOWED_HOSTS.length > 0 ? !ALLOWED_HOSTS.includes(host.toLowerCase()) : !IRC_PORTS.has(port)) {
+    return null;
+  }
+
+  return { host, port, tls: secure };
+}
+
+/**
+ * Relay one WebSocket client to its ircd
+ * @param {WebSocket} ws - Browser connection
+ * @param {Object} target - { host, port, tls }
+ */
+function relay(ws, target) {
+  const socket = target.tls
+    ? tls.connect({ host: target.host, port: target.port, servername: target.host, ...CLIENT_CERT })
+    : net.connect({ host: target.host, port: target.port });
+
+  let buffer = '';
+  socket.setEncoding('utf8');
+
+  socket.on('data', (data) => {
+    buffer += data;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line && ws.readyState === ws.OPEN) {
+        ws.send(line);
+      }
+    }
+  });
+
+  ws.on('message', (data) => {
+    // One frame may carry several lines; never let a stray CR/LF through
+    for (const line of data.toString().split(/\r?\n/)) {
+      if (line) {
+        socket.write(line + '\r\n');
+      }
+    }
+  });
+
+  socket.on('error', (error) => {
+    console.error(`[bridge] ${target.host}:${target.port} - ${error.message}`);
+    ws.close(1011, 'IRC connection failed');
+  });
+
+  socket.on('close', () => ws.close());
+  ws.on('close', () => socket.destroy());
+}
+
+const wss = new WebSocketServer({
+  host: HOST,
+  port: PORT,
+  // irc-framework asks for the IRCv3 text subprotocol
+  handleProtocols: (protocols) => protocols.has('text.ircv3.net') ? 'text.ircv3.net' : false
+});
+
+wss.on('connection', (ws, request) => {
+  const target = parseTarget(request.url);
+  if (!target) {
+    ws.close(1008, 'Invalid or disallowed IRC server');
+    return;
+  }
+
+  console.log(`[bridge] ${request.socket.remoteAddress} -> ${target.host}:${target.port}${target.tls ? ' (tls)' : ''}`);
+  relay(ws, target);
+});
+
+console.log(`👻 Phantom IRC bridge listening on ws://${HOST}:${PORT}`);
+if (ALLOWED_HOSTS.length === 0) {
+  console.log('[bridge] No PHANTOM_BRIDGE_ALLOW list: relaying to any host, IRC ports only');
+}
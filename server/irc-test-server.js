@@ -0,0 +1,1340 @@
+/**
+ * Phantom IRC Test Server
+ *
+ * A small in-process ircd so PhantomIRCClient can be exercised end to end on
+ * localhost, with no outside network. It speaks enough of RFC 1459 and IRCv3
+ * for the client: registration, CAP, SASL PLAIN/EXTERNAL, JOIN/PART, PRIVMSG/NOTICE,
+ * TAGMSG, NAMES, TOPIC, KICK, MODE, NICK, WHO/WHOIS, AWAY, INVITE, LIST and
+ * CHATHISTORY (channels only). Other users can be scripted without a socket,
+ * and faults (dropped links, error numerics, a server gone silent) can be
+ * injected at any point.
+ *
+ * In a test:
+ *   const server = new IRCTestServer({ accounts: { tester: 'secret' } });
+ *   const { port } = await server.listen();
+ *   client.connect({ host: '127.0.0.1', port, nick: 'tester' });
+ *   await server.waitFor(/^USER /);
+ *   server.join('bob', '#test');            // Scripted user, no socket
+ *   server.say('bob', '#test', 'hi there');
+ *   server.failNext('JOIN', 474);           // Next JOIN is refused (+b)
+ *   server.disconnect('tester');            // Drop the client's link
+ *   await server.close();
+ *
+ * Standalone (point WebSocket or bridge mode at it): npm run test-server
+ *   PHANTOM_TEST_PORT    - TCP listen port (default: 6667)
+ *   PHANTOM_TEST_WS_PORT - IRC-over-WebSocket port (default: 8097)
+ *   PHANTOM_TEST_VERBOSE - Log every line clients send
+ */
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+
+const SERVER_NAME = 'phantom.test';
+const NETWORK_NAME = 'PhantomTest';
+const VERSION = 'phantom-test-ircd';
+
+// Capabilities offered in CAP LS (options.caps replaces the list)
+export const DEFAULT_CAPS = [
+  'account-notify',
+  'account-tag',
+  'away-notify',
+  'batch',
+  'cap-notify',
+  'draft/chathistory',
+  'echo-message',
+  'extended-join',
+  'invite-notify',
+  'labeled-response',
+  'message-tags',
+  'multi-prefix',
+  'sasl',
+  'server-time',
+  'userhost-in-names'
+];
+
+// Commands allowed before registration completes
+const PRE_REGISTRATION = ['CAP', 'PASS', 'NICK', 'USER', 'AUTHENTICATE', 'PING', 'PONG', 'QUIT'];
+
+// Text sent with an error numeric when none is given
+const NUMERIC_TEXT = {
+  401: 'No such nick/channel',
+  403: 'No such channel',
+  404: 'Cannot send to channel',
+  421: 'Unknown command',
+  432: 'Erroneous nickname',
+  433: 'Nickname is already in use',
+  441: 'They aren\'t on that channel',
+  442: 'You\'re not on that channel',
+  451: 'You have not registered',
+  461: 'Not enough parameters',
+  464: 'Password incorrect',
+  465: 'You are banned from this server',
+  471: 'Cannot join channel (+l)',
+  473: 'Cannot join channel (+i)',
+  474: 'Cannot join channel (+b)',
+  475: 'Cannot join channel (+k)',
+  477: 'You need to be identified to a registered account to join this channel',
+  482: 'You\'re not channel operator',
+  904: 'SASL authentication failed'
+};
+
+// Channel modes: prefixes (with a nick), and flags that take an argument when set
+const PREFIX_MODES = { o: '@', v: '+' };
+const ARG_MODES = ['k', 'l'];
+const FLAG_MODES = ['i', 'm', 'n', 't'];
+
+const NICK_PATTERN = /^[A-Za-z[\]\\`_^{|}][A-Za-z0-9[\]\\`_^{|}-]{0,29}$/;
+
+/**
+ * Split a raw IRC line into its parts
+ * @param {string} line - Without CR/LF
+ * @returns {Object} { tags, prefix, command, params }
+ */
+export function parseLine(line) {
+  let rest = line;
+  const tags = {};
+
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    rest.slice(1, end).split(';').forEach(pair => {
+      const eq = pair.indexOf('=');
+      const key = eq === -1 ? pair : pair.slice(0, eq);
+      tags[key] = eq === -1 ? '' : unescapeTag(pair.slice(eq + 1));
+    });
+    rest = rest.slice(end + 1).trimStart();
+  }
+
+  let prefix = null;
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1).trimStart();
+  }
+
+  const trailingAt = rest.indexOf(' :');
+  const head = trailingAt === -1 ? rest : rest.slice(0, trailingAt);
+  const params = head.split(' ').filter(Boolean);
+  const command = (params.shift() || '').toUpperCase();
+  if (trailingAt !== -1) {
+    params.push(rest.slice(trailingAt + 2));
+  }
+
+  return { tags, prefix, command, params };
+}
+
+/**
+ * Build a raw IRC line
+ * @param {Object} message - { tags, prefix, command, params }
+ * @returns {string} Without CR/LF
+ */
+export function formatLine({ tags = {}, prefix = null, command, params = [] }) {
+  const tagText = Object.entries(tags)
+    .map(([key, value]) => (value === '' || value === true ? key : `${key}=${escapeTag(String(value))}`))
+    .join(';');
+
+  const parts = params.map((param, i) => {
+    const text = String(param);
+    const last = i === params.length - 1;
+    return last && (text === '' || text.includes(' ') || text.startsWith(':')) ? `:${text}` : text;
+  });
+
+  return [tagText && `@${tagText}`, prefix && `:${prefix}`, command, ...parts].filter(Boolean).join(' ');
+}
+
+function escapeTag(value) {
+  return value.replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function unescapeTag(value) {
+  const escapes = { ':': ';', s: ' ', r: '\r', n: '\n', '\\': '\\' };
+  return value.replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+}
+
+/**
+ * In-process IRC server for tests
+ * Emits 'line' ({ nick, line }) for every line a client sends,
+ * 'connection' (conn) and 'registered' (conn)
+ */
+class IRCTestServer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.caps - Capabilities to offer (default: DEFAULT_CAPS)
+   * @param {Object} options.accounts - SASL PLAIN accounts, { account: password }
+   * @param {Object} options.externalAccounts - SASL EXTERNAL accounts, { nick: account }
+   *   (stands in for client certificates: the test server has no TLS)
+   * @param {string} options.password - Server password (PASS) required to register
+   * @param {string[]} options.motd - MOTD lines (null: no MOTD, sends 422)
+   * @param {number} options.replayOnJoin - Send this much channel history on JOIN (default: 0)
+   * @param {Function} options.now - Clock for server-time (default: Date.now)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      caps: DEFAULT_CAPS,
+      accounts: {},
+      externalAccounts: {},
+      password: null,
+      motd: ['Phantom IRC test server - nothing here is real'],
+      replayOnJoin: 0,
+      now: Date.now,
+      ...options
+    };
+    this.users = new Map();
+    this.channels = new Map();
+    this.connections = new Set();
+    this.faults = [];
+    this.log = [];
+    this.silent = false;
+    this.msgidCounter = 0;
+    this.batchCounter = 0;
+    this.tcpServer = null;
+    this.wsServer = null;
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {Object} options
+   * @param {number} options.port - TCP port (default: 0, any free port)
+   * @param {number} options.wsPort - Also serve IRC over WebSocket on this port (0: any free port)
+   * @param {string} options.host - Listen address (default: '127.0.0.1')
+   * @returns {Promise<Object>} { port, wsPort }
+   */
+  async listen({ port = 0, wsPort, host = '127.0.0.1' } = {}) {
+    this.tcpServer = net.createServer(socket => this.acceptSocket(socket));
+    await new Promise((resolve, reject) => {
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(port, host, resolve);
+    });
+
+    if (wsPort !== undefined) {
+      this.wsServer = new WebSocketServer({
+        port: wsPort,
+        host,
+        // Same subprotocol handling as server/bridge.js
+        handleProtocols: (protocols) => protocols.has('text.ircv3.net') ? 'text.ircv3.net' : false
+      });
+      await new Promise((resolve, reject) => {
+        this.wsServer.once('error', reject);
+        this.wsServer.once('listening', resolve);
+      });
+      this.wsServer.on('connection', ws => this.acceptWebSocket(ws));
+    }
+
+    return {
+      port: this.tcpServer.address().port,
+      wsPort: this.wsServer ? this.wsServer.address().port : null
+    };
+  }
+
+  /**
+   * Drop every client and stop listening
+   * Channels, history and scripted users survive, so listen() again
+   * (on the same port) to test reconnects
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.connections.forEach(conn => conn.close());
+    const servers = [this.tcpServer, this.wsServer].filter(Boolean);
+    this.tcpServer = null;
+    this.wsServer = null;
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+  }
+
+  // ---- Test helpers: scripted users ----
+
+  /**
+   * Add a user who acts only when a test says so
+   * @param {string} nick
+   * @param {Object} details - { ident, host, realname, account }
+   * @returns {Object} The user
+   */
+  addUser(nick, details = {}) {
+    const existing = this.findUser(nick);
+    if (existing) {
+      return existing;
+    }
+    const user = this.createConnection(null, () => {});
+    Object.assign(user, {
+      nick,
+      ident: details.ident || nick.toLowerCase().slice(0, 9),
+      host: details.host || 'scripted.phantom.test',
+      realname: details.realname || nick,
+      account: details.account || null,
+      registered: true
+    });
+    this.users.set(this.fold(nick), user);
+    return user;
+  }
+
+  /**
+   * Run a command as a scripted user (added if needed)
+   * @param {string} nick
+   * @param {string} command - e.g. 'PRIVMSG'
+   * @param {string[]} params
+   * @param {Object} tags - Client tags, e.g. { '+draft/reply': msgid }
+   */
+  runAs(nick, command, params = [], tags = {}) {
+    this.handleCommand(this.addUser(nick), { tags, prefix: null, command, params });
+  }
+
+  join(nick, channel, key) {
+    this.runAs(nick, 'JOIN', key ? [channel, key] : [channel]);
+  }
+
+  part(nick, channel, reason = '') {
+    this.runAs(nick, 'PART', [channel, reason]);
+  }
+
+  say(nick, target, text, tags = {}) {
+    this.runAs(nick, 'PRIVMSG', [target, text], tags);
+  }
+
+  notice(nick, target, text) {
+    this.runAs(nick, 'NOTICE', [target, text]);
+  }
+
+  action(nick, target, text) {
+    this.say(nick, target, `\x01ACTION ${text}\x01`);
+  }
+
+  kick(by, channel, nick, reason = nick) {
+    this.runAs(by, 'KICK', [channel, nick, reason]);
+  }
+
+  setTopic(by, channel, topic) {
+    this.runAs(by, 'TOPIC', [channel, topic]);
+  }
+
+  setMode(by, channel, modes, ...args) {
+    this.runAs(by, 'MODE', [channel, modes, ...args]);
+  }
+
+  invite(by, nick, channel) {
+    this.runAs(by, 'INVITE', [nick, channel]);
+  }
+
+  changeNick(nick, newNick) {
+    this.runAs(nick, 'NICK', [newNick]);
+  }
+
+  setAway(nick, message = '') {
+    this.runAs(nick, 'AWAY', message ? [message] : []);
+  }
+
+  quit(nick, reason = 'Quit') {
+    this.runAs(nick, 'QUIT', [reason]);
+  }
+
+  /**
+   * Put messages into a channel's history, as if said before the test
+   * @param {string} channel
+   * @param {Object[]} messages - { from, text, time (ms), type ('privmsg'|'notice') }
+   */
+  seedHistory(channel, messages) {
+    const chan = this.getOrCreateChannel(channel);
+    messages.forEach(({ from, text, time, type = 'privmsg' }) => {
+      chan.history.push({
+        time: time ?? this.options.now(),
+        msgid: this.nextMsgid(),
+        prefix: `${from}!${from.toLowerCase().slice(0, 9)}@scripted.${SERVER_NAME}`,
+        command: type === 'notice' ? 'NOTICE' : 'PRIVMSG',
+        text,
+        tags: {}
+      });
+    });
+    chan.history.sort((a, b) => a.time - b.time);
+  }
+
+  // ---- Test helpers: faults and inspection ----
+
+  /**
+   * Answer the next matching command with an error numeric instead of running it
+   * @param {string} command - e.g. 'JOIN', 'NICK', 'PRIVMSG'
+   * @param {number} numeric - e.g. 474
+   * @param {string} text - Reason (default: the usual server text)
+   */
+  failNext(command, numeric, text) {
+    this.faults.push({ command: command.toUpperCase(), numeric, text });
+  }
+
+  /**
+   * Drop client connections, like a network failure
+   * @param {string} nick - Only this client (default: all)
+   * @param {string} error - Send ERROR :<error> first, like a server kill
+   */
+  disconnect(nick, error) {
+    this.clientConnections()
+      .filter(conn => !nick || this.fold(conn.nick || '') === this.fold(nick))
+      .forEach(conn => {
+        if (error) {
+          conn.send(formatLine({ command: 'ERROR', params: [`Closing Link: ${conn.host} (${error})`] }));
+        }
+        conn.close();
+      });
+  }
+
+  /**
+   * Stop sending anything (PONGs included), like a link that died quietly
+   * @param {boolean} silent
+   */
+  setSilent(silent) {
+    this.silent = silent;
+  }
+
+  /**
+   * Send a raw line to a client, e.g. a malformed or unusual reply
+   * @param {string} nick - Client nick (default: all)
+   * @param {string} line
+   */
+  sendRaw(nick, line) {
+    this.clientConnections()
+      .filter(conn => !nick || this.fold(conn.nick || '') === this.fold(nick))
+      .forEach(conn => conn.send(line));
+  }
+
+  /**
+   * Lines clients have sent so far
+   * @param {RegExp|string} pattern - Only matching lines (optional)
+   * @returns {string[]}
+   */
+  received(pattern) {
+    return this.log.filter(({ line }) => matches(line, pattern)).map(({ line }) => line);
+  }
+
+  /**
+   * Wait for a client to send a matching line
+   * @param {RegExp|string} pattern - Regex, or a prefix of the line
+   * @param {number} timeout - ms (default: 2000)
+   * @returns {Promise<string>} The line
+   */
+  waitFor(pattern, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+      const onLine = ({ line }) => {
+        if (matches(line, pattern)) {
+          clearTimeout(timer);
+          this.off('line', onLine);
+          resolve(line);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.off('line', onLine);
+        reject(new Error(`Timed out waiting for ${pattern}`));
+      }, timeout);
+      this.on('line', onLine);
+    });
+  }
+
+  /**
+   * Server-side view of a channel
+   * @param {string} name
+   * @returns {Object|null} { name, topic, modes, users: [{ nick, modes }] }
+   */
+  getChannel(name) {
+    const chan = this.findChannel(name);
+    if (!chan) {
+      return null;
+    }
+    return {
+      name: chan.name,
+      topic: chan.topic,
+      modes: { ...chan.modes },
+      users: [...chan.members].map(([key, modes]) => ({ nick: this.users.get(key).nick, modes: [...modes] }))
+    };
+  }
+
+  // ---- Connections ----
+
+  acceptSocket(socket) {
+    const conn = this.createConnection(
+      line => socket.write(`${line}\r\n`),
+      () => socket.destroy()
+    );
+    conn.host = socket.remoteAddress?.replace(/^::ffff:/, '') || 'localhost';
+
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.filter(Boolean).forEach(line => this.receiveLine(conn, line));
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => this.dropConnection(conn, 'Connection closed'));
+  }
+
+  acceptWebSocket(ws) {
+    const conn = this.createConnection(
+      line => ws.readyState === ws.OPEN && ws.send(line),
+      () => ws.terminate()
+    );
+    conn.host = 'websocket.localhost';
+
+    // One frame is one line, but be lenient about clients that batch them
+    ws.on('message', data => data.toString().split(/\r?\n/).filter(Boolean).forEach(line => this.receiveLine(conn, line)));
+    ws.on('error', () => {});
+    ws.on('close', () => this.dropConnection(conn, 'Connection closed'));
+  }
+
+  // A client, or a scripted user when write is null
+  createConnection(write, close) {
+    const conn = {
+      nick: null,
+      ident: null,
+      host: 'localhost',
+      realname: '',
+      account: null,
+      away: null,
+      caps: new Set(),
+      capNegotiating: false,
+      registered: false,
+      password: null,
+      sasl: null,
+      scripted: !write,
+      send: (line) => {
+        if (write && !this.silent) write(line);
+      },
+      close
+    };
+    if (write) {
+      this.connections.add(conn);
+      this.emit('connection', conn);
+    }
+    return conn;
+  }
+
+  clientConnections() {
+    return [...this.connections];
+  }
+
+  receiveLine(conn, line) {
+    this.log.push({ nick: conn.nick, line });
+    this.emit('line', { nick: conn.nick, line });
+    if (process.env.PHANTOM_TEST_VERBOSE) {
+      console.log(`[test-server] ${conn.nick || '*'} -> ${line}`);
+    }
+    this.handleCommand(conn, parseLine(line));
+  }
+
+  // The link is gone: everyone who shared a channel sees a QUIT
+  dropConnection(conn, reason) {
+    if (!this.connections.delete(conn)) {
+      return;
+    }
+    if (conn.registered) {
+      this.removeUser(conn, reason);
+    } else if (conn.nick && this.users.get(this.fold(conn.nick)) === conn) {
+      this.users.delete(this.fold(conn.nick));
+    }
+  }
+
+  removeUser(conn, reason) {
+    this.broadcastToPeers(conn, { prefix: this.source(conn), command: 'QUIT', params: [reason] });
+    this.channels.forEach(chan => chan.members.delete(this.fold(conn.nick)));
+    this.users.delete(this.fold(conn.nick));
+  }
+
+  // ---- Sending ----
+
+  /**
+   * Send one message, keeping only the tags this client negotiated
+   * @param {Object} conn
+   * @param {Object} message - { tags, prefix, command, params }
+   */
+  sendTo(conn, { tags = {}, ...message }) {
+    const allowed = {};
+    Object.entries(tags).forEach(([key, value]) => {
+      const ok = key === 'time' ? conn.caps.has('server-time')
+        : key === 'label' ? conn.caps.has('labeled-response')
+          : key === 'batch' ? conn.caps.has('batch')
+            : key === 'account' ? conn.caps.has('account-tag')
+              : conn.caps.has('message-tags');
+      if (ok && value !== undefined && value !== null) {
+        allowed[key] = value;
+      }
+    });
+    conn.send(formatLine({ ...message, tags: allowed }));
+  }
+
+  numeric(conn, code, ...params) {
+    this.sendTo(conn, {
+      prefix: SERVER_NAME,
+      command: String(code).padStart(3, '0'),
+      params: [conn.nick || '*', ...params]
+    });
+  }
+
+  // An error numeric about `subject` with its usual text
+  error(conn, code, subject, text) {
+    const params = subject === undefined ? [] : [subject];
+    this.numeric(conn, code, ...params, text || NUMERIC_TEXT[code] || 'Error');
+  }
+
+  // Everyone in the channel, optionally but one
+  broadcastToChannel(chan, message, except = null) {
+    chan.members.forEach((modes, key) => {
+      const member = this.users.get(key);
+      if (member && member !== except) {
+        this.sendTo(member, message);
+      }
+    });
+  }
+
+  // Everyone sharing a channel with conn, once each, not conn itself
+  broadcastToPeers(conn, message, filter = () => true) {
+    const key = this.fold(conn.nick);
+    const peers = new Set();
+    this.channels.forEach(chan => {
+      if (chan.members.has(key)) {
+        chan.members.forEach((modes, other) => other !== key && peers.add(this.users.get(other)));
+      }
+    });
+    peers.forEach(peer => peer && filter(peer) && this.sendTo(peer, message));
+  }
+
+  // ---- Commands ----
+
+  handleCommand(conn, message) {
+    const { command, params } = message;
+
+    if (!conn.registered && !PRE_REGISTRATION.includes(command)) {
+      this.error(conn, 451);
+      return;
+    }
+
+    // Faults are for real clients; scripted users always get through
+    const faultIndex = conn.scripted ? -1 : this.faults.findIndex(fault => fault.command === command);
+    if (faultIndex !== -1) {
+      const [fault] = this.faults.splice(faultIndex, 1);
+      this.error(conn, fault.numeric, params[0]?.split(',')[0], fault.text);
+      return;
+    }
+
+    const handler = this[`on${command}`];
+    if (!handler) {
+      this.error(conn, 421, command);
+      return;
+    }
+    handler.call(this, conn, params, message.tags);
+  }
+
+  onCAP(conn, [subcommand, ...rest]) {
+    const nick = conn.nick || '*';
+    const offered = this.options.caps.map(cap => (cap === 'sasl' ? 'sasl=PLAIN,EXTERNAL' : cap));
+
+    switch ((subcommand || '').toUpperCase()) {
+      case 'LS':
+        conn.capNegotiating = !conn.registered;
+        this.sendTo(conn, { prefix: SERVER_NAME, command: 'CAP', params: [nick, 'LS', offered.join(' ')] });
+        break;
+      case 'REQ': {
+        const requested = (rest[0] || '').split(' ').filter(Boolean);
+        const ok = requested.every(cap => this.options.caps.includes(cap.replace(/^-/, '')));
+        if (ok) {
+          requested.forEach(cap => (cap.startsWith('-') ? conn.caps.delete(cap.slice(1)) : conn.caps.add(cap)));
+        }
+        this.sendTo(conn, { prefix: SERVER_NAME, command: 'CAP', params: [nick, ok ? 'ACK' : 'NAK', requested.join(' ')] });
+        break;
+      }
+      case 'LIST':
+        this.sendTo(conn, { prefix: SERVER_NAME, command: 'CAP', params: [nick, 'LIST', [...conn.caps].join(' ')] });
+        break;
+      case 'END':
+        conn.capNegotiating = false;
+        this.tryRegister(conn);
+        break;
+      default:
+        this.error(conn, 410, subcommand, 'Invalid CAP command');
+    }
+  }
+
+  onAUTHENTICATE(conn, [data]) {
+    if (!conn.caps.has('sasl') || conn.registered) {
+      this.error(conn, 904);
+      return;
+    }
+
+    // First the mechanism, then the base64 payload in 400-byte chunks
+    if (!conn.sasl) {
+      const mechanism = (data || '').toUpperCase();
+      if (mechanism !== 'PLAIN' && mechanism !== 'EXTERNAL') {
+        this.numeric(conn, 908, 'PLAIN,EXTERNAL', 'are available SASL mechanisms');
+        this.error(conn, 904);
+        return;
+      }
+      conn.sasl = { mechanism, payload: '' };
+      this.sendTo(conn, { command: 'AUTHENTICATE', params: ['+'] });
+      return;
+    }
+
+    if (data === '*') {
+      conn.sasl = null;
+      this.error(conn, 906, undefined, 'SASL authentication aborted');
+      return;
+    }
+    if (data !== '+') {
+      conn.sasl.payload += data;
+    }
+    if (data !== '+' && data.length === 400) {
+      return;
+    }
+
+    const { mechanism, payload } = conn.sasl;
+    conn.sasl = null;
+    const account = mechanism === 'EXTERNAL' ? this.externalAccount(conn) : this.plainAccount(payload);
+    if (account) {
+      conn.account = account;
+      this.numeric(conn, 900, `${conn.nick || '*'}!${conn.ident || '*'}@${conn.host}`, account, `You are now logged in as ${account}`);
+      this.numeric(conn, 903, 'SASL authentication successful');
+    } else {
+      this.error(conn, 904);
+    }
+  }
+
+  // Account for a PLAIN payload (authzid, authcid, password), if the password matches
+  plainAccount(payload) {
+    const [, account, password] = Buffer.from(payload, 'base64').toString('utf8').split('\0');
+    const accounts = this.options.accounts;
+    return account && accounts[account] !== undefined && accounts[account] === password ? account : null;
+  }
+
+  // Account for EXTERNAL: looked up by nick, where a real server checks the certificate
+  externalAccount(conn) {
+    return (conn.nick && this.options.externalAccounts[conn.nick]) || null;
+  }
+
+  onPASS(conn, [password]) {
+    conn.password = password;
+  }
+
+  onNICK(conn, [nick]) {
+    if (!nick) {
+      this.error(conn, 431, undefined, 'No nickname given');
+      return;
+    }
+    if (!NICK_PATTERN.test(nick)) {
+      this.error(conn, 432, nick);
+      return;
+    }
+    const holder = this.users.get(this.fold(nick));
+    if (holder && holder !== conn) {
+      this.error(conn, 433, nick);
+      return;
+    }
+
+    if (!conn.registered) {
+      if (conn.nick) this.users.delete(this.fold(conn.nick));
+      conn.nick = nick;
+      this.users.set(this.fold(nick), conn);
+      this.tryRegister(conn);
+      return;
+    }
+
+    const message = { prefix: this.source(conn), command: 'NICK', params: [nick] };
+    this.sendTo(conn, message);
+    this.broadcastToPeers(conn, message);
+
+    const oldKey = this.fold(conn.nick);
+    const newKey = this.fold(nick);
+    this.users.delete(oldKey);
+    this.users.set(newKey, conn);
+    this.channels.forEach(chan => {
+      if (chan.members.has(oldKey)) {
+        const modes = chan.members.get(oldKey);
+        chan.members.delete(oldKey);
+        chan.members.set(newKey, modes);
+      }
+    });
+    conn.nick = nick;
+  }
+
+  onUSER(conn, [ident, , , realname]) {
+    if (!ident) {
+      this.error(conn, 461, 'USER');
+      return;
+    }
+    conn.ident = `~${ident.slice(0, 9)}`;
+    conn.realname = realname || '';
+    this.tryRegister(conn);
+  }
+
+  tryRegister(conn) {
+    if (conn.registered || !conn.nick || !conn.ident || conn.capNegotiating) {
+      return;
+    }
+    if (this.options.password && conn.password !== this.options.password) {
+      this.error(conn, 464);
+      this.sendTo(conn, { command: 'ERROR', params: ['Closing Link: Bad password'] });
+      conn.close();
+      return;
+    }
+
+    conn.registered = true;
+    const nick = conn.nick;
+    this.numeric(conn, 1, `Welcome to the ${NETWORK_NAME} IRC Network ${this.source(conn)}`);
+    this.numeric(conn, 2, `Your host is ${SERVER_NAME}, running version ${VERSION}`);
+    this.numeric(conn, 3, 'This server was created for testing');
+    this.numeric(conn, 4, SERVER_NAME, VERSION, 'i', 'ikmnolt', 'klov');
+    this.numeric(conn, 5,
+      'CASEMAPPING=ascii', 'CHANMODES=,k,l,imnt', 'CHANTYPES=#&', 'CHATHISTORY=100',
+      `NETWORK=${NETWORK_NAME}`, 'NICKLEN=30', 'PREFIX=(ov)@+', 'STATUSMSG=@+',
+      'are supported by this server');
+
+    if (this.options.motd) {
+      this.numeric(conn, 375, `- ${SERVER_NAME} Message of the day -`);
+      this.options.motd.forEach(line => this.numeric(conn, 372, `- ${line}`));
+      this.numeric(conn, 376, 'End of /MOTD command.');
+    } else {
+      this.error(conn, 422, undefined, 'MOTD File is missing');
+    }
+
+    this.emit('registered', conn);
+    if (process.env.PHANTOM_TEST_VERBOSE) {
+      console.log(`[test-server] ${nick} registered${conn.account ? ` as ${conn.account}` : ''}`);
+    }
+  }
+
+  onPING(conn, [token]) {
+    this.sendTo(conn, { prefix: SERVER_NAME, command: 'PONG', params: [SERVER_NAME, token ?? ''] });
+  }
+
+  onPONG() {}
+
+  onQUIT(conn, [reason = 'Quit']) {
+    if (conn.scripted) {
+      this.removeUser(conn, `Quit: ${reason}`);
+      return;
+    }
+    this.sendTo(conn, { command: 'ERROR', params: [`Closing Link: ${conn.host} (Quit: ${reason})`] });
+    if (conn.registered) {
+      this.removeUser(conn, `Quit: ${reason}`);
+      conn.registered = false;
+    }
+    conn.close();
+  }
+
+  onJOIN(conn, [names = '', keys = '']) {
+    const keyList = keys.split(',');
+    names.split(',').filter(Boolean).forEach((name, i) => this.joinOne(conn, name, keyList[i]));
+  }
+
+  joinOne(conn, name, key) {
+    if (!/^[#&][^\s,\x07]{1,49}$/.test(name)) {
+      this.error(conn, 403, name);
+      return;
+    }
+    const existing = this.findChannel(name);
+    const nickKey = this.fold(conn.nick);
+    if (existing?.members.has(nickKey)) {
+      return;
+    }
+    if (existing && existing.members.size > 0) {
+      const invited = existing.invited.has(nickKey);
+      if (existing.modes.k && existing.modes.k !== key) {
+        this.error(conn, 475, existing.name);
+        return;
+      }
+      if (existing.modes.i && !invited) {
+        this.error(conn, 473, existing.name);
+        return;
+      }
+      if (existing.modes.l && existing.members.size >= existing.modes.l && !invited) {
+        this.error(conn, 471, existing.name);
+        return;
+      }
+    }
+
+    // Whoever creates a channel (or finds it empty) gets ops
+    const chan = existing || this.getOrCreateChannel(name);
+    chan.members.set(nickKey, new Set(chan.members.size === 0 ? ['o'] : []));
+    chan.invited.delete(nickKey);
+
+    const source = this.source(conn);
+    chan.members.forEach((modes, key) => {
+      const member = this.users.get(key);
+      const extended = member.caps.has('extended-join');
+      this.sendTo(member, {
+        tags: { account: conn.account || undefined },
+        prefix: source,
+        command: 'JOIN',
+        params: extended ? [chan.name, conn.account || '*', conn.realname] : [chan.name]
+      });
+    });
+
+    if (chan.topic) {
+      this.numeric(conn, 332, chan.name, chan.topic);
+      this.numeric(conn, 333, chan.name, chan.topicSetBy, Math.floor(chan.topicSetAt / 1000));
+    }
+    this.sendNames(conn, chan);
+
+    if (this.options.replayOnJoin > 0) {
+      this.sendHistory(conn, chan, chan.history.slice(-this.options.replayOnJoin));
+    }
+  }
+
+  onPART(conn, [names = '', reason = '']) {
+    names.split(',').filter(Boolean).forEach(name => {
+      const chan = this.findChannel(name);
+      if (!chan) {
+        this.error(conn, 403, name);
+        return;
+      }
+      if (!chan.members.has(this.fold(conn.nick))) {
+        this.error(conn, 442, chan.name);
+        return;
+      }
+      const params = reason ? [chan.name, reason] : [chan.name];
+      this.broadcastToChannel(chan, { prefix: this.source(conn), command: 'PART', params });
+      chan.members.delete(this.fold(conn.nick));
+    });
+  }
+
+  onPRIVMSG(conn, params, tags) {
+    this.deliver(conn, 'PRIVMSG', params, tags);
+  }
+
+  onNOTICE(conn, params, tags) {
+    this.deliver(conn, 'NOTICE', params, tags);
+  }
+
+  onTAGMSG(conn, params, tags) {
+    this.deliver(conn, 'TAGMSG', params, tags);
+  }
+
+  /**
+   * Route a PRIVMSG, NOTICE or TAGMSG to a channel or a user
+   * The sender gets an echo (echo-message) with its label, and channel
+   * PRIVMSG/NOTICE lines are kept for CHATHISTORY
+   */
+  deliver(conn, command, [target, text], clientTags = {}) {
+    const isTag = command === 'TAGMSG';
+    if (!target || (!isTag && text === undefined)) {
+      this.error(conn, 461, command);
+      return;
+    }
+
+    const time = this.options.now();
+    const tags = {
+      ...Object.fromEntries(Object.entries(clientTags).filter(([key]) => key.startsWith('+'))),
+      time: new Date(time).toISOString(),
+      msgid: this.nextMsgid(),
+      account: conn.account || undefined
+    };
+    const message = { tags, prefix: this.source(conn), command, params: isTag ? [target] : [target, text] };
+
+    // STATUSMSG: @#channel reaches only ops, +#channel voice and up
+    const status = /^[@+][#&]/.test(target) ? target[0] : null;
+    const channelName = status ? target.slice(1) : target;
+    if (this.isChannelName(channelName)) {
+      const chan = this.findChannel(channelName);
+      if (!chan) {
+        this.error(conn, 403, target);
+        return;
+      }
+      const modes = chan.members.get(this.fold(conn.nick));
+      if ((chan.modes.n && !modes) || (chan.modes.m && !(modes?.has('o') || modes?.has('v')))) {
+        if (!isTag) this.error(conn, 404, chan.name);
+        return;
+      }
+      chan.members.forEach((memberModes, key) => {
+        const member = this.users.get(key);
+        const allowed = !status || memberModes.has('o') || (status === '+' && memberModes.has('v'));
+        if (member !== conn && allowed && (!isTag || member.caps.has('message-tags'))) {
+          this.sendTo(member, message);
+        }
+      });
+      if (!isTag && !status) {
+        chan.history.push({ time, msgid: tags.msgid, prefix: message.prefix, command, text, tags });
+      }
+    } else {
+      const recipient = this.findUser(target);
+      if (!recipient) {
+        this.error(conn, 401, target);
+        return;
+      }
+      if (!isTag || recipient.caps.has('message-tags')) {
+        this.sendTo(recipient, message);
+      }
+      if (command === 'PRIVMSG' && recipient.away) {
+        this.numeric(conn, 301, recipient.nick, recipient.away);
+      }
+    }
+
+    if (conn.caps.has('echo-message')) {
+      this.sendTo(conn, { ...message, tags: { ...tags, label: clientTags.label } });
+    }
+  }
+
+  onNAMES(conn, [name]) {
+    const chan = name && this.findChannel(name);
+    if (chan) {
+      this.sendNames(conn, chan);
+    } else {
+      this.numeric(conn, 366, name || '*', 'End of /NAMES list.');
+    }
+  }
+
+  sendNames(conn, chan) {
+    const multi = conn.caps.has('multi-prefix');
+    const full = conn.caps.has('userhost-in-names');
+    const names = [...chan.members].map(([key, modes]) => {
+      const member = this.users.get(key);
+      const prefixes = Object.keys(PREFIX_MODES).filter(mode => modes.has(mode)).map(mode => PREFIX_MODES[mode]);
+      return `${multi ? prefixes.join('') : prefixes[0] || ''}${full ? this.source(member) : member.nick}`;
+    });
+    // A few names per line so clients see a multi-line NAMES reply
+    for (let i = 0; i < names.length; i += 10) {
+      this.numeric(conn, 353, '=', chan.name, names.slice(i, i + 10).join(' '));
+    }
+    this.numeric(conn, 366, chan.name, 'End of /NAMES list.');
+  }
+
+  onTOPIC(conn, [name, topic]) {
+    const chan = name && this.findChannel(name);
+    if (!chan) {
+      this.error(conn, 403, name);
+      return;
+    }
+    if (topic === undefined) {
+      if (chan.topic) {
+        this.numeric(conn, 332, chan.name, chan.topic);
+        this.numeric(conn, 333, chan.name, chan.topicSetBy, Math.floor(chan.topicSetAt / 1000));
+      } else {
+        this.numeric(conn, 331, chan.name, 'No topic is set');
+      }
+      return;
+    }
+
+    const modes = chan.members.get(this.fold(conn.nick));
+    if (!modes) {
+      this.error(conn, 442, chan.name);
+      return;
+    }
+    if (chan.modes.t && !modes.has('o')) {
+      this.error(conn, 482, chan.name);
+      return;
+    }
+    chan.topic = topic;
+    chan.topicSetBy = conn.nick;
+    chan.topicSetAt = this.options.now();
+    this.broadcastToChannel(chan, { prefix: this.source(conn), command: 'TOPIC', params: [chan.name, topic] });
+  }
+
+  onKICK(conn, [name, nick, reason]) {
+    const chan = name && this.findChannel(name);
+    if (!chan) {
+      this.error(conn, 403, name);
+      return;
+    }
+    if (!chan.members.get(this.fold(conn.nick))?.has('o')) {
+      this.error(conn, 482, chan.name);
+      return;
+    }
+    const victim = nick && this.findUser(nick);
+    if (!victim || !chan.members.has(this.fold(victim.nick))) {
+      this.numeric(conn, 441, nick, chan.name, NUMERIC_TEXT[441]);
+      return;
+    }
+    this.broadcastToChannel(chan, {
+      prefix: this.source(conn),
+      command: 'KICK',
+      params: [chan.name, victim.nick, reason || victim.nick]
+    });
+    chan.members.delete(this.fold(victim.nick));
+  }
+
+  onMODE(conn, [target, modeString, ...args]) {
+    if (!target) {
+      this.error(conn, 461, 'MODE');
+      return;
+    }
+    if (!this.isChannelName(target)) {
+      // User modes: only our own, and nothing to change
+      this.numeric(conn, 221, '+i');
+      return;
+    }
+
+    const chan = this.findChannel(target);
+    if (!chan) {
+      this.error(conn, 403, target);
+      return;
+    }
+    if (!modeString) {
+      const flags = Object.keys(chan.modes).sort();
+      const values = flags.filter(mode => ARG_MODES.includes(mode)).map(mode => chan.modes[mode]);
+      this.numeric(conn, 324, chan.name, `+${flags.join('')}`, ...values);
+      this.numeric(conn, 329, chan.name, Math.floor(chan.createdAt / 1000));
+      return;
+    }
+    if (!chan.members.get(this.fold(conn.nick))?.has('o')) {
+      this.error(conn, 482, chan.name);
+      return;
+    }
+
+    const applied = this.applyModes(chan, modeString, args);
+    if (applied.modes.length > 1) {
+      this.broadcastToChannel(chan, {
+        prefix: this.source(conn),
+        command: 'MODE',
+        params: [chan.name, applied.modes, ...applied.args]
+      });
+    }
+  }
+
+  // Apply a mode string; returns what actually changed, for the broadcast
+  applyModes(chan, modeString, args) {
+    let adding = true;
+    let changed = '';
+    let lastSign = '';
+    const changedArgs = [];
+    const queue = [...args];
+
+    for (const mode of modeString) {
+      if (mode === '+' || mode === '-') {
+        adding = mode === '+';
+        continue;
+      }
+      const sign = adding ? '+' : '-';
+      let arg = null;
+
+      if (PREFIX_MODES[mode]) {
+        const nick = queue.shift();
+        const member = nick && chan.members.get(this.fold(nick));
+        if (!member) continue;
+        if (adding) member.add(mode); else member.delete(mode);
+        arg = this.findUser(nick).nick;
+      } else if (ARG_MODES.includes(mode)) {
+        if (adding) {
+          const value = queue.shift();
+          if (value === undefined) continue;
+          chan.modes[mode] = mode === 'l' ? Number(value) : value;
+          arg = value;
+        } else {
+          if (mode === 'k') queue.shift();
+          delete chan.modes[mode];
+        }
+      } else if (FLAG_MODES.includes(mode)) {
+        if (adding) chan.modes[mode] = true; else delete chan.modes[mode];
+      } else {
+        continue;
+      }
+
+      changed += (sign !== lastSign ? sign : '') + mode;
+      lastSign = sign;
+      if (arg !== null) changedArgs.push(arg);
+    }
+
+    return { modes: changed || '+', args: changedArgs };
+  }
+
+  onWHO(conn, [mask]) {
+    const chan = mask && this.findChannel(mask);
+    const users = chan
+      ? [...chan.members.keys()].map(key => this.users.get(key))
+      : [this.findUser(mask || '')].filter(Boolean);
+
+    users.forEach(user => {
+      const modes = chan?.members.get(this.fold(user.nick));
+      const prefixes = modes ? Object.keys(PREFIX_MODES).filter(mode => modes.has(mode)).map(mode => PREFIX_MODES[mode]).join('') : '';
+      this.numeric(conn, 352, chan ? chan.name : '*', user.ident, user.host, SERVER_NAME, user.nick,
+        `${user.away ? 'G' : 'H'}${prefixes}`, `0 ${user.realname}`);
+    });
+    this.numeric(conn, 315, mask || '*', 'End of /WHO list.');
+  }
+
+  onWHOIS(conn, params) {
+    const nick = params[params.length - 1];
+    const user = nick && this.findUser(nick);
+    if (!user) {
+      this.error(conn, 401, nick);
+      this.numeric(conn, 318, nick || '*', 'End of /WHOIS list.');
+      return;
+    }
+
+    this.numeric(conn, 311, user.nick, user.ident, user.host, '*', user.realname);
+    const channels = [...this.channels.values()]
+      .filter(chan => chan.members.has(this.fold(user.nick)))
+      .map(chan => {
+        const modes = chan.members.get(this.fold(user.nick));
+        return `${modes.has('o') ? '@' : modes.has('v') ? '+' : ''}${chan.name}`;
+      });
+    if (channels.length > 0) {
+      this.numeric(conn, 319, user.nick, channels.join(' '));
+    }
+    this.numeric(conn, 312, user.nick, SERVER_NAME, `${NETWORK_NAME} test server`);
+    if (user.away) {
+      this.numeric(conn, 301, user.nick, user.away);
+    }
+    if (user.account) {
+      this.numeric(conn, 330, user.nick, user.account, 'is logged in as');
+    }
+    this.numeric(conn, 318, user.nick, 'End of /WHOIS list.');
+  }
+
+  onAWAY(conn, [message]) {
+    conn.away = message || null;
+    if (message) {
+      this.numeric(conn, 306, 'You have been marked as being away');
+    } else {
+      this.numeric(conn, 305, 'You are no longer marked as being away');
+    }
+    this.broadcastToPeers(
+      conn,
+      { prefix: this.source(conn), command: 'AWAY', params: message ? [message] : [] },
+      peer => peer.caps.has('away-notify')
+    );
+  }
+
+  onINVITE(conn, [nick, name]) {
+    const chan = name && this.findChannel(name);
+    const invitee = nick && this.findUser(nick);
+    if (!invitee) {
+      this.error(conn, 401, nick);
+      return;
+    }
+    if (!chan || !chan.members.has(this.fold(conn.nick))) {
+      this.error(conn, 442, name);
+      return;
+    }
+    chan.invited.add(this.fold(invitee.nick));
+    this.numeric(conn, 341, invitee.nick, chan.name);
+    this.sendTo(invitee, { prefix: this.source(conn), command: 'INVITE', params: [invitee.nick, chan.name] });
+  }
+
+  onLIST(conn) {
+    this.numeric(conn, 321, 'Channel', 'Users  Name');
+    this.channels.forEach(chan => {
+      if (chan.members.size > 0) {
+        this.numeric(conn, 322, chan.name, chan.members.size, chan.topic);
+      }
+    });
+    this.numeric(conn, 323, 'End of /LIST');
+  }
+
+  /**
+   * CHATHISTORY LATEST|BEFORE|AFTER <channel> <* | timestamp=... | msgid=...> <limit>
+   */
+  onCHATHISTORY(conn, [subcommand = '', target, reference = '*', limitText]) {
+    const chan = target && this.findChannel(target);
+    if (!chan) {
+      this.sendTo(conn, { prefix: SERVER_NAME, command: 'FAIL', params: ['CHATHISTORY', 'INVALID_TARGET', subcommand, target || '*', 'No such channel'] });
+      return;
+    }
+    const limit = Math.min(Number(limitText) || 50, 100);
+    const at = this.resolveHistoryReference(chan, reference);
+    const history = chan.history;
+
+    let lines;
+    switch (subcommand.toUpperCase()) {
+      case 'LATEST':
+        lines = history.filter(entry => at === null || entry.time > at).slice(-limit);
+        break;
+      case 'BEFORE':
+        lines = history.filter(entry => at === null || entry.time < at).slice(-limit);
+        break;
+      case 'AFTER':
+        lines = history.filter(entry => at === null || entry.time > at).slice(0, limit);
+        break;
+      default:
+        this.sendTo(conn, { prefix: SERVER_NAME, command: 'FAIL', params: ['CHATHISTORY', 'INVALID_PARAMS', subcommand, 'Unknown subcommand'] });
+        return;
+    }
+    this.sendHistory(conn, chan, lines);
+  }
+
+  // Reference point of a CHATHISTORY request in ms, null for '*'
+  resolveHistoryReference(chan, reference) {
+    if (reference.startsWith('timestamp=')) {
+      return Date.parse(reference.slice('timestamp='.length));
+    }
+    if (reference.startsWith('msgid=')) {
+      const entry = chan.history.find(h => h.msgid === reference.slice('msgid='.length));
+      return entry ? entry.time : null;
+    }
+    return null;
+  }
+
+  // Send history lines wrapped in a chathistory batch
+  sendHistory(conn, chan, lines) {
+    const batch = conn.caps.has('batch') ? `h${++this.batchCounter}` : null;
+    if (batch) {
+      this.sendTo(conn, { prefix: SERVER_NAME, command: 'BATCH', params: [`+${batch}`, 'chathistory', chan.name] });
+    }
+    lines.forEach(entry => {
+      this.sendTo(conn, {
+        tags: { ...entry.tags, time: new Date(entry.time).toISOString(), msgid: entry.msgid, batch: batch || undefined },
+        prefix: entry.prefix,
+        command: entry.command,
+        params: [chan.name, entry.text]
+      });
+    });
+    if (batch) {
+      this.sendTo(conn, { prefix: SERVER_NAME, command: 'BATCH', params: [`-${batch}`] });
+    }
+  }
+
+  // ---- State ----
+
+  // ascii casemapping
+  fold(name) {
+    return name.toLowerCase();
+  }
+
+  source(conn) {
+    return `${conn.nick}!${conn.ident || '~unknown'}@${conn.host}`;
+  }
+
+  isChannelName(name) {
+    return /^[#&]/.test(name);
+  }
+
+  findUser(nick) {
+    return this.users.get(this.fold(nick)) || null;
+  }
+
+  findChannel(name) {
+    return this.channels.get(this.fold(name)) || null;
+  }
+
+  getOrCreateChannel(name) {
+    const key = this.fold(name);
+    if (!this.channels.has(key)) {
+      const now = this.options.now();
+      this.channels.set(key, {
+        name,
+        topic: '',
+        topicSetBy: '',
+        topicSetAt: now,
+        createdAt: now,
+        modes: { n: true, t: true },
+        members: new Map(),
+        invited: new Set(),
+        history: []
+      });
+    }
+    return this.channels.get(key);
+  }
+
+  nextMsgid() {
+    return `phantom-${++this.msgidCounter}`;
+  }
+}
+
+function matches(line, pattern) {
+  if (!pattern) return true;
+  return pattern instanceof RegExp ? pattern.test(line) : line.startsWith(pattern);
+}
+
+export default IRCTestServer;
+
+// Run on its own: a local network for the app's WebSocket and bridge modes
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = new IRCTestServer();
+  const { port, wsPort } = await server.listen({
+    port: Number(process.env.PHANTOM_TEST_PORT) || 6667,
+    wsPort: Number(process.env.PHANTOM_TEST_WS_PORT) || 8097
+  });
+  console.log(`👻 Phantom IRC test server on 127.0.0.1:${port} (TCP) and ws://127.0.0.1:${wsPort}`);
+}
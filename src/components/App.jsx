@@ -1,157 +1,1174 @@
-import { useState, useEffect, useRef } from 'react';
-import MockIRCClient from '../lib/mock-irc';
+import { Fragment, useState, useEffect, useLayoutEffect, useRef } from 'react';
+import NetworkManager, { bufferKey, parseBufferKey } from '../lib/network-manager';
+import { createMessage } from '../lib/client-contract';
+import { CONNECTION_STATES } from '../lib/connection-state';
 import PhantomAI from '../lib/ai-service';
+import { executeCommand, parseCommand } from '../lib/commands';
+import { stripFormatting } from '../lib/irc-format';
+import { describeCtcpReply } from '../lib/ctcp';
+import { DEFAULT_AUTO_AWAY, describeAway, groupMentions } from '../lib/away';
+import { TYPING_EXPIRY, TYPING_STATES, describeTyping } from '../lib/client-tags';
+import { DEFAULT_HIGHLIGHT_SETTINGS, NOTIFY_LEVELS, createHighlighter, defaultNotifyLevel, isNotifiable, shouldNotify } from '../lib/highlights';
+import { ACTIVITY_LEVELS, getLatestTime, summarizeUnread } from '../lib/unread';
+import { playNotificationSound, showNotification } from '../lib/desktop-notify';
+import { ALL_IGNORE_SCOPES, IGNORE_SCOPES, buildHostmask, findIgnoreMatch, matchesMask } from '../lib/ignore-list';
+import { PREFIX_LABELS, formatModes, getUserPrefix, hasOpRights, sortUsers } from '../lib/channel-modes';
+import {
+  JOIN_PART_MODES,
+  applyJoinPartMode,
+  describeEvent,
+  isSystemEvent,
+  summarizePresence
+} from '../lib/system-events';
+import { IMPORTED_NETWORK } from '../lib/log-import';
+import MessageStore, { DEFAULT_RETENTION, RETENTION_OPTIONS, isPersistable, mergeHistory } from '../lib/message-store';
+import { createReplayScenario } from '../lib/mock-scenario';
+import { CONNECTION_MODES } from '../lib/irc-transport';
+import ConnectForm from './ConnectForm';
+import ChannelDirectory from './ChannelDirectory';
+import UserProfile from './UserProfile';
+import JoinErrorPrompt from './JoinErrorPrompt';
+import IgnoreSettings from './IgnoreSettings';
+import NotificationSettings from './NotificationSettings';
+import ReactionChips from './ReactionChips';
+import UnreadBadge from './UnreadBadge';
+import FormattedMessage from './FormattedMessage';
+import LogImport from './LogImport';
+
+// Per-channel join/part display settings survive reloads
+const JOIN_PART_STORAGE_KEY = 'phantom-irc:join-part-modes';
+
+function loadJoinPartModes() {
+  try {
+    return JSON.parse(localStorage.getItem(JOIN_PART_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+const AUTO_AWAY_STORAGE_KEY = 'phantom-irc:auto-away';
+
+function loadAutoAway() {
+  try {
+    return { ...DEFAULT_AUTO_AWAY, ...JSON.parse(localStorage.getItem(AUTO_AWAY_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_AUTO_AWAY;
+  }
+}
+
+// Ignore lists are kept per network name, like join/part modes
+const IGNORE_STORAGE_KEY = 'phantom-irc:ignore-lists';
+
+function loadIgnoreLists() {
+  try {
+    return JSON.parse(localStorage.getItem(IGNORE_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+const HIGHLIGHT_STORAGE_KEY = 'phantom-irc:highlights';
+
+function loadHighlightSettings() {
+  try {
+    return { ...DEFAULT_HIGHLIGHT_SETTINGS, ...JSON.parse(localStorage.getItem(HIGHLIGHT_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_HIGHLIGHT_SETTINGS;
+  }
+}
+
+// Per-buffer notification levels, keyed like join/part modes
+const NOTIFY_LEVEL_STORAGE_KEY = 'phantom-irc:notify-levels';
+
+function loadNotifyLevels() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFY_LEVEL_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Read positions (time of the newest message read) per network name + buffer
+const LAST_READ_STORAGE_KEY = 'phantom-irc:last-read';
+
+function loadLastRead() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_READ_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// How long message history is kept in IndexedDB (see message-store.js)
+const RETENTION_STORAGE_KEY = 'phantom-irc:history-retention';
+
+function loadRetention() {
+  try {
+    return { ...DEFAULT_RETENTION, ...JSON.parse(localStorage.getItem(RETENTION_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_RETENTION;
+  }
+}
+
+// How often to check whether we've gone idle
+const IDLE_CHECK_INTERVAL = 30000;
+
+// Lines that need the AI to decide on a notification are scored together,
+// once per buffer in this window, instead of one paid request per line
+const PRIORITY_BATCH_WINDOW = 5000;
+
+/**
+ * Chat lines only - what the AI features should read
+ * @param {Array} list - Timeline messages
+ * @returns {Array} Messages without system events and command output
+ */
+function chatMessages(list) {
+  return list.filter(m => !isSystemEvent(m) && m.type !== 'system');
+}
+
+/**
+ * Whether other clients can refer to a message (reactions, replies)
+ * @param {Object} message - Timeline message
+ * @returns {boolean} false for ids the client made up because the server sent no msgid
+ */
+function hasServerId(message) {
+  return !!message.id && !message.id.startsWith('local-');
+}
+
+/**
+ * Insert a message keeping the list in time order (replayed history can arrive late)
+ * @param {Array} list - Messages sorted by time
+ * @param {Object} message - Message to insert
+ * @returns {Array} New list
+ */
+function insertByTime(list, message) {
+  let index = list.length;
+  while (index > 0 && list[index - 1].time > message.time) {
+    index--;
+  }
+  return [...list.slice(0, index), message, ...list.slice(index)];
+}
+
+/**
+ * Stored messages as lines of a buffer in this session
+ * @param {Array} stored - From MessageStore.load()
+ * @param {string} networkId - The network's id this session
+ * @param {string} target - Buffer target (stored targets are lowercased)
+ * @returns {Array}
+ */
+function restoreMessages(stored, networkId, target) {
+  return stored.map(m => ({ ...m, network: networkId, target }));
+}
+
+// User list badge colors by prefix symbol
+const PREFIX_COLORS = {
+  '~': 'text-red-400',
+  '&': 'text-orange-400',
+  '@': 'text-green-400',
+  '%': 'text-yellow-400',
+  '+': 'text-blue-400'
+};
+
+// Sidebar buffer names by unread activity
+const ACTIVITY_CLASSES = {
+  [ACTIVITY_LEVELS.NONE]: 'text-gray-400',
+  [ACTIVITY_LEVELS.EVENTS]: 'text-gray-300',
+  [ACTIVITY_LEVELS.MESSAGES]: 'text-white font-semibold',
+  [ACTIVITY_LEVELS.HIGHLIGHTS]: 'text-white font-semibold'
+};
+
+// Timeline lines that match a highlight rule
+const HIGHLIGHT_CLASS = 'border-l-2 border-yellow-400 bg-yellow-400/10 pl-2 rounded-r';
+
+// Timeline markers for system events
+const EVENT_ICONS = {
+  join: '→',
+  part: '←',
+  quit: '←',
+  nick: '↔',
+  kick: '⛔',
+  mode: '•',
+  topic: '•'
+};
 
 function App() {
-  // IRC state
-  const [connected, setConnected] = useState(false);
-  const [channels, setChannels] = useState([]);
-  const [currentChannel, setCurrentChannel] = useState(null);
+  // IRC state (messages, users and AI results are keyed by bufferKey(network, channel))
+  const [networks, setNetworks] = useState([]);
+  const [channels, setChannels] = useState({});
+  const [queries, setQueries] = useState({});
+  const [currentBuffer, setCurrentBuffer] = useState(null);
   const [messages, setMessages] = useState({});
   const [users, setUsers] = useState({});
+  const [channelInfo, setChannelInfo] = useState({});
+  // Keyed by network name + channel so the setting applies on every connect
+  const [joinPartModes, setJoinPartModes] = useState(loadJoinPartModes);
+  const [expandedGroups, setExpandedGroups] = useState({});
   const [inputMessage, setInputMessage] = useState('');
+  const [commandError, setCommandError] = useState(null);
+  const [pendingPaste, setPendingPaste] = useState(null);
+  // Message being answered: { id, from, text }
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Who is typing where: { [bufferKey]: { nick: expiresAt } }
+  const [typing, setTyping] = useState({});
   const [joinChannelInput, setJoinChannelInput] = useState('');
+  const [joinNetworkId, setJoinNetworkId] = useState(null);
+  // Refused JOIN waiting for the user: { network, channel, error, withKey }
+  const [joinError, setJoinError] = useState(null);
+  // Open channel directory: { networkId, channels, loading, error }
+  const [channelDirectory, setChannelDirectory] = useState(null);
+  // Profile panel in the user list: { networkId, nick, loading, profile, error }
+  const [userProfile, setUserProfile] = useState(null);
+  // Ignore entries per network id (the clients do the filtering)
+  const [ignored, setIgnored] = useState({});
+  // Network whose ignore list settings are open
+  const [ignoreSettingsNetworkId, setIgnoreSettingsNetworkId] = useState(null);
+  const [autoAway, setAutoAway] = useState(loadAutoAway);
+  const [highlightSettings, setHighlightSettings] = useState(loadHighlightSettings);
+  const [notifyLevels, setNotifyLevels] = useState(loadNotifyLevels);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  // Targets of imported logs; their lines are in messages under IMPORTED_NETWORK
+  const [importedLogs, setImportedLogs] = useState([]);
+  const [showLogImport, setShowLogImport] = useState(false);
+  const [lastRead, setLastRead] = useState(loadLastRead);
+  const [retention, setRetention] = useState(loadRetention);
+  // Paging through stored history per buffer: { before, more, loading }
+  const [historyPaging, setHistoryPaging] = useState({});
+  // Where the current buffer was read up to when we opened it: { key, time }
+  const [readMarker, setReadMarker] = useState(null);
+  // The "new messages" divider is scrolled out of view above
+  const [dividerAbove, setDividerAbove] = useState(false);
+  // Mentions missed while away, shown on return: { network, since, mentions }
+  const [awaySummary, setAwaySummary] = useState(null);
 
   // Connection state
-  const [nick, setNick] = useState('');
-  const [server, setServer] = useState('irc.libera.chat');
   const [showConnectForm, setShowConnectForm] = useState(true);
+  const [showAddNetwork, setShowAddNetwork] = useState(false);
+  const [networkStatus, setNetworkStatus] = useState({});
+  const [ircError, setIrcError] = useState(null);
 
   // AI state
   const [aiEnabled, setAiEnabled] = useState(false);
-  const [aiKey, setAiKey] = useState('');
   const [aiProviderInfo, setAiProviderInfo] = useState(null);
-  const [summary, setSummary] = useState('');
+  const [summaries, setSummaries] = useState({});
   const [loadingSummary, setLoadingSummary] = useState(false);
-  const [catchUp, setCatchUp] = useState(null);
+  const [catchUps, setCatchUps] = useState({});
   const [loadingCatchUp, setLoadingCatchUp] = useState(false);
-  const [codeSnippets, setCodeSnippets] = useState([]);
+  const [codeSnippets, setCodeSnippets] = useState({});
   const [loadingSnippets, setLoadingSnippets] = useState(false);
-  const [showSnippets, setShowSnippets] = useState(false);
 
   // Refs
-  const ircClient = useRef(null);
+  const networkManager = useRef(null);
   const aiService = useRef(null);
   const messagesEndRef = useRef(null);
+  const firstUnreadRef = useRef(null);
+  // Message history in IndexedDB, when the browser has it
+  const messageStore = useRef(MessageStore.isSupported() ? new MessageStore() : null);
+  const timelineRef = useRef(null);
+  // Scroll position to keep while older history is added above it
+  const scrollRestoreRef = useRef(null);
+  // Follow new messages only while the user is at the bottom of the timeline
+  const stickToBottomRef = useRef(true);
+  // Network events are wired once, so they read the current buffer through a ref
+  const currentBufferRef = useRef(null);
+  currentBufferRef.current = currentBuffer;
+  const highlightSettingsRef = useRef(highlightSettings);
+  highlightSettingsRef.current = highlightSettings;
+  const notifyLevelsRef = useRef(notifyLevels);
+  notifyLevelsRef.current = notifyLevels;
+  // Auto-away: when we last saw the user, and which networks we marked away for them
+  const lastActivityRef = useRef(Date.now());
+  const autoAwayNetworks = useRef(new Set());
+  // Per buffer: lines waiting for one AI priority call ({ messages, timer })
+  const priorityBatches = useRef({});
+
+  // Current buffer, split into its network and channel
+  const current = currentBuffer ? parseBufferKey(currentBuffer) : null;
+  const currentChannel = current?.target || null;
+  const currentNetwork = current ? networks.find(n => n.id === current.networkId) : null;
+  const currentClient = current ? networkManager.current?.getClient(current.networkId) : null;
+  const isQuery = !!currentClient && !currentClient.isChannel(currentChannel);
+  // Imported logs are read-only buffers with no network behind them
+  const isImported = current?.networkId === IMPORTED_NETWORK;
+  const connected = currentNetwork?.state === CONNECTION_STATES.CONNECTED;
+  const currentStatus = current ? networkStatus[current.networkId] : null;
+  const summary = summaries[currentBuffer] || '';
+  const catchUp = catchUps[currentBuffer] || null;
+  const snippets = codeSnippets[currentBuffer];
+  const prefixes = currentClient ? currentClient.getPrefixes() : [];
+  const currentInfo = channelInfo[currentBuffer];
+  const currentModes = formatModes(currentInfo?.modes);
+  const sortedUsers = sortUsers(users[currentBuffer] || [], prefixes);
+  // Per-channel settings are keyed by network name so they apply on every connect
+  const channelSettingKey = currentNetwork
+    ? `${currentNetwork.name}/${currentChannel}`
+    : (isImported ? currentBuffer : null);
+  const joinPartMode = joinPartModes[channelSettingKey] || JOIN_PART_MODES.SHOW;
+  const notifyLevel = notifyLevels[channelSettingKey] || defaultNotifyLevel(isQuery);
+  const isHighlight = currentClient ? createHighlighter(highlightSettings, currentClient.getNick()) : () => false;
+  const timeline = applyJoinPartMode(messages[currentBuffer] || [], joinPartMode);
+  const queuedCount = (messages[currentBuffer] || []).filter(m => m.queued).length;
+  const ownUser = currentClient ? (users[currentBuffer] || []).find(u => u.nick === currentClient.getNick()) : null;
+  const canModerate = !!ownUser && hasOpRights(ownUser, prefixes);
+  // The user list entry has ident and host for matching ignore masks
+  const profileUser = userProfile
+    ? (users[currentBuffer] || []).find(u => u.nick === userProfile.nick) || { nick: userProfile.nick }
+    : null;
+  const tagSupport = connected ? currentClient.getClientTagSupport() : { reply: false, react: false, typing: false };
+  const typingText = describeTyping(Object.keys(typing[currentBuffer] || {}));
+  // Unread messages since the buffer was opened; the divider goes above the first
+  const newSinceOpened = readMarker && readMarker.key === currentBuffer
+    ? summarizeUnread(messages[currentBuffer], readMarker.time, isHighlight, isQuery)
+    : null;
+  const firstUnreadId = newSinceOpened?.firstUnreadId || null;
 
   // Scroll to bottom of messages
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  const scrollToBottom = (behavior = 'smooth') => {
+    messagesEndRef.current?.scrollIntoView({ behavior });
+  };
+
+  const scrollToFirstUnread = () => {
+    firstUnreadRef.current?.scrollIntoView({ block: 'center' });
+  };
+
+  // Track whether the user scrolled up to read older messages, and where the divider is
+  const handleTimelineScroll = (e) => {
+    const { scrollHeight, scrollTop, clientHeight } = e.currentTarget;
+    stickToBottomRef.current = scrollHeight - scrollTop - clientHeight < 80;
+    if (scrollTop < 80) {
+      loadOlderHistory();
+    }
+    const divider = firstUnreadRef.current;
+    setDividerAbove(!!divider && divider.getBoundingClientRect().bottom < e.currentTarget.getBoundingClientRect().top);
   };
 
   useEffect(() => {
-    scrollToBottom();
-  }, [messages, currentChannel]);
+    if (stickToBottomRef.current) {
+      scrollToBottom();
+    }
+  }, [messages]);
 
-  // Connect to IRC
-  const handleConnect = () => {
-    if (!nick.trim()) {
-      alert('Please enter a nickname');
+  // Older history went in above what's on screen: keep the view where it was
+  useLayoutEffect(() => {
+    const restore = scrollRestoreRef.current;
+    const container = timelineRef.current;
+    if (!restore || !container || restore.key !== currentBuffer) {
       return;
     }
+    scrollRestoreRef.current = null;
+    container.scrollTop = container.scrollHeight - restore.height + restore.top;
+  }, [messages]);
 
-    // Initialize IRC client (using mock for demo)
-    ircClient.current = new MockIRCClient();
+  // Apply the retention limits on start and whenever they change
+  useEffect(() => {
+    messageStore.current?.prune(retention).catch(err => console.error('History cleanup failed:', err));
+  }, [retention]);
 
-    // Initialize AI service if key provided
-    if (aiKey.trim()) {
-      aiService.current = new PhantomAI(aiKey.trim());
-      const providerInfo = aiService.current.getProviderInfo();
-      setAiProviderInfo(providerInfo);
-      setAiEnabled(providerInfo.enabled);
+  // Opening a buffer starts at the first unread message, or at the bottom
+  useEffect(() => {
+    if (!currentBuffer) {
+      return;
     }
+    const readKey = getReadKey(currentBuffer);
+    // Nothing in an imported log is new
+    const time = readKey ? lastRead[readKey] || 0 : getLatestTime(messages[currentBuffer]);
+    setReadMarker({ key: currentBuffer, time });
+  }, [currentBuffer]);
+
+  useEffect(() => {
+    stickToBottomRef.current = true;
+    setDividerAbove(false);
+    if (firstUnreadRef.current) {
+      scrollToFirstUnread();
+    } else {
+      scrollToBottom('auto');
+    }
+  }, [readMarker]);
+
+  // Whatever is on screen in the current buffer counts as read
+  useEffect(() => {
+    const readCurrent = () => {
+      if (currentBuffer && !document.hidden) {
+        markRead(currentBuffer, getLatestTime(messages[currentBuffer]));
+      }
+    };
+    readCurrent();
+    document.addEventListener('visibilitychange', readCurrent);
+    return () => document.removeEventListener('visibilitychange', readCurrent);
+  }, [messages, currentBuffer]);
+
+  // Command errors and paste prompts belong to the buffer they were typed in
+  useEffect(() => {
+    setCommandError(null);
+    setPendingPaste(null);
+    setReplyingTo(null);
+  }, [currentBuffer]);
+
+  // Mark connected networks away after a stretch of inactivity, and back on the next input
+  useEffect(() => {
+    const handleActivity = () => {
+      lastActivityRef.current = Date.now();
+      if (autoAwayNetworks.current.size === 0) {
+        return;
+      }
+      autoAwayNetworks.current.forEach(id => {
+        const client = networkManager.current?.getClient(id);
+        if (client?.getAway()) {
+          try {
+            client.setAway();
+          } catch {
+            // Disconnected meanwhile; the server has forgotten anyway
+          }
+        }
+      });
+      autoAwayNetworks.current.clear();
+    };
+
+    const timer = setInterval(() => {
+      if (!autoAway.enabled || Date.now() - lastActivityRef.current < autoAway.idleMinutes * 60000) {
+        return;
+      }
+      (networkManager.current?.getNetworks() || []).forEach(network => {
+        // Never override an away message the user set themselves
+        if (network.state !== CONNECTION_STATES.CONNECTED || network.away) {
+          return;
+        }
+        networkManager.current.getClient(network.id).setAway(autoAway.message);
+        autoAwayNetworks.current.add(network.id);
+      });
+    }, IDLE_CHECK_INTERVAL);
+
+    const events = ['keydown', 'mousedown', 'mousemove', 'focus'];
+    events.forEach(event => window.addEventListener(event, handleActivity));
+    return () => {
+      clearInterval(timer);
+      events.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [autoAway]);
+
+  // Drop notification batches still waiting on unmount
+  useEffect(() => () => {
+    Object.values(priorityBatches.current).forEach(batch => clearTimeout(batch.timer));
+  }, []);
+
+  // Change and remember the highlight and notification settings
+  const handleHighlightSettingsChange = (changes) => {
+    setHighlightSettings(prev => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(HIGHLIGHT_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Change what notifies in the current buffer
+  const handleNotifyLevelChange = (level) => {
+    setNotifyLevels(prev => {
+      const next = { ...prev, [channelSettingKey]: level };
+      localStorage.setItem(NOTIFY_LEVEL_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Change and remember the auto-away settings
+  const handleAutoAwayChange = (changes) => {
+    setAutoAway(prev => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(AUTO_AWAY_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const handleRetentionChange = (days) => {
+    setRetention(prev => {
+      const next = { ...prev, days };
+      localStorage.setItem(RETENTION_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Bring back the latest stored history of a buffer (on join, or when a query opens)
+  const loadStoredHistory = (networkId, target) => {
+    const network = networkManager.current?.getNetwork(networkId);
+    if (!messageStore.current || !network) {
+      return;
+    }
+    const key = bufferKey(networkId, target);
+    messageStore.current.load(network.name, target)
+      .then(({ messages: stored, more }) => {
+        setMessages(prev => ({ ...prev, [key]: mergeHistory(prev[key] || [], restoreMessages(stored, networkId, target)) }));
+        setHistoryPaging(prev => ({ ...prev, [key]: { before: stored[0]?.time || null, more, loading: false } }));
+      })
+      .catch(err => console.error('Could not load stored history:', err));
+  };
+
+  // Scrolled to the top: page in older stored history
+  const loadOlderHistory = () => {
+    const key = currentBuffer;
+    const paging = historyPaging[key];
+    if (!paging?.more || paging.loading || !currentNetwork) {
+      return;
+    }
+    const { networkId, target } = current;
+    setHistoryPaging(prev => ({ ...prev, [key]: { ...paging, loading: true } }));
+    messageStore.current.load(currentNetwork.name, target, { before: paging.before })
+      .then(({ messages: stored, more }) => {
+        const container = timelineRef.current;
+        scrollRestoreRef.current = container ? { key, height: container.scrollHeight, top: container.scrollTop } : null;
+        setMessages(prev => ({ ...prev, [key]: mergeHistory(prev[key] || [], restoreMessages(stored, networkId, target)) }));
+        setHistoryPaging(prev => ({ ...prev, [key]: { before: stored[0]?.time || paging.before, more, loading: false } }));
+      })
+      .catch(err => {
+        console.error('Could not load older history:', err);
+        setHistoryPaging(prev => ({ ...prev, [key]: { ...paging, loading: false } }));
+      });
+  };
+
+  // Delete the current buffer's stored history and what's on screen
+  const handleClearHistory = () => {
+    if (!window.confirm(`Delete the saved history of ${currentChannel}?`)) return;
+
+    const key = currentBuffer;
+    const networkId = current.networkId;
+    setMessages(prev => ({ ...prev, [key]: [] }));
+    setHistoryPaging(prev => ({ ...prev, [key]: { before: null, more: false, loading: false } }));
+    messageStore.current.clear(currentNetwork.name, currentChannel)
+      .catch(err => setIrcError({ network: networkId, message: `Could not clear history: ${err.message}` }));
+  };
+
+  // Drop a typing notification (only the one that expires at `expiresAt`, if given)
+  const clearTyping = (key, typingNick, expiresAt) => {
+    setTyping(prev => {
+      if (!prev[key] || !(typingNick in prev[key]) || (expiresAt && prev[key][typingNick] !== expiresAt)) {
+        return prev;
+      }
+      const { [typingNick]: _, ...rest } = prev[key];
+      return { ...prev, [key]: rest };
+    });
+  };
+
+  // Create the network manager once and route every network's events into state
+  // Read positions are kept by network name, so they survive a reload
+  const getReadKey = (key) => {
+    const { networkId, target } = parseBufferKey(key);
+    const network = networkManager.current?.getNetwork(networkId);
+    return network ? `${network.name}/${target}` : null;
+  };
+
+  // Move a buffer's read position forward to `time`
+  const markRead = (key, time) => {
+    const readKey = getReadKey(key);
+    if (!readKey || !time) {
+      return;
+    }
+    setLastRead(prev => {
+      if ((prev[readKey] || 0) >= time) {
+        return prev;
+      }
+      const next = { ...prev, [readKey]: time };
+      localStorage.setItem(LAST_READ_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
 
-    // Setup event handlers
-    ircClient.current.on('onConnect', () => {
-      setConnected(true);
+  // Unread summary for a sidebar entry (nothing for the buffer on screen)
+  const getUnread = (networkId, target) => {
+    const key = bufferKey(networkId, target);
+    const client = networkManager.current?.getClient(networkId);
+    if (!client || key === currentBuffer) {
+      return null;
+    }
+    const highlighter = createHighlighter(highlightSettings, client.getNick());
+    return summarizeUnread(messages[key], lastRead[getReadKey(key)] || 0, highlighter, !client.isChannel(target));
+  };
+
+  // Sound and desktop notification for a new message the user isn't looking at
+  const notifyMessage = (key, message) => {
+    const settings = highlightSettingsRef.current;
+    if ((!settings.desktop && !settings.sound) || message.historical || !isNotifiable(message)) {
+      return;
+    }
+    if (!document.hidden && currentBufferRef.current === key) {
+      return;
+    }
+
+    const manager = networkManager.current;
+    const client = manager.getClient(message.network);
+    const network = manager.getNetwork(message.network);
+    if (!client || !network) {
+      return;
+    }
+    const isQueryMessage = !client.isChannel(message.target);
+    const highlighted = createHighlighter(settings, client.getNick())(message);
+    const level = notifyLevelsRef.current[`${network.name}/${message.target}`] || defaultNotifyLevel(isQueryMessage);
+    if (!shouldNotify(level, highlighted)) {
+      return;
+    }
+
+    // In "every message" buffers, let the AI skip the chatter, a batch at a time
+    if (!highlighted && !isQueryMessage && aiService.current?.enabled) {
+      const batch = priorityBatches.current[key];
+      if (batch) {
+        batch.messages.push(message);
+        return;
+      }
+      priorityBatches.current[key] = {
+        messages: [message],
+        timer: setTimeout(() => flushPriorityBatch(key), PRIORITY_BATCH_WINDOW)
+      };
+      return;
+    }
+
+    alertMessage(key, message, network.name, isQueryMessage);
+  };
+
+  // Score a buffer's waiting lines with one AI call and alert once if any matter
+  const flushPriorityBatch = async (key) => {
+    const { messages: batch } = priorityBatches.current[key];
+    delete priorityBatches.current[key];
+
+    const client = networkManager.current?.getClient(batch[0].network);
+    const network = networkManager.current?.getNetwork(batch[0].network);
+    if (!client || !network || !aiService.current) {
+      return;
+    }
+    const { priority } = await aiService.current.getBatchNotificationPriority(batch, client.getNick());
+    if (priority === 'low' || (!document.hidden && currentBufferRef.current === key)) {
+      return;
+    }
+    const latest = batch[batch.length - 1];
+    alertMessage(key, batch.length > 1 ? { ...latest, text: `${latest.text} (+${batch.length - 1} more)` } : latest, network.name, false);
+  };
+
+  // Play the sound and show the desktop notification for a message
+  const alertMessage = (key, message, networkName, isQueryMessage) => {
+    const settings = highlightSettingsRef.current;
+    if (settings.sound) {
+      playNotificationSound();
+    }
+    if (settings.desktop) {
+      const where = isQueryMessage ? 'private message' : message.target;
+      showNotification(`${message.from} (${where} on ${networkName})`, stripFormatting(message.text), {
+        tag: key,
+        onClick: () => setCurrentBuffer(key)
+      });
+    }
+  };
+
+  const getNetworkManager = () => {
+    if (networkManager.current) {
+      return networkManager.current;
+    }
+
+    const manager = new NetworkManager();
+    networkManager.current = manager;
+
+    manager.on('onNetworksChanged', (list) => {
+      setNetworks(list);
+    });
+
+    manager.on('onConnect', ({ network }) => {
       setShowConnectForm(false);
-      console.log('Connected to IRC!');
+      setShowAddNetwork(false);
+      setIrcError(prev => (prev && prev.network === network ? null : prev));
+      console.log(`Connected to IRC network ${network}!`);
+    });
+
+    manager.on('onMessage', (message) => {
+      const key = bufferKey(message.network, message.target);
+      setMessages(prev => {
+        const existing = prev[key] || [];
+        // A confirmed echo replaces the pending copy of our own message
+        const next = message.replaces && existing.some(m => m.id === message.replaces)
+          ? existing.map(m => (m.id === message.replaces ? message : m))
+          : insertByTime(existing, message);
+        return { ...prev, [key]: next };
+      });
+      // Live lines are saved; history the server sends again on join is not
+      const network = manager.getNetwork(message.network);
+      if (messageStore.current && network && isPersistable(message)) {
+        messageStore.current.add(network.name, message).catch(err => console.error('Could not save message:', err));
+      }
+      // A message from someone ends their typing notification
+      clearTyping(key, message.from);
+      if (!message.replaces) {
+        notifyMessage(key, message);
+      }
+    });
+
+    // +typing: show until 'done', or until the notification expires
+    manager.on('onTyping', ({ network, target, nick: typingNick, state }) => {
+      const key = bufferKey(network, target);
+      if (state === TYPING_STATES.DONE || !TYPING_EXPIRY[state]) {
+        clearTyping(key, typingNick);
+        return;
+      }
+      const expiresAt = Date.now() + TYPING_EXPIRY[state];
+      setTyping(prev => ({ ...prev, [key]: { ...prev[key], [typingNick]: expiresAt } }));
+      setTimeout(() => clearTyping(key, typingNick, expiresAt), TYPING_EXPIRY[state]);
     });
 
-    ircClient.current.on('onMessage', (message) => {
-      setMessages(prev => ({
+    manager.on('onJoin', ({ network, channel, nick: joinedNick }) => {
+      const client = manager.getClient(network);
+      if (joinedNick !== client.getNick()) {
+        return;
+      }
+      setJoinError(prev => (prev && prev.network === network && prev.channel === channel ? null : prev));
+
+      const key = bufferKey(network, channel);
+      setChannels(prev => ({
         ...prev,
-        [message.to]: [...(prev[message.to] || []), message]
+        [network]: [...new Set([...(prev[network] || []), channel])]
       }));
+      setCurrentBuffer(key);
+
+      // Load message history for this channel
+      const history = client.getMessages(channel);
+      if (history.length > 0) {
+        setMessages(prev => ({ ...prev, [key]: history }));
+      }
+      loadStoredHistory(network, channel);
+      // The first time we're in a channel, what happened before counts as read
+      const readKey = getReadKey(key);
+      setLastRead(prev => (readKey in prev ? prev : { ...prev, [readKey]: getLatestTime(history) || Date.now() }));
     });
 
-    ircClient.current.on('onJoin', ({ channel, nick: joinedNick }) => {
-      if (joinedNick === nick) {
-        setChannels(prev => [...new Set([...prev, channel])]);
-        setCurrentChannel(channel);
-
-        // Load message history for this channel
-        const history = ircClient.current.getMessages(channel);
-        if (history && history.length > 0) {
-          setMessages(prev => ({
-            ...prev,
-            [channel]: history.map(msg => ({
-              from: msg.user,
-              to: channel,
-              message: msg.text,
-              time: new Date(msg.timestamp)
-            }))
-          }));
-        }
+    manager.on('onPart', ({ network, channel, nick: partedNick, kickedBy, reason }) => {
+      if (partedNick !== manager.getClient(network).getNick()) {
+        return;
+      }
+      if (kickedBy) {
+        setIrcError({ network, message: `You were kicked from ${channel} by ${kickedBy}${reason ? ` (${reason})` : ''}` });
       }
+
+      const key = bufferKey(network, channel);
+      setChannels(prev => ({
+        ...prev,
+        [network]: (prev[network] || []).filter(ch => ch !== channel)
+      }));
+      setCurrentBuffer(prev => (prev === key ? null : prev));
     });
 
-    ircClient.current.on('onPart', ({ channel, nick: partedNick }) => {
-      if (partedNick === nick) {
-        setChannels(prev => prev.filter(ch => ch !== channel));
-        if (currentChannel === channel) {
-          setCurrentChannel(channels[0] || null);
-        }
+    // Banned, invite only, needs a key...: ask what to do next
+    manager.on('onJoinError', ({ network, channel, error, withKey }) => {
+      setJoinError({ network, channel, error, withKey });
+    });
+
+    manager.on('onQuery', ({ network, nick: queryNick }) => {
+      setQueries(prev => ({
+        ...prev,
+        [network]: [...new Set([...(prev[network] || []), queryNick])]
+      }));
+      loadStoredHistory(network, queryNick);
+    });
+
+    // An open query follows the other person to their new nick
+    manager.on('onNick', ({ network, newNick, query }) => {
+      if (!query) {
+        return;
       }
+
+      const oldKey = bufferKey(network, query);
+      const newKey = bufferKey(network, newNick);
+      setQueries(prev => ({
+        ...prev,
+        [network]: (prev[network] || []).map(q => (q === query ? newNick : q))
+      }));
+      setMessages(prev => {
+        const next = { ...prev, [newKey]: [...(prev[oldKey] || []), ...(prev[newKey] || [])] };
+        delete next[oldKey];
+        return next;
+      });
+      setCurrentBuffer(prev => (prev === oldKey ? newKey : prev));
     });
 
-    ircClient.current.on('onUserList', ({ channel, users: userList }) => {
+    manager.on('onUserList', ({ network, channel, users: userList }) => {
       setUsers(prev => ({
         ...prev,
-        [channel]: userList
+        [bufferKey(network, channel)]: userList
+      }));
+    });
+
+    manager.on('onChannelInfo', ({ network, channel, ...info }) => {
+      setChannelInfo(prev => ({
+        ...prev,
+        [bufferKey(network, channel)]: info
       }));
     });
 
-    ircClient.current.on('onError', (error) => {
+    // LIST results stream in chunks until done
+    manager.on('onChannelList', ({ network, channels: listed, done }) => {
+      setChannelDirectory(prev => {
+        if (!prev || prev.networkId !== network) {
+          return prev;
+        }
+        return {
+          ...prev,
+          channels: [...prev.channels, ...listed],
+          loading: !done
+        };
+      });
+    });
+
+    manager.on('onError', (error, network) => {
       console.error('IRC Error:', error);
-      alert(`IRC Error: ${error.message || error}`);
+      setIrcError({ network, message: error.message || String(error) });
+    });
+
+    // CTCP traffic shows up wherever the user is looking
+    manager.on('onCtcp', (ctcp) => {
+      const key = currentBufferRef.current;
+      if (!key || parseBufferKey(key).networkId !== ctcp.network) {
+        return;
+      }
+      addSystemMessage(key, ctcp.kind === 'reply'
+        ? describeCtcpReply(ctcp)
+        : `CTCP ${ctcp.type} request from ${ctcp.from}${ctcp.replied ? '' : ' (not answered)'}`);
+    });
+
+    // Invites land where the user is looking, like CTCP
+    manager.on('onInvite', ({ network, channel, from }) => {
+      const key = currentBufferRef.current;
+      if (!key || parseBufferKey(key).networkId !== network) {
+        return;
+      }
+      addSystemMessage(key, `${from} invited you to ${channel} - type /join ${channel} to accept`);
+    });
+
+    // Coming back: show what we missed
+    manager.on('onAway', ({ network, away, since, mentions }) => {
+      if (away) {
+        setAwaySummary(null);
+        return;
+      }
+      autoAwayNetworks.current.delete(network);
+      if (mentions.length > 0) {
+        setAwaySummary({ network, since, mentions });
+      }
+    });
+
+    manager.on('onStatus', (status) => {
+      setNetworkStatus(prev => ({ ...prev, [status.network]: status }));
+    });
+
+    return manager;
+  };
+
+  // Connect to a network (first connection or "Add network")
+  const handleConnect = ({ name, mode, config, aiKey }) => {
+    // Initialize AI service if key provided
+    if (aiKey) {
+      aiService.current = new PhantomAI(aiKey);
+      const providerInfo = aiService.current.getProviderInfo();
+      setAiProviderInfo(providerInfo);
+      setAiEnabled(providerInfo.enabled);
+    }
+
+    const manager = getNetworkManager();
+
+    // On the first screen, a retry replaces the network that failed to connect
+    if (showConnectForm) {
+      manager.getNetworks().forEach(n => manager.removeNetwork(n.id));
+    }
+    setIrcError(null);
+
+    const id = manager.addNetwork({ name, mode, config });
+    const client = manager.getClient(id);
+    client.setIgnoreList(loadIgnoreLists()[manager.getNetwork(id).name] || []);
+    setIgnored(prev => ({ ...prev, [id]: [...client.getIgnoreList()] }));
+    setJoinNetworkId(id);
+    // Added networks show their progress in the sidebar
+    setShowAddNetwork(false);
+  };
+
+  // Add a parsed log to the imported buffer for its target, merging with earlier imports
+  const handleImportLog = ({ target, messages: imported }) => {
+    const key = bufferKey(IMPORTED_NETWORK, target);
+    setMessages(prev => ({ ...prev, [key]: mergeHistory(prev[key] || [], imported) }));
+    setImportedLogs(prev => (prev.includes(target) ? prev : [...prev, target]));
+    setCurrentBuffer(key);
+  };
+
+  const handleRemoveImportedLog = (target) => {
+    const key = bufferKey(IMPORTED_NETWORK, target);
+    setImportedLogs(prev => prev.filter(t => t !== target));
+    setMessages(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
     });
+    setCurrentBuffer(prev => (prev === key ? null : prev));
+  };
 
-    // Connect
-    ircClient.current.connect({
-      host: server,
-      nick: nick.trim(),
-      username: nick.trim().toLowerCase(),
-      realname: 'Phantom IRC User'
+  // Play the current imported log back as a live channel on a new demo network
+  const handleReplayLog = () => {
+    handleConnect({
+      name: `Replay: ${currentChannel}`,
+      mode: CONNECTION_MODES.DEMO,
+      config: {
+        host: 'replay',
+        nick: networks[0]?.nick || 'PhantomUser',
+        scenario: createReplayScenario(messages[currentBuffer] || [], { channel: currentChannel })
+      }
     });
   };
 
-  // Join channel
+  // Disconnect and remove a network with all of its buffers
+  const handleRemoveNetwork = (networkId) => {
+    if (!window.confirm('Disconnect from this network?')) return;
+
+    networkManager.current.removeNetwork(networkId);
+    setChannels(prev => {
+      const next = { ...prev };
+      delete next[networkId];
+      return next;
+    });
+    setQueries(prev => {
+      const next = { ...prev };
+      delete next[networkId];
+      return next;
+    });
+    setCurrentBuffer(prev => (prev && parseBufferKey(prev).networkId === networkId ? null : prev));
+    if (networkManager.current.getNetworks().length === 0) {
+      setShowConnectForm(true);
+    }
+  };
+
+  // Join channel on the selected network
   const handleJoinChannel = () => {
-    if (!connected || !joinChannelInput.trim()) return;
+    const networkId = joinNetworkId || current?.networkId;
+    const client = networkManager.current?.getClient(networkId);
+    const network = networks.find(n => n.id === networkId);
+    if (!client || network?.state !== CONNECTION_STATES.CONNECTED || !joinChannelInput.trim()) return;
 
     let channelName = joinChannelInput.trim();
     if (!channelName.startsWith('#')) {
       channelName = '#' + channelName;
     }
 
-    ircClient.current.joinChannel(channelName);
+    client.joinChannel(channelName);
     setJoinChannelInput('');
   };
 
+  // Open the channel directory for the network picked in the join box and start a LIST
+  const handleOpenDirectory = () => {
+    const networkId = joinNetworkId || current?.networkId || networks[0]?.id;
+    if (!networkId) return;
+    setChannelDirectory({ networkId, channels: [], loading: false, error: null });
+    handleRefreshDirectory(networkId, {});
+  };
+
+  // Re-run LIST, letting the server filter when it supports ELIST
+  const handleRefreshDirectory = (networkId, filters) => {
+    try {
+      networkManager.current.getClient(networkId).listChannels(filters);
+      setChannelDirectory({ networkId, channels: [], loading: true, error: null });
+    } catch (err) {
+      setChannelDirectory(prev => ({ ...prev, loading: false, error: err.message }));
+    }
+  };
+
+  // One-click join from the directory
+  const handleDirectoryJoin = (channel) => {
+    try {
+      networkManager.current.getClient(channelDirectory.networkId).joinChannel(channel);
+    } catch (err) {
+      setChannelDirectory(prev => ({ ...prev, error: err.message }));
+    }
+  };
+
+  // Retry a refused join from the prompt, with a key if one was entered
+  const handleRetryJoin = (key) => {
+    try {
+      networkManager.current.getClient(joinError.network).joinChannel(joinError.channel, key);
+      setJoinError(null);
+    } catch (err) {
+      setJoinError(prev => ({ ...prev, error: err }));
+    }
+  };
+
+  // Show a user's WHOIS profile in the user list panel
+  const handleShowProfile = (networkId, profileNick) => {
+    setUserProfile({ networkId, nick: profileNick, loading: true, profile: null, error: null });
+    const isLatest = prev => prev?.networkId === networkId && prev.nick === profileNick;
+
+    networkManager.current.getClient(networkId).lookupUser(profileNick)
+      .then(profile => {
+        setUserProfile(prev => (isLatest(prev) ? { ...prev, loading: false, profile } : prev));
+      })
+      .catch(err => {
+        setUserProfile(prev => (isLatest(prev) ? { ...prev, loading: false, error: err.message } : prev));
+      });
+  };
+
+  // Apply a change to a network's ignore list, then show and save the result
+  const updateIgnoreList = (networkId, change) => {
+    const client = networkManager.current.getClient(networkId);
+    change(client);
+    const entries = [...client.getIgnoreList()];
+    setIgnored(prev => ({ ...prev, [networkId]: entries }));
+
+    const name = networkManager.current.getNetwork(networkId).name;
+    localStorage.setItem(IGNORE_STORAGE_KEY, JSON.stringify({ ...loadIgnoreLists(), [name]: entries }));
+  };
+
+  // Ignore a user completely, or drop every entry that covers them
+  const handleToggleIgnore = (networkId, user) => {
+    const entries = ignored[networkId] || [];
+    updateIgnoreList(networkId, client => {
+      if (findIgnoreMatch(entries, user, IGNORE_SCOPES.MESSAGES)) {
+        const hostmask = buildHostmask(user);
+        entries.filter(entry => matchesMask(entry.mask, hostmask)).forEach(entry => client.unignore(entry.mask));
+      } else {
+        client.ignore(user.nick, { scopes: ALL_IGNORE_SCOPES });
+      }
+    });
+  };
+
+  // Kick or ban the profiled user from the current channel
+  const handleModerate = (action) => {
+    const { nick: targetNick, profile } = userProfile;
+    try {
+      if (action === 'kick') {
+        currentClient.kick(currentChannel, targetNick);
+      } else {
+        // Ban the host when we know it, so a nick change doesn't get around it
+        const host = profile?.hostmask.split('@')[1];
+        currentClient.ban(currentChannel, host && host !== '*' ? `*!*@${host}` : `${targetNick}!*@*`);
+      }
+    } catch (err) {
+      setUserProfile(prev => ({ ...prev, error: err.message }));
+    }
+  };
+
   // Leave channel
-  const handlePartChannel = (channel) => {
-    if (!connected) return;
-    ircClient.current.partChannel(channel);
+  const handlePartChannel = (networkId, channel) => {
+    const network = networks.find(n => n.id === networkId);
+    if (network?.state !== CONNECTION_STATES.CONNECTED) return;
+    networkManager.current.getClient(networkId).partChannel(channel);
+  };
+
+  // Open (or switch to) a direct message with a user
+  const handleOpenQuery = (networkId, queryNick) => {
+    const client = networkManager.current.getClient(networkId);
+    if (queryNick === client.getNick()) return;
+
+    const target = client.openQuery(queryNick);
+    setCurrentBuffer(bufferKey(networkId, target));
+  };
+
+  // Close a direct message buffer
+  const handleCloseQuery = (networkId, queryNick) => {
+    networkManager.current.getClient(networkId).closeQuery(queryNick);
+    setQueries(prev => ({
+      ...prev,
+      [networkId]: (prev[networkId] || []).filter(q => q !== queryNick)
+    }));
+    const key = bufferKey(networkId, queryNick);
+    setCurrentBuffer(prev => (prev === key ? null : prev));
+  };
+
+  // Show command output in a buffer as a local, unsent line
+  const addSystemMessage = (key, text) => {
+    const { networkId, target } = parseBufferKey(key);
+    const message = createMessage({
+      id: `sys-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      network: networkId,
+      target,
+      from: '*',
+      text,
+      type: 'system'
+    });
+    setMessages(prev => ({ ...prev, [key]: [...(prev[key] || []), message] }));
+  };
+
+  // Run a /command typed in the message box
+  const handleCommand = async (input) => {
+    const networkId = current.networkId;
+    const key = currentBuffer;
+    const result = await executeCommand(input, {
+      client: currentClient,
+      target: currentChannel,
+      connected,
+      openBuffer: (target) => setCurrentBuffer(bufferKey(networkId, target)),
+      clearBuffer: (target) => setMessages(prev => ({ ...prev, [bufferKey(networkId, target)]: [] }))
+    });
+
+    if (result.error) {
+      setCommandError(result.error);
+      return;
+    }
+    if (result.info) {
+      addSystemMessage(key, result.info);
+    }
+    setInputMessage('');
+  };
+
+  // A #channel link in a message: switch to it, or join it on this network
+  const handleChannelLink = (channel) => {
+    const key = bufferKey(current.networkId, channel);
+    if ((channels[current.networkId] || []).includes(channel)) {
+      setCurrentBuffer(key);
+      return;
+    }
+    if (connected) {
+      currentClient.joinChannel(channel);
+    }
+  };
+
+  // Change how joins/parts show in the current channel
+  const handleJoinPartModeChange = (mode) => {
+    setJoinPartModes(prev => {
+      const next = { ...prev, [channelSettingKey]: mode };
+      localStorage.setItem(JOIN_PART_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
   };
 
   // Send message
   const handleSendMessage = async () => {
-    if (!connected || !currentChannel || !inputMessage.trim()) return;
+    if (!currentClient || !currentChannel || !inputMessage.trim()) return;
+    // Our own message should come into view
+    stickToBottomRef.current = true;
+
+    // Commands check the connection themselves: /help and /clear work offline
+    if (parseCommand(inputMessage)) {
+      await handleCommand(inputMessage);
+      return;
+    }
+    if (!connected) return;
+    // '//text' sends '/text' literally
+    await sendChatText(inputMessage.startsWith('//') ? inputMessage.slice(1) : inputMessage);
+  };
+
+  // Multi-line pastes would go out as one message per line, so ask first
+  const handlePaste = (e) => {
+    const pasted = e.clipboardData.getData('text');
+    if (!/\r?\n/.test(pasted.trim())) {
+      return;
+    }
+
+    e.preventDefault();
+    const input = e.target;
+    const text = inputMessage.slice(0, input.selectionStart) + pasted + inputMessage.slice(input.selectionEnd);
+    setPendingPaste({
+      text,
+      lines: text.split(/\r?\n/).filter(line => line.trim()).length
+    });
+  };
 
+  // Send a confirmed multi-line paste line by line
+  const handleSendPaste = async () => {
+    const { text } = pendingPaste;
+    setPendingPaste(null);
+    if (connected && currentChannel) {
+      await sendChatText(text);
+    }
+  };
+
+  // Send chat text (split and flood-limited by the client)
+  const sendChatText = async (text) => {
     // Check for spam if AI enabled
     if (aiEnabled && aiService.current) {
-      const spamCheck = await aiService.current.checkSpam(inputMessage, currentChannel);
+      const spamCheck = await aiService.current.checkSpam(text, currentChannel);
       if (spamCheck.isSpam && spamCheck.confidence > 70) {
         if (!window.confirm(`AI detected potential spam (${spamCheck.confidence}% confidence: ${spamCheck.reason}). Send anyway?`)) {
           return;
@@ -159,8 +1176,28 @@ function App() {
       }
     }
 
-    ircClient.current.sendMessage(currentChannel, inputMessage);
+    currentClient.sendMessage(currentChannel, text, { replyTo: replyingTo?.id });
     setInputMessage('');
+    setReplyingTo(null);
+  };
+
+  // Let the channel know we're typing (the client throttles and skips unsupported servers)
+  const handleInputChange = (value) => {
+    setInputMessage(value);
+    setCommandError(null);
+    if (connected && currentChannel) {
+      const composing = value.trim() && !parseCommand(value);
+      currentClient.sendTyping(currentChannel, composing ? TYPING_STATES.ACTIVE : TYPING_STATES.DONE);
+    }
+  };
+
+  // React to a message
+  const handleReact = (msg, emoji) => {
+    try {
+      currentClient.react(currentChannel, msg.id, emoji);
+    } catch (err) {
+      setCommandError(err.message);
+    }
   };
 
   // Get AI summary
@@ -170,12 +1207,13 @@ function App() {
       return;
     }
 
+    const key = currentBuffer;
     setLoadingSummary(true);
-    const channelMessages = messages[currentChannel] || [];
+    const channelMessages = chatMessages(messages[key] || []);
     const lastMessages = channelMessages.slice(-100);
 
     const summaryText = await aiService.current.summarizeMessages(lastMessages, currentChannel);
-    setSummary(summaryText);
+    setSummaries(prev => ({ ...prev, [key]: summaryText }));
     setLoadingSummary(false);
   };
 
@@ -186,12 +1224,13 @@ function App() {
       return;
     }
 
+    const key = currentBuffer;
     setLoadingCatchUp(true);
-    const channelMessages = messages[currentChannel] || [];
+    const channelMessages = chatMessages(messages[key] || []);
     const lastMessages = channelMessages.slice(-100);
 
     const catchUpData = await aiService.current.smartCatchUp(lastMessages, currentChannel);
-    setCatchUp(catchUpData);
+    setCatchUps(prev => ({ ...prev, [key]: catchUpData }));
     setLoadingCatchUp(false);
   };
 
@@ -202,20 +1241,21 @@ function App() {
       return;
     }
 
+    const key = currentBuffer;
     setLoadingSnippets(true);
-    const channelMessages = messages[currentChannel] || [];
+    const channelMessages = chatMessages(messages[key] || []);
 
-    const snippets = await aiService.current.extractCodeSnippets(channelMessages);
-    setCodeSnippets(snippets);
-    setShowSnippets(true);
+    const extracted = await aiService.current.extractCodeSnippets(channelMessages);
+    setCodeSnippets(prev => ({ ...prev, [key]: extracted }));
     setLoadingSnippets(false);
   };
 
   // Connection form
   if (showConnectForm) {
+    const firstNetwork = networks[0];
     return (
       <div className="w-full h-full flex items-center justify-center bg-phantom-darker">
-        <div className="bg-phantom-dark p-8 rounded-lg shadow-2xl w-96 border border-phantom-purple">
+        <div className="bg-phantom-dark p-8 rounded-lg shadow-2xl w-96 border border-phantom-purple max-h-full overflow-y-auto">
           <h1 className="text-3xl font-bold text-phantom-purple mb-6 text-center">
             👻 Phantom IRC
           </h1>
@@ -223,56 +1263,11 @@ function App() {
             AI-Powered IRC Client
           </p>
 
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-300 mb-2">
-                Nickname
-              </label>
-              <input
-                type="text"
-                value={nick}
-                onChange={(e) => setNick(e.target.value)}
-                className="w-full px-4 py-2 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none"
-                placeholder="PhantomUser"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-300 mb-2">
-                Server
-              </label>
-              <input
-                type="text"
-                value={server}
-                onChange={(e) => setServer(e.target.value)}
-                className="w-full px-4 py-2 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none"
-                placeholder="irc.libera.chat"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-300 mb-2">
-                AI API Key (Optional - for AI features)
-              </label>
-              <input
-                type="password"
-                value={aiKey}
-                onChange={(e) => setAiKey(e.target.value)}
-                className="w-full px-4 py-2 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none"
-                placeholder="Any AI API key..."
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Supports <span className="text-orange-400">Claude</span>, <span className="text-green-400">GPT</span>, <span className="text-blue-400">Gemini</span>, <span className="text-orange-500">Llama</span>, <span className="text-red-400">Mistral</span>
-              </p>
-            </div>
-
-            <button
-              onClick={handleConnect}
-              className="w-full bg-phantom-purple hover:bg-phantom-purple-light text-white font-bold py-3 px-4 rounded transition-colors"
-            >
-              Connect to IRC
-            </button>
-          </div>
+          <ConnectForm
+            onConnect={handleConnect}
+            error={ircError?.message}
+            status={firstNetwork ? networkStatus[firstNetwork.id] : null}
+          />
 
           <div className="mt-6 text-center text-xs text-gray-500">
             <p>Kiroween 2024 - Resurrection Category</p>
@@ -289,7 +1284,6 @@ function App() {
       <div className="w-64 bg-phantom-dark border-r border-phantom-gray flex flex-col">
         <div className="p-4 border-b border-phantom-gray">
           <h2 className="text-xl font-bold text-phantom-purple">👻 Phantom IRC</h2>
-          <p className="text-xs text-gray-400 mt-1">Connected as {nick}</p>
           {aiProviderInfo && aiProviderInfo.enabled && (
             <p className="text-xs mt-1" style={{ color: aiProviderInfo.color }}>
               {aiProviderInfo.icon} {aiProviderInfo.name}
@@ -300,37 +1294,143 @@ function App() {
           )}
         </div>
 
-        {/* Channel list */}
+        {/* Channel list, grouped by network */}
         <div className="flex-1 overflow-y-auto">
-          <div className="p-2">
-            <p className="text-xs text-gray-500 uppercase font-semibold px-2 mb-2">Channels</p>
-            {channels.map(channel => (
-              <div
-                key={channel}
-                className={`px-3 py-2 rounded cursor-pointer mb-1 flex items-center justify-between group ${
-                  currentChannel === channel
-                    ? 'bg-phantom-purple text-white'
-                    : 'text-gray-300 hover:bg-phantom-gray'
-                }`}
-                onClick={() => setCurrentChannel(channel)}
-              >
-                <span className="font-medium">{channel}</span>
+          {networks.map(network => (
+            <div key={network.id} className="p-2">
+              <div className="flex items-center justify-between px-2 mb-2 group">
+                <div className="min-w-0">
+                  <p className="text-xs text-gray-500 uppercase font-semibold truncate">
+                    <span className={network.state === CONNECTION_STATES.CONNECTED ? 'text-green-400' : 'text-yellow-400'}>●</span>{' '}
+                    {network.name}
+                  </p>
+                  <p className="text-xs text-gray-600 truncate" title={network.away ? `Away: ${network.away.message}` : undefined}>
+                    as {network.nick}
+                    {network.away && <span className="ml-1 text-yellow-500">(away)</span>}
+                  </p>
+                </div>
                 <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handlePartChannel(channel);
-                  }}
-                  className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 text-sm"
+                  onClick={() => handleRemoveNetwork(network.id)}
+                  className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 text-xs"
+                  title="Disconnect network"
                 >
                   ×
                 </button>
               </div>
-            ))}
+              {(channels[network.id] || []).map(channel => {
+                const key = bufferKey(network.id, channel);
+                const unread = getUnread(network.id, channel);
+                return (
+                  <div
+                    key={key}
+                    className={`px-3 py-2 rounded cursor-pointer mb-1 flex items-center justify-between group ${
+                      currentBuffer === key
+                        ? 'bg-phantom-purple text-white'
+                        : `${ACTIVITY_CLASSES[unread?.activity || ACTIVITY_LEVELS.NONE]} hover:bg-phantom-gray`
+                    }`}
+                    onClick={() => {
+                      setCurrentBuffer(key);
+                      setJoinNetworkId(network.id);
+                    }}
+                  >
+                    <span className="font-medium">{channel}</span>
+                    <UnreadBadge summary={unread} />
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handlePartChannel(network.id, channel);
+                      }}
+                      className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 text-sm"
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+              {(queries[network.id] || []).length > 0 && (
+                <p className="text-xs text-gray-500 uppercase font-semibold px-2 mt-3 mb-2">Direct Messages</p>
+              )}
+              {(queries[network.id] || []).map(queryNick => {
+                const key = bufferKey(network.id, queryNick);
+                const unread = getUnread(network.id, queryNick);
+                return (
+                  <div
+                    key={key}
+                    className={`px-3 py-2 rounded cursor-pointer mb-1 flex items-center justify-between group ${
+                      currentBuffer === key
+                        ? 'bg-phantom-purple text-white'
+                        : `${ACTIVITY_CLASSES[unread?.activity || ACTIVITY_LEVELS.NONE]} hover:bg-phantom-gray`
+                    }`}
+                    onClick={() => setCurrentBuffer(key)}
+                  >
+                    <span className="font-medium">@{queryNick}</span>
+                    <UnreadBadge summary={unread} />
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleCloseQuery(network.id, queryNick);
+                      }}
+                      className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 text-sm"
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+          {importedLogs.length > 0 && (
+            <div className="px-4 pb-4">
+              <p className="text-xs text-gray-500 uppercase font-semibold px-2 mb-2">Imported Logs</p>
+              {importedLogs.map(target => {
+                const key = bufferKey(IMPORTED_NETWORK, target);
+                return (
+                  <div
+                    key={key}
+                    className={`px-3 py-2 rounded cursor-pointer mb-1 flex items-center justify-between group ${
+                      currentBuffer === key ? 'bg-phantom-purple text-white' : 'text-gray-300 hover:bg-phantom-gray'
+                    }`}
+                    onClick={() => setCurrentBuffer(key)}
+                  >
+                    <span className="font-medium">{target}</span>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRemoveImportedLog(target);
+                      }}
+                      className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 text-sm"
+                      title="Remove imported log"
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <div className="px-4 pb-2">
+            <button
+              onClick={() => setShowAddNetwork(true)}
+              className="text-xs text-gray-400 hover:text-white"
+            >
+              + Add network
+            </button>
           </div>
         </div>
 
         {/* Join channel input */}
         <div className="p-4 border-t border-phantom-gray">
+          {networks.length > 1 && (
+            <select
+              value={joinNetworkId || ''}
+              onChange={(e) => setJoinNetworkId(e.target.value)}
+              className="w-full mb-2 px-3 py-1 bg-phantom-gray text-white rounded text-xs border border-gray-600 focus:border-phantom-purple focus:outline-none"
+            >
+              {networks.map(network => (
+                <option key={network.id} value={network.id}>Join on {network.name}</option>
+              ))}
+            </select>
+          )}
           <div className="flex gap-2">
             <input
               type="text"
@@ -347,22 +1447,204 @@ function App() {
               Join
             </button>
           </div>
+          <button
+            onClick={handleOpenDirectory}
+            className="mt-2 text-xs text-gray-400 hover:text-white"
+          >
+            Browse channels...
+          </button>
+          <button
+            onClick={() => setIgnoreSettingsNetworkId(joinNetworkId || current?.networkId || networks[0]?.id || null)}
+            className="mt-2 ml-4 text-xs text-gray-400 hover:text-white"
+          >
+            Ignore list...
+          </button>
+          <button
+            onClick={() => setShowNotificationSettings(true)}
+            className="mt-2 ml-4 text-xs text-gray-400 hover:text-white"
+          >
+            Notifications...
+          </button>
+          <button
+            onClick={() => setShowLogImport(true)}
+            className="mt-2 ml-4 text-xs text-gray-400 hover:text-white"
+          >
+            Import logs...
+          </button>
+          <label className="flex items-center gap-2 mt-2 text-xs text-gray-400">
+            <input
+              type="checkbox"
+              checked={autoAway.enabled}
+              onChange={(e) => handleAutoAwayChange({ enabled: e.target.checked })}
+            />
+            Auto-away after
+            <input
+              type="number"
+              min="1"
+              value={autoAway.idleMinutes}
+              onChange={(e) => handleAutoAwayChange({ idleMinutes: Math.max(1, Number(e.target.value) || 1) })}
+              className="w-12 px-1 bg-phantom-gray text-white rounded border border-gray-600"
+            />
+            min idle
+          </label>
+          {messageStore.current && (
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-400">
+              Keep history for
+              <select
+                value={retention.days}
+                onChange={(e) => handleRetentionChange(Number(e.target.value))}
+                className="px-1 bg-phantom-gray text-white rounded border border-gray-600"
+              >
+                {RETENTION_OPTIONS.map(option => (
+                  <option key={option.days} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
       </div>
 
       {/* Main chat area */}
       <div className="flex-1 flex flex-col">
+        {/* Connection status banner */}
+        {currentStatus && currentStatus.state !== CONNECTION_STATES.CONNECTED && (
+          <div className="bg-yellow-900 bg-opacity-40 border-b border-yellow-600 px-6 py-2 flex items-center justify-between">
+            <span className="text-sm text-yellow-200">
+              {currentNetwork?.name}:{' '}
+              {currentStatus.state === CONNECTION_STATES.RECONNECTING &&
+                `${currentStatus.reason || 'Connection lost'} - reconnecting in ${Math.ceil(currentStatus.delay / 1000)}s (attempt ${currentStatus.attempt})`}
+              {currentStatus.state === CONNECTION_STATES.CONNECTING && 'Reconnecting...'}
+              {currentStatus.state === CONNECTION_STATES.DISCONNECTED &&
+                `Disconnected${currentStatus.reason ? `: ${currentStatus.reason}` : ''}`}
+            </span>
+            {currentStatus.state !== CONNECTION_STATES.CONNECTING && (
+              <button
+                onClick={() => currentClient.reconnectNow()}
+                className="text-xs text-yellow-200 hover:text-white underline"
+              >
+                Retry now
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* IRC error banner */}
+        {ircError && (
+          <div className="bg-red-900 bg-opacity-40 border-b border-red-600 px-6 py-2 flex items-center justify-between">
+            <span className="text-sm text-red-200">
+              ⚠️ {networks.find(n => n.id === ircError.network)?.name}: {ircError.message}
+            </span>
+            <button
+              onClick={() => setIrcError(null)}
+              className="text-xs text-gray-400 hover:text-white"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* While you were away */}
+        {awaySummary && (
+          <div className="bg-phantom-purple bg-opacity-20 border-b border-phantom-purple px-6 py-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-200">
+                While you were away on {networks.find(n => n.id === awaySummary.network)?.name}
+                {awaySummary.since && ` (since ${awaySummary.since.toLocaleTimeString()})`}:{' '}
+                {awaySummary.mentions.length} mention{awaySummary.mentions.length === 1 ? '' : 's'}
+              </span>
+              <button
+                onClick={() => setAwaySummary(null)}
+                className="text-xs text-gray-400 hover:text-white"
+              >
+                Dismiss
+              </button>
+            </div>
+            {groupMentions(awaySummary.mentions).map(group => (
+              <div key={group.target} className="mt-1 text-sm">
+                <button
+                  onClick={() => setCurrentBuffer(bufferKey(awaySummary.network, group.target))}
+                  className="text-phantom-purple-light hover:underline font-medium"
+                >
+                  {group.target}
+                </button>
+                {group.mentions.slice(-3).map((mention, i) => (
+                  <div key={i} className="text-gray-300 ml-4 truncate">
+                    <span className="text-xs text-gray-500 mr-2">{new Date(mention.time).toLocaleTimeString()}</span>
+                    <span className="text-phantom-purple-light">{mention.from}:</span> {stripFormatting(mention.text)}
+                  </div>
+                ))}
+                {group.mentions.length > 3 && (
+                  <div className="text-xs text-gray-500 ml-4">and {group.mentions.length - 3} more</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {currentChannel ? (
           <>
             {/* Channel header */}
             <div className="h-16 bg-phantom-dark border-b border-phantom-gray px-6 flex items-center justify-between">
-              <div>
-                <h3 className="text-lg font-bold text-white">{currentChannel}</h3>
-                <p className="text-xs text-gray-400">
-                  {users[currentChannel]?.length || 0} users
+              <div className="min-w-0 flex-1 mr-4">
+                <h3 className="text-lg font-bold text-white">
+                  {currentChannel}
+                  {currentModes && (
+                    <span className="ml-2 text-xs font-normal text-gray-500">{currentModes}</span>
+                  )}
+                </h3>
+                <p className="text-xs text-gray-400 truncate">
+                  {isImported
+                    ? `Imported log · ${(messages[currentBuffer] || []).length} lines`
+                    : <>{currentNetwork?.name} · {isQuery ? 'Direct message' : `${users[currentBuffer]?.length || 0} users`}</>}
+                  {!isQuery && currentInfo?.topic && (
+                    <span
+                      className="text-gray-300"
+                      title={currentInfo.topicSetBy
+                        ? `${stripFormatting(currentInfo.topic)}\n\nSet by ${currentInfo.topicSetBy}${currentInfo.topicSetAt ? ` on ${currentInfo.topicSetAt.toLocaleString()}` : ''}`
+                        : stripFormatting(currentInfo.topic)}
+                    >
+                      {' · '}<FormattedMessage text={currentInfo.topic} onChannelClick={handleChannelLink} />
+                    </span>
+                  )}
                 </p>
               </div>
 
+              {!isImported && (
+                <select
+                  value={notifyLevel}
+                  onChange={(e) => handleNotifyLevelChange(e.target.value)}
+                  title={`When to notify about new messages in ${currentChannel}`}
+                  className="mr-3 px-2 py-1 text-xs bg-phantom-gray text-gray-300 rounded border border-gray-600 focus:outline-none"
+                >
+                  <option value={NOTIFY_LEVELS.ALL}>Notify: all messages</option>
+                  <option value={NOTIFY_LEVELS.MENTIONS}>Notify: highlights</option>
+                  <option value={NOTIFY_LEVELS.NONE}>Notify: never</option>
+                </select>
+              )}
+
+              {!isQuery && (
+                <select
+                  value={joinPartMode}
+                  onChange={(e) => handleJoinPartModeChange(e.target.value)}
+                  title="Join, part, quit and nick messages in this channel"
+                  className="mr-3 px-2 py-1 text-xs bg-phantom-gray text-gray-300 rounded border border-gray-600 focus:outline-none"
+                >
+                  <option value={JOIN_PART_MODES.SHOW}>Joins/parts: show</option>
+                  <option value={JOIN_PART_MODES.COLLAPSE}>Joins/parts: collapse</option>
+                  <option value={JOIN_PART_MODES.HIDE}>Joins/parts: hide</option>
+                </select>
+              )}
+
+              {messageStore.current && !isImported && (
+                <button
+                  onClick={handleClearHistory}
+                  title={`Delete the saved history of ${currentChannel}`}
+                  className="mr-3 px-2 py-1 text-xs bg-phantom-gray text-gray-300 hover:text-red-300 rounded border border-gray-600"
+                >
+                  Clear history
+                </button>
+              )}
+
               {/* AI Feature buttons */}
               {aiEnabled && (
                 <div className="flex gap-2">
@@ -398,7 +1680,7 @@ function App() {
                   <span className="font-bold text-phantom-purple">AI Summary:</span> {summary}
                 </p>
                 <button
-                  onClick={() => setSummary('')}
+                  onClick={() => setSummaries(prev => ({ ...prev, [currentBuffer]: '' }))}
                   className="text-xs text-gray-400 hover:text-white mt-1"
                 >
                   Dismiss
@@ -412,7 +1694,7 @@ function App() {
                 <div className="flex items-center justify-between mb-2">
                   <span className="font-bold text-purple-300">⚡ Smart Catch-Up</span>
                   <button
-                    onClick={() => setCatchUp(null)}
+                    onClick={() => setCatchUps(prev => ({ ...prev, [currentBuffer]: null }))}
                     className="text-xs text-gray-400 hover:text-white"
                   >
                     Dismiss
@@ -439,19 +1721,19 @@ function App() {
             )}
 
             {/* Code Snippets display */}
-            {showSnippets && codeSnippets.length > 0 && (
+            {snippets && snippets.length > 0 && (
               <div className="bg-gray-900 border-b border-gray-700 px-6 py-3 max-h-64 overflow-y-auto">
                 <div className="flex items-center justify-between mb-2">
-                  <span className="font-bold text-blue-300">💻 Code Snippets ({codeSnippets.length})</span>
+                  <span className="font-bold text-blue-300">💻 Code Snippets ({snippets.length})</span>
                   <button
-                    onClick={() => setShowSnippets(false)}
+                    onClick={() => setCodeSnippets(prev => ({ ...prev, [currentBuffer]: undefined }))}
                     className="text-xs text-gray-400 hover:text-white"
                   >
                     Dismiss
                   </button>
                 </div>
                 <div className="space-y-3">
-                  {codeSnippets.map((snippet, idx) => (
+                  {snippets.map((snippet, idx) => (
                     <div key={idx} className="bg-black bg-opacity-40 p-3 rounded border border-gray-700">
                       <div className="flex items-center justify-between mb-2">
                         <div className="flex items-center gap-2">
@@ -469,12 +1751,12 @@ function App() {
                 </div>
               </div>
             )}
-            {showSnippets && codeSnippets.length === 0 && (
+            {snippets && snippets.length === 0 && (
               <div className="bg-gray-900 border-b border-gray-700 px-6 py-3">
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-400">💻 No code snippets found in this channel</span>
                   <button
-                    onClick={() => setShowSnippets(false)}
+                    onClick={() => setCodeSnippets(prev => ({ ...prev, [currentBuffer]: undefined }))}
                     className="text-xs text-gray-400 hover:text-white"
                   >
                     Dismiss
@@ -483,41 +1765,216 @@ function App() {
               </div>
             )}
 
+            {/* Unread messages above the screen */}
+            {dividerAbove && newSinceOpened?.unread > 0 && (
+              <div className="bg-phantom-dark border-b border-phantom-gray px-6 py-1 flex items-center justify-between text-xs text-gray-300">
+                <span>
+                  {newSinceOpened.unread} new message{newSinceOpened.unread === 1 ? '' : 's'}
+                  {newSinceOpened.mentions > 0 && ` (${newSinceOpened.mentions} highlighted)`}
+                  {readMarker.time > 0 && ` since ${new Date(readMarker.time).toLocaleTimeString()}`}
+                </span>
+                <div className="flex gap-3">
+                  <button onClick={scrollToFirstUnread} className="text-phantom-purple-light hover:text-white">
+                    Jump to first unread
+                  </button>
+                  <button
+                    onClick={() => setReadMarker({ key: currentBuffer, time: getLatestTime(messages[currentBuffer]) })}
+                    className="text-gray-400 hover:text-white"
+                  >
+                    Mark as read
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-6 space-y-3">
-              {(messages[currentChannel] || []).map((msg, idx) => (
-                <div key={idx} className="group">
-                  <div className="flex items-baseline gap-3">
-                    <span className="text-sm font-bold text-phantom-purple">
-                      {msg.from}
-                    </span>
-                    <span className="text-xs text-gray-500">
-                      {msg.time.toLocaleTimeString()}
-                    </span>
-                  </div>
-                  <div className="text-gray-200 mt-1">{msg.message}</div>
+            <div ref={timelineRef} onScroll={handleTimelineScroll} className="flex-1 overflow-y-auto p-6 space-y-3">
+              {historyPaging[currentBuffer]?.loading ? (
+                <p className="text-center text-xs text-gray-500">Loading older messages...</p>
+              ) : historyPaging[currentBuffer]?.more && (
+                <div className="text-center">
+                  <button onClick={loadOlderHistory} className="text-xs text-gray-400 hover:text-white">
+                    Load older messages
+                  </button>
                 </div>
+              )}
+              {timeline.map((msg, idx) => (
+                <Fragment key={msg.id || idx}>
+                  {msg.id === firstUnreadId && (
+                    <div ref={firstUnreadRef} className="flex items-center gap-3 text-xs font-semibold text-red-400">
+                      <div className="flex-1 border-t border-red-500" />
+                      New messages
+                      <div className="flex-1 border-t border-red-500" />
+                    </div>
+                  )}
+                  {msg.type === 'presence-group' ? (
+                    <div className="text-xs text-gray-500">
+                      <button
+                        onClick={() => setExpandedGroups(prev => ({ ...prev, [msg.id]: !prev[msg.id] }))}
+                        className="hover:text-gray-300"
+                      >
+                        {expandedGroups[msg.id] ? '▾' : '▸'} {summarizePresence(msg.messages)}
+                      </button>
+                      {expandedGroups[msg.id] && msg.messages.map((event, i) => (
+                        <div key={event.id || i} className="ml-4">
+                          <span className="mr-2">{event.time.toLocaleTimeString()}</span>
+                          {describeEvent(event)}
+                        </div>
+                      ))}
+                    </div>
+                  ) : isSystemEvent(msg) ? (
+                    <div className="text-xs text-gray-500">
+                      <span className="mr-2">{msg.time.toLocaleTimeString()}</span>
+                      {EVENT_ICONS[msg.type]} {describeEvent(msg)}
+                    </div>
+                  ) : msg.type === 'system' ? (
+                    <div className="text-sm text-gray-400 italic whitespace-pre-wrap">
+                      {msg.text}
+                    </div>
+                  ) : msg.type === 'action' ? (
+                    <div className={`flex items-baseline gap-3 ${msg.pending ? 'opacity-60' : ''} ${isHighlight(msg) ? HIGHLIGHT_CLASS : ''}`}>
+                      <span className="text-xs text-gray-500">
+                        {msg.time.toLocaleTimeString()}
+                      </span>
+                      <div className="text-gray-200 italic">
+                        <span className="text-phantom-purple font-bold not-italic">* {msg.from}</span>{' '}
+                        <FormattedMessage text={msg.text} onChannelClick={handleChannelLink} />
+                      </div>
+                    </div>
+                  ) : (
+                    <div className={`group ${msg.pending ? 'opacity-60' : ''} ${isHighlight(msg) ? HIGHLIGHT_CLASS : ''}`}>
+                      {msg.replyTo && (() => {
+                        const original = (messages[currentBuffer] || []).find(m => m.id === msg.replyTo);
+                        return (
+                          <div className="text-xs text-gray-500 mb-1 truncate">
+                            ↪ {original
+                              ? <><span className="text-phantom-purple-light">{original.from}</span>: {stripFormatting(original.text)}</>
+                              : 'reply to an earlier message'}
+                          </div>
+                        );
+                      })()}
+                      <div className="flex items-baseline gap-3">
+                        <span className="text-sm font-bold text-phantom-purple">
+                          {msg.from}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                          {msg.time.toLocaleTimeString()}
+                        </span>
+                        {msg.queued && <span className="text-xs text-yellow-400">queued</span>}
+                        {msg.failed && <span className="text-xs text-red-400">not sent</span>}
+                        {connected && !msg.pending && !msg.failed && (
+                          <button
+                            onClick={() => setReplyingTo({ id: msg.id, from: msg.from, text: msg.text })}
+                            className="text-xs text-gray-500 hover:text-white opacity-0 group-hover:opacity-100"
+                          >
+                            Reply
+                          </button>
+                        )}
+                      </div>
+                      <div className={`mt-1 whitespace-pre-wrap break-words ${msg.type === 'notice' ? 'text-yellow-200' : 'text-gray-200'}`}>
+                        <FormattedMessage text={msg.text} onChannelClick={handleChannelLink} />
+                      </div>
+                      <ReactionChips
+                        reactions={msg.reactions}
+                        nick={currentClient?.getNick()}
+                        canReact={tagSupport.react && !msg.pending && !msg.failed && hasServerId(msg)}
+                        onReact={(emoji) => handleReact(msg, emoji)}
+                      />
+                    </div>
+                  )}
+                </Fragment>
               ))}
               <div ref={messagesEndRef} />
             </div>
 
-            {/* Message input */}
-            <div className="h-20 bg-phantom-dark border-t border-phantom-gray px-6 flex items-center gap-3">
-              <input
-                type="text"
-                value={inputMessage}
-                onChange={(e) => setInputMessage(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
-                className="flex-1 px-4 py-3 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none"
-                placeholder={`Message ${currentChannel}...`}
-              />
-              <button
-                onClick={handleSendMessage}
-                className="bg-phantom-purple hover:bg-phantom-purple-light text-white px-6 py-3 rounded font-medium transition-colors"
-              >
-                Send
-              </button>
-            </div>
+            {/* Multi-line paste warning */}
+            {pendingPaste && (
+              <div className="bg-yellow-900/40 border-t border-yellow-700 px-6 py-2 flex items-center justify-between gap-3 text-sm text-yellow-200">
+                <span>
+                  ⚠️ This paste is {pendingPaste.lines} lines. Sending it posts {pendingPaste.lines} separate messages to {currentChannel}
+                  {pendingPaste.lines > 4 && ' (spread out over a while to avoid flooding)'}.
+                </span>
+                <div className="flex gap-2 shrink-0">
+                  <button onClick={handleSendPaste} className="text-xs bg-yellow-700 hover:bg-yellow-600 text-white px-3 py-1 rounded">
+                    Send {pendingPaste.lines} lines
+                  </button>
+                  <button
+                    onClick={() => {
+                      setInputMessage(pendingPaste.text.split(/\r?\n/).filter(line => line.trim()).join(' '));
+                      setPendingPaste(null);
+                    }}
+                    className="text-xs bg-phantom-gray hover:bg-gray-600 text-white px-3 py-1 rounded"
+                  >
+                    Paste as one line
+                  </button>
+                  <button onClick={() => setPendingPaste(null)} className="text-xs text-gray-400 hover:text-white">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Outbound queue */}
+            {queuedCount > 0 && (
+              <div className="bg-phantom-dark border-t border-phantom-gray px-6 py-1 text-xs text-gray-400">
+                ⏳ {queuedCount} {queuedCount === 1 ? 'line' : 'lines'} queued - sending slowly to avoid a flood kick
+              </div>
+            )}
+
+            {/* Command errors */}
+            {commandError && (
+              <div className="bg-red-900/40 border-t border-red-700 px-6 py-2 text-sm text-red-200">
+                ⚠️ {commandError}
+              </div>
+            )}
+
+            {/* Typing indicator */}
+            {typingText && (
+              <div className="px-6 py-1 text-xs text-gray-400 italic">{typingText}</div>
+            )}
+
+            {/* Reply being composed */}
+            {replyingTo && (
+              <div className="bg-phantom-dark border-t border-phantom-gray px-6 py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-400 truncate">
+                  ↪ Replying to <span className="text-phantom-purple-light">{replyingTo.from}</span>: {stripFormatting(replyingTo.text)}
+                </span>
+                <button onClick={() => setReplyingTo(null)} className="text-xs text-gray-400 hover:text-white ml-3">
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {/* Message input (imported logs are read-only) */}
+            {isImported ? (
+              <div className="h-20 bg-phantom-dark border-t border-phantom-gray px-6 flex items-center justify-between text-sm text-gray-400">
+                <span>Imported history is read-only.</span>
+                <button
+                  onClick={handleReplayLog}
+                  className="bg-phantom-purple hover:bg-phantom-purple-light text-white px-4 py-2 rounded font-medium transition-colors"
+                >
+                  ▶ Replay in demo
+                </button>
+              </div>
+            ) : (
+              <div className="h-20 bg-phantom-dark border-t border-phantom-gray px-6 flex items-center gap-3">
+                <input
+                  type="text"
+                  value={inputMessage}
+                  onChange={(e) => handleInputChange(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
+                  onPaste={handlePaste}
+                  className="flex-1 px-4 py-3 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none"
+                  placeholder={`Message ${currentChannel}... (/help for commands)`}
+                />
+                <button
+                  onClick={handleSendMessage}
+                  className="bg-phantom-purple hover:bg-phantom-purple-light text-white px-6 py-3 rounded font-medium transition-colors"
+                >
+                  Send
+                </button>
+              </div>
+            )}
           </>
         ) : (
           <div className="flex-1 flex items-center justify-center text-gray-500">
@@ -530,22 +1987,129 @@ function App() {
       </div>
 
       {/* Right sidebar - Users */}
-      {currentChannel && (
+      {currentChannel && !isQuery && !isImported && (
         <div className="w-64 bg-phantom-dark border-l border-phantom-gray">
           <div className="p-4 border-b border-phantom-gray">
             <p className="text-sm text-gray-400 uppercase font-semibold">
-              Users — {users[currentChannel]?.length || 0}
+              Users — {users[currentBuffer]?.length || 0}
             </p>
           </div>
+          {userProfile && userProfile.networkId === current.networkId && (
+            <UserProfile
+              nick={userProfile.nick}
+              profile={userProfile.profile}
+              loading={userProfile.loading}
+              error={userProfile.error}
+              prefixes={prefixes}
+              isChannel={(name) => currentClient.isChannel(name)}
+              isSelf={userProfile.nick === currentClient.getNick()}
+              ignored={!!findIgnoreMatch(ignored[current.networkId] || [], profileUser, IGNORE_SCOPES.MESSAGES)}
+              canModerate={canModerate && (users[currentBuffer] || []).some(u => u.nick === userProfile.nick)}
+              onMessage={() => handleOpenQuery(current.networkId, userProfile.nick)}
+              onIgnore={() => handleToggleIgnore(current.networkId, profileUser)}
+              onKick={() => handleModerate('kick')}
+              onBan={() => handleModerate('ban')}
+              onChannelClick={handleChannelLink}
+              onClose={() => setUserProfile(null)}
+            />
+          )}
           <div className="overflow-y-auto p-2">
-            {(users[currentChannel] || []).map((user, idx) => (
-              <div
-                key={idx}
-                className="px-3 py-2 text-gray-300 hover:bg-phantom-gray rounded cursor-pointer"
-              >
-                {user}
-              </div>
-            ))}
+            {sortedUsers.map((user) => {
+              const prefix = getUserPrefix(user, prefixes);
+              const rank = prefixes.find(p => p.symbol === prefix);
+              const isIgnored = !!findIgnoreMatch(ignored[current.networkId] || [], user, IGNORE_SCOPES.MESSAGES);
+              const tooltip = [
+                rank && (PREFIX_LABELS[rank.mode] || rank.mode),
+                describeAway(user),
+                `Show ${user.nick}'s profile`
+              ].filter(Boolean).join(' · ');
+              return (
+                <div
+                  key={user.nick}
+                  onClick={() => handleShowProfile(current.networkId, user.nick)}
+                  title={tooltip}
+                  className={`px-3 py-2 hover:bg-phantom-gray rounded cursor-pointer flex items-center gap-2 ${
+                    isIgnored ? 'text-gray-600 line-through' : 'text-gray-300'
+                  } ${user.away ? 'opacity-50 italic' : ''}`}
+                >
+                  <span className={`w-3 text-center font-bold ${PREFIX_COLORS[prefix] || 'text-gray-500'}`}>
+                    {prefix}
+                  </span>
+                  {user.nick}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Channel directory */}
+      {channelDirectory && (
+        <ChannelDirectory
+          networkName={networks.find(n => n.id === channelDirectory.networkId)?.name || ''}
+          channels={channelDirectory.channels}
+          loading={channelDirectory.loading}
+          error={channelDirectory.error}
+          elist={networkManager.current.getClient(channelDirectory.networkId)?.getListSupport() || ''}
+          joined={channels[channelDirectory.networkId] || []}
+          onRefresh={(filters) => handleRefreshDirectory(channelDirectory.networkId, filters)}
+          onJoin={handleDirectoryJoin}
+          onClose={() => setChannelDirectory(null)}
+        />
+      )}
+
+      {ignoreSettingsNetworkId && (
+        <IgnoreSettings
+          networkName={networks.find(n => n.id === ignoreSettingsNetworkId)?.name || ''}
+          entries={ignored[ignoreSettingsNetworkId] || []}
+          onAdd={(mask, options) => updateIgnoreList(ignoreSettingsNetworkId, client => client.ignore(mask, options))}
+          onRemove={(mask) => updateIgnoreList(ignoreSettingsNetworkId, client => client.unignore(mask))}
+          onClose={() => setIgnoreSettingsNetworkId(null)}
+        />
+      )}
+
+      {showNotificationSettings && (
+        <NotificationSettings
+          settings={highlightSettings}
+          onChange={handleHighlightSettingsChange}
+          onClose={() => setShowNotificationSettings(false)}
+        />
+      )}
+
+      {showLogImport && (
+        <LogImport
+          defaultNick={networks[0]?.nick}
+          onImport={handleImportLog}
+          onClose={() => setShowLogImport(false)}
+        />
+      )}
+
+      {joinError && (
+        <JoinErrorPrompt
+          key={`${joinError.network}/${joinError.channel}/${joinError.error.code}`}
+          networkName={networks.find(n => n.id === joinError.network)?.name || ''}
+          channel={joinError.channel}
+          error={joinError.error}
+          withKey={joinError.withKey}
+          onJoin={handleRetryJoin}
+          onMessageNickServ={() => {
+            handleOpenQuery(joinError.network, 'NickServ');
+            setJoinError(null);
+          }}
+          onClose={() => setJoinError(null)}
+        />
+      )}
+
+      {/* Add network modal */}
+      {showAddNetwork && (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+          <div className="bg-phantom-dark p-8 rounded-lg shadow-2xl w-96 border border-phantom-purple max-h-full overflow-y-auto">
+            <h2 className="text-xl font-bold text-phantom-purple mb-6">Add Network</h2>
+            <ConnectForm
+              onConnect={handleConnect}
+              onCancel={() => setShowAddNetwork(false)}
+              showAiKey={false}
+            />
           </div>
         </div>
       )}
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { DIRECTORY_SORTS, filterChannels, sortChannels } from '../lib/channel-directory';
+import FormattedMessage from './FormattedMessage';
+
+const INPUT_CLASS = 'px-3 py-2 bg-phantom-gray text-white rounded text-sm border border-gray-600 focus:border-phantom-purple focus:outline-none';
+
+// Rendering tens of thousands of rows freezes the page; search narrows it down
+const MAX_ROWS = 200;
+
+/**
+ * Channel directory - browse the server's LIST output and join with one click
+ * @param {Object} props
+ * @param {string} props.networkName - Network being listed
+ * @param {Array} props.channels - { name, users, topic } entries received so far
+ * @param {boolean} props.loading - LIST is still streaming in
+ * @param {string} props.error - Why the list couldn't be fetched, if it couldn't
+ * @param {string} props.elist - Server ELIST flags ('' if it can't filter)
+ * @param {Array<string>} props.joined - Channels we are already in
+ * @param {Function} props.onRefresh - Called with { search, minUsers } to re-run LIST
+ * @param {Function} props.onJoin - Called with a channel name
+ * @param {Function} props.onClose - Close the directory
+ */
+function ChannelDirectory({ networkName, channels, loading, error, elist, joined, onRefresh, onJoin, onClose }) {
+  const [search, setSearch] = useState('');
+  const [minUsers, setMinUsers] = useState('');
+  const [sortBy, setSortBy] = useState(DIRECTORY_SORTS.USERS);
+  const [descending, setDescending] = useState(true);
+
+  const filters = { search, minUsers: Number(minUsers) || 0 };
+  const visible = sortChannels(filterChannels(channels, filters), sortBy, descending);
+  const serverFilters = [elist.includes('M') && 'name', elist.includes('U') && 'user count'].filter(Boolean);
+
+  // Clicking the active column flips it; a new column starts in its natural order
+  const handleSort = (column) => {
+    if (column === sortBy) {
+      setDescending(!descending);
+    } else {
+      setSortBy(column);
+      setDescending(column === DIRECTORY_SORTS.USERS);
+    }
+  };
+
+  const sortArrow = (column) => (column === sortBy ? (descending ? ' ▼' : ' ▲') : '');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-phantom-dark rounded-lg shadow-2xl w-full max-w-3xl h-5/6 border border-phantom-purple flex flex-col">
+        <div className="p-6 border-b border-phantom-gray">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-phantom-purple">Channels on {networkName}</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-white text-xl">×</button>
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && onRefresh(filters)}
+              className={`${INPUT_CLASS} flex-1`}
+              placeholder="Search names and topics (* and ? work as wildcards)"
+              autoFocus
+            />
+            <input
+              type="number"
+              min="0"
+              value={minUsers}
+              onChange={(e) => setMinUsers(e.target.value)}
+              className={`${INPUT_CLASS} w-28`}
+              placeholder="Min users"
+            />
+            <button
+              onClick={() => onRefresh(filters)}
+              disabled={loading}
+              className="bg-phantom-purple hover:bg-phantom-purple-light disabled:opacity-50 text-white px-4 py-2 rounded text-sm font-medium transition-colors"
+            >
+              {loading ? 'Listing...' : 'Refresh'}
+            </button>
+          </div>
+          <div className="text-xs text-gray-500 mt-2">
+            {loading ? 'Receiving channels... ' : ''}
+            {visible.length} of {channels.length} channels
+            {visible.length > MAX_ROWS && ` (showing the first ${MAX_ROWS})`}
+            {' · '}
+            {serverFilters.length > 0
+              ? `Refresh filters by ${serverFilters.join(' and ')} on the server`
+              : 'This server lists every channel; filtering happens here'}
+          </div>
+          {error && <div className="text-sm text-red-400 mt-2">{error}</div>}
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-phantom-darker text-gray-400 text-left">
+              <tr>
+                <th className="px-4 py-2 cursor-pointer hover:text-white" onClick={() => handleSort(DIRECTORY_SORTS.NAME)}>
+                  Channel{sortArrow(DIRECTORY_SORTS.NAME)}
+                </th>
+                <th className="px-4 py-2 cursor-pointer hover:text-white text-right" onClick={() => handleSort(DIRECTORY_SORTS.USERS)}>
+                  Users{sortArrow(DIRECTORY_SORTS.USERS)}
+                </th>
+                <th className="px-4 py-2 cursor-pointer hover:text-white" onClick={() => handleSort(DIRECTORY_SORTS.TOPIC)}>
+                  Topic{sortArrow(DIRECTORY_SORTS.TOPIC)}
+                </th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.slice(0, MAX_ROWS).map(channel => (
+                <tr key={channel.name} className="border-t border-phantom-gray hover:bg-phantom-gray">
+                  <td className="px-4 py-2 font-medium text-white whitespace-nowrap">{channel.name}</td>
+                  <td className="px-4 py-2 text-gray-400 text-right">{channel.users}</td>
+                  <td className="px-4 py-2 text-gray-300 break-words">
+                    <FormattedMessage text={channel.topic} />
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {joined.includes(channel.name) ? (
+                      <span className="text-xs text-gray-500">Joined</span>
+                    ) : (
+                      <button
+                        onClick={() => onJoin(channel.name)}
+                        className="bg-phantom-purple hover:bg-phantom-purple-light text-white px-3 py-1 rounded text-xs font-medium transition-colors"
+                      >
+                        Join
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!loading && visible.length === 0 && (
+            <div className="text-center text-gray-500 py-8">No channels found</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChannelDirectory;
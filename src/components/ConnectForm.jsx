@@ -0,0 +1,376 @@
+import { useState } from 'react';
+import { CONNECTION_MODES, DEFAULT_BRIDGE_URL, parseWebSocketUrl } from '../lib/irc-transport';
+import { CONNECTION_STATES } from '../lib/connection-state';
+import { BUILT_IN_SCENARIOS, parseScenario } from '../lib/mock-scenario';
+
+// Scenario select value for a file picked by the user
+const SCENARIO_FILE = 'file';
+
+const INPUT_CLASS = 'w-full px-4 py-2 bg-phantom-gray text-white rounded border border-gray-600 focus:border-phantom-purple focus:outline-none';
+
+/**
+ * Connection form - used for the first network and for "Add network"
+ * @param {Object} props
+ * @param {Function} props.onConnect - Called with { name, mode, config, aiKey }
+ * @param {Function} props.onCancel - Optional; shows a Cancel button
+ * @param {boolean} props.showAiKey - Show the AI API key field
+ * @param {string} props.error - Last connection error, if any
+ * @param {Object} props.status - Last connection status, if any
+ */
+function ConnectForm({ onConnect, onCancel, showAiKey = true, error, status }) {
+  const [nick, setNick] = useState('');
+  const [networkName, setNetworkName] = useState('');
+  const [server, setServer] = useState('irc.libera.chat');
+  const [port, setPort] = useState('');
+  const [connectionMode, setConnectionMode] = useState(CONNECTION_MODES.DEMO);
+  const [wsUrl, setWsUrl] = useState('wss://irc.ergo.chat/webirc');
+  const [bridgeUrl, setBridgeUrl] = useState(DEFAULT_BRIDGE_URL);
+  const [useTls, setUseTls] = useState(true);
+  const [saslMechanism, setSaslMechanism] = useState('');
+  const [saslAccount, setSaslAccount] = useState('');
+  const [saslPassword, setSaslPassword] = useState('');
+  const [hideVersion, setHideVersion] = useState(false);
+  const [aiKey, setAiKey] = useState('');
+  const [scenarioId, setScenarioId] = useState('demo');
+  const [scenarioFile, setScenarioFile] = useState(null);
+  const [scenarioError, setScenarioError] = useState('');
+  const [seed, setSeed] = useState('');
+
+  // Read and check a scenario file as soon as it's picked
+  const handleScenarioFile = async (e) => {
+    const file = e.target.files[0];
+    setScenarioFile(null);
+    setScenarioError('');
+    if (!file) return;
+    try {
+      setScenarioFile(parseScenario(await file.text(), file.name));
+    } catch (err) {
+      setScenarioError(err.message);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!nick.trim()) {
+      alert('Please enter a nickname');
+      return;
+    }
+
+    // Demo mode simulates IRC; the other modes reach a real server over WebSocket
+    let transportConfig;
+    try {
+      if (connectionMode === CONNECTION_MODES.WEBSOCKET) {
+        transportConfig = { transport: CONNECTION_MODES.WEBSOCKET, ...parseWebSocketUrl(wsUrl.trim()) };
+      } else if (connectionMode === CONNECTION_MODES.BRIDGE) {
+        transportConfig = {
+          transport: CONNECTION_MODES.BRIDGE,
+          host: server.trim(),
+          port: Number(port) || undefined,
+          tls: useTls,
+          bridgeUrl: bridgeUrl.trim()
+        };
+      } else {
+        if (scenarioId === SCENARIO_FILE && !scenarioFile) {
+          alert('Please choose a valid scenario file');
+          return;
+        }
+        // A number seeds like a number; anything else is hashed as text
+        const trimmedSeed = seed.trim();
+        transportConfig = {
+          host: server,
+          scenario: scenarioId === SCENARIO_FILE ? scenarioFile : BUILT_IN_SCENARIOS[scenarioId].create(),
+          seed: trimmedSeed === '' ? undefined : (isNaN(trimmedSeed) ? trimmedSeed : Number(trimmedSeed))
+        };
+      }
+    } catch (err) {
+      alert(`Invalid WebSocket URL: ${err.message}`);
+      return;
+    }
+
+    if (connectionMode !== CONNECTION_MODES.DEMO && saslMechanism) {
+      if (saslMechanism === 'PLAIN' && !saslPassword) {
+        alert('SASL PLAIN needs a password');
+        return;
+      }
+      transportConfig.sasl = {
+        mechanism: saslMechanism,
+        account: saslAccount.trim() || nick.trim(),
+        password: saslPassword
+      };
+    }
+
+    onConnect({
+      name: networkName.trim() || (connectionMode === CONNECTION_MODES.DEMO ? 'Demo' : transportConfig.host),
+      mode: connectionMode,
+      aiKey: aiKey.trim(),
+      config: {
+        ...transportConfig,
+        nick: nick.trim(),
+        username: nick.trim().toLowerCase(),
+        realname: 'Phantom IRC User',
+        ctcp: { hideVersion }
+      }
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">
+          Nickname
+        </label>
+        <input
+          type="text"
+          value={nick}
+          onChange={(e) => setNick(e.target.value)}
+          className={INPUT_CLASS}
+          placeholder="PhantomUser"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">
+          Connection
+        </label>
+        <select
+          value={connectionMode}
+          onChange={(e) => setConnectionMode(e.target.value)}
+          className={INPUT_CLASS}
+        >
+          <option value={CONNECTION_MODES.DEMO}>Demo (simulated)</option>
+          <option value={CONNECTION_MODES.WEBSOCKET}>Direct WebSocket</option>
+          <option value={CONNECTION_MODES.BRIDGE}>Bridge (npm run bridge)</option>
+        </select>
+      </div>
+
+      {connectionMode === CONNECTION_MODES.WEBSOCKET ? (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            WebSocket URL
+          </label>
+          <input
+            type="text"
+            value={wsUrl}
+            onChange={(e) => setWsUrl(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="wss://irc.example.net/webirc"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            The server must support IRC over WebSocket
+          </p>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Server
+            </label>
+            <input
+              type="text"
+              value={server}
+              onChange={(e) => setServer(e.target.value)}
+              className={INPUT_CLASS}
+              placeholder="irc.libera.chat"
+            />
+          </div>
+          {connectionMode === CONNECTION_MODES.BRIDGE && (
+            <div className="w-24">
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Port
+              </label>
+              <input
+                type="text"
+                value={port}
+                onChange={(e) => setPort(e.target.value)}
+                className={INPUT_CLASS}
+                placeholder={useTls ? '6697' : '6667'}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {connectionMode === CONNECTION_MODES.DEMO && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Scenario
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={scenarioId}
+              onChange={(e) => setScenarioId(e.target.value)}
+              className={INPUT_CLASS}
+            >
+              {Object.entries(BUILT_IN_SCENARIOS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+              <option value={SCENARIO_FILE}>From file...</option>
+            </select>
+            <input
+              type="text"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              className={`${INPUT_CLASS} w-32`}
+              placeholder="Seed"
+              title="Same seed, same random chatter - leave empty for a new one each time"
+            />
+          </div>
+          {scenarioId === SCENARIO_FILE && (
+            <>
+              <input
+                type="file"
+                accept=".json,.yaml,.yml"
+                onChange={handleScenarioFile}
+                className="block w-full text-sm text-gray-300 mt-2"
+              />
+              {scenarioFile && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {scenarioFile.name || 'Untitled scenario'} - {scenarioFile.timeline.length} timeline events
+                </p>
+              )}
+              {scenarioError && (
+                <p className="text-xs text-red-400 mt-1">⚠️ {scenarioError}</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {connectionMode !== CONNECTION_MODES.DEMO && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Network Name (Optional)
+          </label>
+          <input
+            type="text"
+            value={networkName}
+            onChange={(e) => setNetworkName(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="Libera"
+          />
+        </div>
+      )}
+
+      {connectionMode === CONNECTION_MODES.BRIDGE && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Bridge URL
+          </label>
+          <input
+            type="text"
+            value={bridgeUrl}
+            onChange={(e) => setBridgeUrl(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder={DEFAULT_BRIDGE_URL}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-300 mt-2">
+            <input
+              type="checkbox"
+              checked={useTls}
+              onChange={(e) => setUseTls(e.target.checked)}
+            />
+            Use TLS from the bridge to the server
+          </label>
+        </div>
+      )}
+
+      {connectionMode !== CONNECTION_MODES.DEMO && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            SASL Authentication
+          </label>
+          <select
+            value={saslMechanism}
+            onChange={(e) => setSaslMechanism(e.target.value)}
+            className={INPUT_CLASS}
+          >
+            <option value="">None</option>
+            <option value="PLAIN">PLAIN (account + password)</option>
+            <option value="EXTERNAL">EXTERNAL (client certificate)</option>
+          </select>
+          {saslMechanism === 'PLAIN' && (
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={saslAccount}
+                onChange={(e) => setSaslAccount(e.target.value)}
+                className={INPUT_CLASS}
+                placeholder="Account (default: nick)"
+              />
+              <input
+                type="password"
+                value={saslPassword}
+                onChange={(e) => setSaslPassword(e.target.value)}
+                className={INPUT_CLASS}
+                placeholder="Password"
+              />
+            </div>
+          )}
+          {saslMechanism === 'EXTERNAL' && (
+            <p className="text-xs text-gray-500 mt-1">
+              {connectionMode === CONNECTION_MODES.BRIDGE
+                ? 'Uses the certificate configured on the bridge (PHANTOM_BRIDGE_CERT)'
+                : 'Uses the client certificate your browser presents for wss://'}
+            </p>
+          )}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={hideVersion}
+          onChange={(e) => setHideVersion(e.target.checked)}
+        />
+        Don't reveal my client version (CTCP VERSION)
+      </label>
+
+      {showAiKey && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            AI API Key (Optional - for AI features)
+          </label>
+          <input
+            type="password"
+            value={aiKey}
+            onChange={(e) => setAiKey(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="Any AI API key..."
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Supports <span className="text-orange-400">Claude</span>, <span className="text-green-400">GPT</span>, <span className="text-blue-400">Gemini</span>, <span className="text-orange-500">Llama</span>, <span className="text-red-400">Mistral</span>
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-400">⚠️ {error}</p>
+      )}
+      {status && status.state !== CONNECTION_STATES.CONNECTED && (
+        <p className="text-sm text-yellow-300">
+          {status.state === CONNECTION_STATES.RECONNECTING
+            ? `Connection failed - retrying in ${Math.ceil(status.delay / 1000)}s...`
+            : status.state === CONNECTION_STATES.CONNECTING ? 'Connecting...' : 'Disconnected'}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="flex-1 bg-phantom-gray hover:bg-gray-600 text-white font-bold py-3 px-4 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          className="flex-1 bg-phantom-purple hover:bg-phantom-purple-light text-white font-bold py-3 px-4 rounded transition-colors"
+        >
+          Connect to IRC
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConnectForm;
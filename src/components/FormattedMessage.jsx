@@ -0,0 +1,75 @@
+import { parseFormatting, linkify } from '../lib/irc-format';
+
+/**
+ * Inline styles for one formatting segment
+ * @param {Object} segment - Segment from parseFormatting()
+ * @returns {Object} React style object
+ */
+function segmentStyle(segment) {
+  const style = {};
+  const decorations = [];
+
+  if (segment.bold) style.fontWeight = 'bold';
+  if (segment.italic) style.fontStyle = 'italic';
+  if (segment.underline) decorations.push('underline');
+  if (segment.strikethrough) decorations.push('line-through');
+  if (decorations.length) style.textDecoration = decorations.join(' ');
+
+  // Reverse swaps foreground and background, falling back to the theme colors
+  const fg = segment.reverse ? (segment.bg || '#0f0f1e') : segment.fg;
+  const bg = segment.reverse ? (segment.fg || '#e5e7eb') : segment.bg;
+  if (fg) style.color = fg;
+  if (bg) style.backgroundColor = bg;
+
+  return style;
+}
+
+/**
+ * Message text with mIRC formatting, clickable URLs and channel links
+ * @param {Object} props
+ * @param {string} props.text - Raw message text
+ * @param {Function} props.onChannelClick - Called with a channel name when one is clicked
+ */
+function FormattedMessage({ text, onChannelClick }) {
+  return (
+    <>
+      {parseFormatting(text || '').map((segment, i) => (
+        <span
+          key={i}
+          style={segmentStyle(segment)}
+          className={segment.monospace ? 'font-mono' : undefined}
+        >
+          {linkify(segment.text).map((token, j) => {
+            if (token.type === 'url') {
+              return (
+                <a
+                  key={j}
+                  href={token.href}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-phantom-purple-light underline break-all"
+                >
+                  {token.text}
+                </a>
+              );
+            }
+            if (token.type === 'channel' && onChannelClick) {
+              return (
+                <button
+                  key={j}
+                  onClick={() => onChannelClick(token.text)}
+                  className="text-phantom-purple-light hover:underline"
+                >
+                  {token.text}
+                </button>
+              );
+            }
+            return token.text;
+          })}
+        </span>
+      ))}
+    </>
+  );
+}
+
+export default FormattedMessage;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { ALL_IGNORE_SCOPES, IGNORE_DURATIONS, IGNORE_SCOPE_LABELS, normalizeMask } from '../lib/ignore-list';
+import { formatIdle } from '../lib/user-profile';
+
+const INPUT_CLASS = 'px-3 py-2 bg-phantom-gray text-white rounded text-sm border border-gray-600 focus:border-phantom-purple focus:outline-none';
+
+/**
+ * Ignore list settings for one network
+ * @param {Object} props
+ * @param {string} props.networkName - Network the list belongs to
+ * @param {Array} props.entries - { mask, scopes, expiresAt } from the client
+ * @param {Function} props.onAdd - Called with (mask, { scopes, minutes })
+ * @param {Function} props.onRemove - Called with a mask
+ * @param {Function} props.onClose - Close the panel
+ */
+function IgnoreSettings({ networkName, entries, onAdd, onRemove, onClose }) {
+  const [mask, setMask] = useState('');
+  const [scopes, setScopes] = useState(ALL_IGNORE_SCOPES);
+  const [minutes, setMinutes] = useState(0);
+
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  };
+
+  const handleAdd = () => {
+    if (!mask.trim() || scopes.length === 0) return;
+    onAdd(mask, { scopes, minutes });
+    setMask('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-phantom-dark p-6 rounded-lg shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto border border-phantom-purple">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-phantom-purple">Ignore list on {networkName}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-xl">×</button>
+        </div>
+
+        <div className="mb-6">
+          <div className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={mask}
+              onChange={(e) => setMask(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+              className={`${INPUT_CLASS} flex-1 font-mono`}
+              placeholder="nick, *!*@host or nick!user@host"
+            />
+            <select
+              value={minutes}
+              onChange={(e) => setMinutes(Number(e.target.value))}
+              className={INPUT_CLASS}
+            >
+              {IGNORE_DURATIONS.map(d => <option key={d.minutes} value={d.minutes}>{d.label}</option>)}
+            </select>
+            <button
+              onClick={handleAdd}
+              disabled={!mask.trim() || scopes.length === 0}
+              className="bg-phantom-purple hover:bg-phantom-purple-light text-white px-4 py-2 rounded text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              Ignore
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-3 text-xs text-gray-400">
+            {ALL_IGNORE_SCOPES.map(scope => (
+              <label key={scope} className="flex items-center gap-1">
+                <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                {IGNORE_SCOPE_LABELS[scope]}
+              </label>
+            ))}
+          </div>
+          {mask.trim() && (
+            <p className="text-xs text-gray-500 mt-2">
+              Matches <span className="font-mono text-gray-300">{normalizeMask(mask)}</span>
+            </p>
+          )}
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">Nobody is ignored on this network.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.mask} className="border-t border-phantom-gray">
+                  <td className="py-2 pr-3 font-mono text-gray-200 break-all">{entry.mask}</td>
+                  <td className="py-2 pr-3 text-xs text-gray-400">
+                    {entry.scopes.length === ALL_IGNORE_SCOPES.length
+                      ? 'Everything'
+                      : entry.scopes.map(scope => IGNORE_SCOPE_LABELS[scope]).join(', ')}
+                  </td>
+                  <td className="py-2 pr-3 text-xs text-gray-500 whitespace-nowrap">
+                    {entry.expiresAt ? `${formatIdle((entry.expiresAt - Date.now()) / 1000)} left` : 'Forever'}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button onClick={() => onRemove(entry.mask)} className="text-xs text-red-400 hover:text-red-300">
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default IgnoreSettings;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+
+const INPUT_CLASS = 'px-3 py-2 bg-phantom-gray text-white rounded text-sm border border-gray-600 focus:border-phantom-purple focus:outline-none';
+const BUTTON_CLASS = 'px-4 py-2 rounded text-sm font-medium transition-colors';
+
+// What the user can do about each refusal (codes from JOIN_ERRORS in irc-errors.js)
+const GUIDANCE = {
+  bad_key: 'This channel is protected with a key (+k). Channels usually share it in their website or announcement.',
+  invite_only: 'Only invited users can join (+i). Ask a channel operator to /invite you, then try again.',
+  banned: 'A ban matches your nick or host (+b). If you think that is a mistake, contact the channel operators.',
+  channel_full: 'The channel has reached its user limit (+l). Try again in a little while.',
+  needs_registration: 'Only users logged in to a NickServ account can join.',
+  too_many_channels: 'The server limits how many channels you can be in. Leave one and try again.',
+  no_such_channel: 'The server does not know this channel. Check the name for typos.'
+};
+
+// Refusals that can go away by themselves
+const RETRYABLE = ['invite_only', 'channel_full', 'needs_registration', 'too_many_channels'];
+
+/**
+ * Explain why a channel refused us, and offer the next step (key, retry, NickServ)
+ * @param {Object} props
+ * @param {string} props.networkName - Network the channel is on
+ * @param {string} props.channel - Channel that refused the JOIN
+ * @param {Object} props.error - IRCError from onJoinError
+ * @param {boolean} props.withKey - The refused JOIN already sent a key
+ * @param {Function} props.onJoin - Try again, called with a key (may be undefined)
+ * @param {Function} props.onMessageNickServ - Open a query with NickServ
+ * @param {Function} props.onClose - Dismiss the prompt
+ */
+function JoinErrorPrompt({ networkName, channel, error, withKey, onJoin, onMessageNickServ, onClose }) {
+  const [key, setKey] = useState('');
+  const needsKey = error.code === 'bad_key';
+
+  const submitKey = () => {
+    if (key.trim()) {
+      onJoin(key.trim());
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-phantom-dark p-6 rounded-lg shadow-2xl w-full max-w-md border border-phantom-purple">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-phantom-purple truncate">
+            {needsKey ? `${channel} needs a key` : `Cannot join ${channel}`}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-xl">×</button>
+        </div>
+
+        {needsKey && withKey && <p className="text-sm text-red-400 mb-2">That key was not accepted.</p>}
+        <p className="text-sm text-gray-300 mb-2">{GUIDANCE[error.code] || error.message}</p>
+
+        {error.code === 'needs_registration' && (
+          <ol className="text-sm text-gray-300 mb-2 list-decimal list-inside space-y-1">
+            <li>Register your nick: <code className="text-phantom-purple-light">/msg NickServ REGISTER password email</code></li>
+            <li>
+              Log in: reconnect with SASL using your account, or{' '}
+              <code className="text-phantom-purple-light">/msg NickServ IDENTIFY password</code>
+            </li>
+            <li>Join {channel} again</li>
+          </ol>
+        )}
+
+        {error.serverMessage && (
+          <p className="text-xs text-gray-500 mb-4">{networkName}: {error.serverMessage}</p>
+        )}
+
+        {needsKey && (
+          <input
+            type="text"
+            value={key}
+            onChange={(e) => setKey(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && submitKey()}
+            className={`${INPUT_CLASS} w-full mb-4`}
+            placeholder="Channel key"
+            autoFocus
+          />
+        )}
+
+        <div className="flex justify-end gap-2">
+          {error.code === 'needs_registration' && (
+            <button onClick={onMessageNickServ} className={`${BUTTON_CLASS} bg-phantom-gray hover:bg-gray-600 text-gray-200`}>
+              Message NickServ
+            </button>
+          )}
+          {needsKey && (
+            <button
+              onClick={submitKey}
+              disabled={!key.trim()}
+              className={`${BUTTON_CLASS} bg-phantom-purple hover:bg-phantom-purple-light text-white disabled:opacity-50`}
+            >
+              Join
+            </button>
+          )}
+          {RETRYABLE.includes(error.code) && (
+            <button onClick={() => onJoin()} className={`${BUTTON_CLASS} bg-phantom-purple hover:bg-phantom-purple-light text-white`}>
+              Try again
+            </button>
+          )}
+          <button onClick={onClose} className={`${BUTTON_CLASS} bg-phantom-gray hover:bg-gray-600 text-gray-200`}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default JoinErrorPrompt;
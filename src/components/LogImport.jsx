@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { LOG_FORMATS, parseLog } from '../lib/log-import';
+
+const INPUT_CLASS = 'px-3 py-2 bg-phantom-gray text-white rounded text-sm border border-gray-600 focus:border-phantom-purple focus:outline-none';
+
+/**
+ * Import other clients' log files as browsable history
+ * @param {Object} props
+ * @param {string} props.defaultNick - Our nick in the logs, to mark our own lines
+ * @param {Function} props.onImport - Called with { target, format, filename, messages } per file
+ * @param {Function} props.onClose - Close the dialog
+ */
+function LogImport({ defaultNick, onImport, onClose }) {
+  const [format, setFormat] = useState('');
+  const [target, setTarget] = useState('');
+  const [selfNick, setSelfNick] = useState(defaultNick || '');
+  const [results, setResults] = useState([]);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+
+    const imported = [];
+    for (const file of files) {
+      try {
+        const log = parseLog(await file.text(), {
+          format: format || undefined,
+          filename: file.webkitRelativePath || file.name,
+          target: target.trim() || undefined,
+          selfNick: selfNick.trim() || null
+        });
+        if (log.messages.length > 0) {
+          onImport({ ...log, filename: file.name });
+        }
+        imported.push({ filename: file.name, ...log });
+      } catch (err) {
+        imported.push({ filename: file.name, error: err.message });
+      }
+    }
+    setResults(prev => [...imported, ...prev]);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-phantom-dark p-6 rounded-lg shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto border border-phantom-purple">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-phantom-purple">Import logs</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-xl">×</button>
+        </div>
+
+        <p className="text-sm text-gray-400 mb-4">
+          Logs from irssi, WeeChat, ZNC, HexChat or Textual open as read-only buffers under Imported Logs.
+          Files for the same channel are merged.
+        </p>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <label className="text-xs text-gray-400">
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={`${INPUT_CLASS} w-full mt-1`}>
+              <option value="">Detect</option>
+              {Object.entries(LOG_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-gray-400">
+            Channel
+            <input
+              type="text"
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              className={`${INPUT_CLASS} w-full mt-1`}
+              placeholder="From the filename"
+            />
+          </label>
+          <label className="text-xs text-gray-400">
+            Your nick
+            <input
+              type="text"
+              value={selfNick}
+              onChange={(e) => setSelfNick(e.target.value)}
+              className={`${INPUT_CLASS} w-full mt-1`}
+              placeholder="Marks your lines"
+            />
+          </label>
+        </div>
+
+        <input
+          type="file"
+          multiple
+          accept=".log,.txt,.weechatlog,text/plain"
+          onChange={handleFiles}
+          className="block w-full text-sm text-gray-300 mb-4"
+        />
+
+        {results.length > 0 && (
+          <table className="w-full text-sm">
+            <tbody>
+              {results.map((result, i) => (
+                <tr key={i} className="border-t border-phantom-gray">
+                  <td className="py-2 pr-3 font-mono text-gray-200 break-all">{result.filename}</td>
+                  {result.error ? (
+                    <td className="py-2 text-xs text-red-400">{result.error}</td>
+                  ) : (
+                    <td className="py-2 text-xs text-gray-400">
+                      {result.messages.length} lines into <span className="text-gray-200">{result.target}</span>
+                      {' '}({LOG_FORMATS[result.format]}{result.skipped > 0 && `, ${result.skipped} skipped`})
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LogImport;
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { isValidHighlightRule } from '../lib/highlights';
+import { notificationsSupported, playNotificationSound, requestNotificationPermission } from '../lib/desktop-notify';
+
+/**
+ * Highlight rules and how to be notified about them
+ * @param {Object} props
+ * @param {Object} props.settings - See DEFAULT_HIGHLIGHT_SETTINGS in highlights.js
+ * @param {Function} props.onChange - Called with the changed settings
+ * @param {Function} props.onClose - Close the panel
+ */
+function NotificationSettings({ settings, onChange, onClose }) {
+  // Edited as text so half-typed rules survive; saved as a list
+  const [wordsText, setWordsText] = useState(settings.words.join('\n'));
+  const [permissionError, setPermissionError] = useState(null);
+  const invalidRules = wordsText.split('\n').filter(rule => !isValidHighlightRule(rule));
+
+  const handleWordsChange = (text) => {
+    setWordsText(text);
+    onChange({ words: text.split('\n').map(rule => rule.trim()).filter(Boolean) });
+  };
+
+  const handleDesktopChange = async (enabled) => {
+    setPermissionError(null);
+    if (enabled) {
+      const permission = await requestNotificationPermission();
+      if (permission !== 'granted') {
+        setPermissionError(permission === 'unsupported'
+          ? 'This browser does not support desktop notifications.'
+          : 'Notifications are blocked for this site. Allow them in your browser settings.');
+        return;
+      }
+    }
+    onChange({ desktop: enabled });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-phantom-dark p-6 rounded-lg shadow-2xl w-full max-w-md border border-phantom-purple">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-phantom-purple">Highlights & notifications</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-xl">×</button>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+          <input type="checkbox" checked={settings.nick} onChange={(e) => onChange({ nick: e.target.checked })} />
+          Highlight messages that mention my nick
+        </label>
+
+        <p className="text-sm text-gray-300 mb-1">Also highlight (one per line):</p>
+        <textarea
+          value={wordsText}
+          onChange={(e) => handleWordsChange(e.target.value)}
+          rows={4}
+          className="w-full px-3 py-2 bg-phantom-gray text-white rounded text-sm font-mono border border-gray-600 focus:border-phantom-purple focus:outline-none"
+          placeholder={'rust\nrelease notes\n/\\bv\\d+\\.\\d+/i'}
+        />
+        <p className="text-xs text-gray-500 mb-1">Words match whole words in any case; use /pattern/flags for a regex.</p>
+        {invalidRules.length > 0 && (
+          <p className="text-xs text-red-400 mb-1">Invalid regex, ignored: {invalidRules.join(', ')}</p>
+        )}
+
+        <div className="mt-4 space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.desktop}
+              disabled={!notificationsSupported()}
+              onChange={(e) => handleDesktopChange(e.target.checked)}
+            />
+            Desktop notifications
+          </label>
+          {permissionError && <p className="text-xs text-red-400">{permissionError}</p>}
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={settings.sound} onChange={(e) => onChange({ sound: e.target.checked })} />
+            Play a sound
+            <button onClick={playNotificationSound} className="text-xs text-gray-400 hover:text-white">Test</button>
+          </label>
+        </div>
+
+        <p className="text-xs text-gray-500 mt-4">
+          Each channel decides what notifies (every message, highlights or nothing) from the menu in its header.
+          You're only notified about buffers you aren't looking at.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationSettings;
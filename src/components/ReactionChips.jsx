@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { QUICK_REACTIONS } from '../lib/client-tags';
+
+/**
+ * Reaction chips under a message, plus a picker to add one
+ * @param {Object} props
+ * @param {Object} props.reactions - { emoji: [nick, ...] } (may be undefined)
+ * @param {string} props.nick - Our nick, to highlight our own reactions
+ * @param {boolean} props.canReact - Server supports +draft/react
+ * @param {Function} props.onReact - Called with an emoji
+ */
+function ReactionChips({ reactions = {}, nick, canReact, onReact }) {
+  const [showPicker, setShowPicker] = useState(false);
+  const entries = Object.entries(reactions);
+
+  if (entries.length === 0 && !canReact) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-1">
+      {entries.map(([emoji, nicks]) => {
+        const mine = nicks.includes(nick);
+        return (
+          <button
+            key={emoji}
+            onClick={() => canReact && !mine && onReact(emoji)}
+            title={nicks.join(', ')}
+            className={`px-2 py-0.5 rounded-full text-xs border ${
+              mine ? 'border-phantom-purple bg-phantom-purple bg-opacity-30' : 'border-gray-600 bg-phantom-gray'
+            }`}
+          >
+            {emoji} <span className="text-gray-300">{nicks.length}</span>
+          </button>
+        );
+      })}
+      {canReact && (
+        <div className="relative">
+          <button
+            onClick={() => setShowPicker(!showPicker)}
+            className={`px-2 py-0.5 rounded-full text-xs text-gray-400 hover:text-white border border-transparent hover:border-gray-600 ${
+              entries.length === 0 && !showPicker ? 'opacity-0 group-hover:opacity-100' : ''
+            }`}
+            title="Add reaction"
+          >
+            +☺
+          </button>
+          {showPicker && (
+            <div className="absolute z-10 bottom-full mb-1 flex gap-1 bg-phantom-dark border border-phantom-gray rounded p-1 shadow-lg">
+              {QUICK_REACTIONS.map(emoji => (
+                <button
+                  key={emoji}
+                  onClick={() => {
+                    onReact(emoji);
+                    setShowPicker(false);
+                  }}
+                  className="px-1 hover:bg-phantom-gray rounded"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReactionChips;
@@ -0,0 +1,24 @@
+/**
+ * Unread count for a sidebar buffer: mentions in red, other messages in gray
+ * @param {Object} props
+ * @param {Object} props.summary - From summarizeUnread() (may be null)
+ */
+function UnreadBadge({ summary }) {
+  if (!summary || summary.unread === 0) {
+    return null;
+  }
+
+  const mentions = summary.mentions > 0;
+  return (
+    <span
+      title={mentions ? `${summary.mentions} highlights, ${summary.unread} unread` : `${summary.unread} unread`}
+      className={`ml-auto mr-1 px-1.5 min-w-5 text-center rounded-full text-xs font-bold ${
+        mentions ? 'bg-red-500 text-white' : 'bg-phantom-gray text-gray-300'
+      }`}
+    >
+      {mentions ? summary.mentions : summary.unread}
+    </span>
+  );
+}
+
+export default UnreadBadge;
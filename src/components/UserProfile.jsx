@@ -0,0 +1,117 @@
+import { formatIdle, parseWhoisChannel } from '../lib/user-profile';
+import FormattedMessage from './FormattedMessage';
+
+const BUTTON_CLASS = 'px-3 py-1 rounded text-xs font-medium transition-colors';
+
+/**
+ * One labelled row of the profile; skipped when there is nothing to show
+ */
+function Field({ label, children }) {
+  if (!children) return null;
+  return (
+    <div className="mb-2">
+      <div className="text-xs text-gray-500 uppercase">{label}</div>
+      <div className="text-sm text-gray-200 break-words">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * WHOIS/WHOWAS profile panel for the user list
+ * @param {Object} props
+ * @param {string} props.nick - Nick that was clicked
+ * @param {Object} props.profile - Profile from lookupUser() (null while loading or if unknown)
+ * @param {boolean} props.loading - Lookup in progress
+ * @param {string} props.error - Lookup error, if any
+ * @param {Array} props.prefixes - Server prefixes, to split WHOIS channel entries
+ * @param {Function} props.isChannel - Client isChannel()
+ * @param {boolean} props.isSelf - This is us
+ * @param {boolean} props.ignored - The nick is on the ignore list
+ * @param {boolean} props.canModerate - We have op rights in the current channel
+ * @param {Function} props.onMessage - Open a DM
+ * @param {Function} props.onIgnore - Toggle ignore
+ * @param {Function} props.onKick - Kick from the current channel
+ * @param {Function} props.onBan - Ban from the current channel
+ * @param {Function} props.onChannelClick - Called with a channel name
+ * @param {Function} props.onClose - Close the panel
+ */
+function UserProfile({
+  nick, profile, loading, error, prefixes, isChannel, isSelf, ignored, canModerate,
+  onMessage, onIgnore, onKick, onBan, onChannelClick, onClose
+}) {
+  return (
+    <div className="p-4 border-b border-phantom-gray bg-phantom-darker">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold text-white truncate">{profile?.nick || nick}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">×</button>
+      </div>
+
+      {loading && <div className="text-sm text-gray-400 mb-3">Looking up {nick}...</div>}
+      {error && <div className="text-sm text-red-400 mb-3">{error}</div>}
+      {!loading && !error && !profile && (
+        <div className="text-sm text-gray-400 mb-3">{nick} is not on the network</div>
+      )}
+
+      {profile && (
+        <>
+          {!profile.online && (
+            <div className="text-xs text-yellow-400 mb-2">Offline - last seen with these details</div>
+          )}
+          {profile.away && (
+            <div className="text-xs text-yellow-400 mb-2">Away: {profile.away}</div>
+          )}
+          <Field label="Hostmask"><span className="font-mono text-xs">{profile.hostmask}</span></Field>
+          <Field label="Real name"><FormattedMessage text={profile.realName} /></Field>
+          <Field label="Account">{profile.account}</Field>
+          <Field label="Channels">
+            {profile.channels.length > 0 && profile.channels.map(entry => {
+              const { prefix, channel } = parseWhoisChannel(entry, prefixes, isChannel);
+              return (
+                <span key={entry} className="mr-2">
+                  <span className="text-gray-500">{prefix}</span>
+                  <button onClick={() => onChannelClick(channel)} className="text-phantom-purple-light hover:underline">
+                    {channel}
+                  </button>
+                </span>
+              );
+            })}
+          </Field>
+          <Field label="Idle">
+            {profile.idle !== null && formatIdle(profile.idle)}
+            {profile.signedOn && ` · signed on ${profile.signedOn.toLocaleString()}`}
+          </Field>
+          <Field label="Server">
+            {profile.server && `${profile.server}${profile.serverInfo ? ` (${profile.serverInfo})` : ''}`}
+          </Field>
+          <Field label="Notes">
+            {[profile.operator && 'IRC operator', profile.secure && 'Secure connection', profile.bot && 'Bot']
+              .filter(Boolean).join(' · ')}
+          </Field>
+        </>
+      )}
+
+      {!isSelf && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button onClick={onMessage} className={`${BUTTON_CLASS} bg-phantom-purple hover:bg-phantom-purple-light text-white`}>
+            Message
+          </button>
+          <button onClick={onIgnore} className={`${BUTTON_CLASS} bg-phantom-gray hover:bg-gray-600 text-gray-200`}>
+            {ignored ? 'Unignore' : 'Ignore'}
+          </button>
+          {canModerate && (
+            <>
+              <button onClick={onKick} className={`${BUTTON_CLASS} bg-red-900 hover:bg-red-800 text-red-100`}>
+                Kick
+              </button>
+              <button onClick={onBan} className={`${BUTTON_CLASS} bg-red-900 hover:bg-red-800 text-red-100`}>
+                Ban
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UserProfile;
@@ -6,6 +6,19 @@
  */
 
 import { createProvider, detectProvider, getProviderInfo } from './ai-providers.js';
+import { stripFormatting } from './irc-format.js';
+
+/**
+ * One chat line for a prompt, without mIRC control codes
+ * @param {Object} m - Message object
+ * @returns {string} e.g. '[10:42:01] <alice> hello' or '[10:42:05] * alice waves'
+ */
+function formatPromptLine(m) {
+  const text = stripFormatting(m.text);
+  return m.type === 'action'
+    ? `[${m.time.toLocaleTimeString()}] * ${m.from} ${text}`
+    : `[${m.time.toLocaleTimeString()}] <${m.from}> ${text}`;
+}
 
 class PhantomAI {
   constructor(apiKey) {
@@ -43,7 +56,7 @@ class PhantomAI {
       const prompt = `Analyze if this IRC message is spam. Reply with ONLY "SPAM" or "LEGITIMATE" followed by confidence (0-100) and reason.
 
 Channel: ${channel}
-Message: "${message}"
+Message: "${stripFormatting(message)}"
 
 Format: [SPAM/LEGITIMATE]|[0-100]|[reason]`;
 
@@ -77,9 +90,7 @@ Format: [SPAM/LEGITIMATE]|[0-100]|[reason]`;
     }
 
     try {
-      const messageText = messages.map(m =>
-        `[${m.time.toLocaleTimeString()}] <${m.from}> ${m.message}`
-      ).join('\n');
+      const messageText = messages.map(formatPromptLine).join('\n');
 
       const prompt = `Summarize this IRC conversation in ${channel}. Focus on main topics, decisions, and important links. Be concise (2-3 sentences max).
 
@@ -106,6 +117,7 @@ Summary:`;
     }
 
     try {
+      message = stripFormatting(message);
       const mentionsUser = message.toLowerCase().includes(userNick.toLowerCase());
       if (mentionsUser) {
         return { priority: 'high', reason: 'Direct mention' };
@@ -118,7 +130,47 @@ Message: "${message}"
 Priority:`;
 
       const result = await this.provider.chat(prompt, { maxTokens: 50 });
-      const priority = result.toLowerCase();
+      const priority = result.trim().toLowerCase();
+
+      return {
+        priority: ['high', 'medium', 'low'].includes(priority) ? priority : 'medium',
+        reason: 'AI analysis'
+      };
+    } catch (error) {
+      console.error('AI notification priority failed:', error);
+      return { priority: 'medium', reason: 'AI error' };
+    }
+  }
+
+  /**
+   * Get one notification priority for a burst of messages (one API call
+   * however busy the channel is)
+   * @param {Array} messages - Message objects ({ from, text }), oldest first
+   * @param {string} userNick - Current user's nickname
+   * @returns {Promise<Object>} { priority: 'high'|'medium'|'low', reason: string } of the most important one
+   */
+  async getBatchNotificationPriority(messages, userNick) {
+    if (messages.length === 1) {
+      return this.getNotificationPriority(messages[0].text, userNick);
+    }
+    if (!this.enabled) {
+      return { priority: 'medium', reason: 'AI disabled' };
+    }
+
+    try {
+      const recent = messages.slice(-20);
+      if (recent.some(m => m.text.toLowerCase().includes(userNick.toLowerCase()))) {
+        return { priority: 'high', reason: 'Direct mention' };
+      }
+
+      const prompt = `Rate notification priority for the most important of these IRC messages. Reply ONLY with: HIGH, MEDIUM, or LOW
+
+${recent.map(m => `<${m.from}> ${stripFormatting(m.text)}`).join('\n')}
+
+Priority:`;
+
+      const result = await this.provider.chat(prompt, { maxTokens: 50 });
+      const priority = result.trim().toLowerCase();
 
       return {
         priority: ['high', 'medium', 'low'].includes(priority) ? priority : 'medium',
@@ -146,9 +198,7 @@ Priority:`;
     }
 
     try {
-      const messageText = messages.map(m =>
-        `[${m.time.toLocaleTimeString()}] <${m.from}> ${m.message}`
-      ).join('\n');
+      const messageText = messages.map(formatPromptLine).join('\n');
 
       const prompt = `Analyze this IRC conversation for an AI developer who was away. Extract:
 1. Main topics discussed (max 3)
@@ -189,7 +239,7 @@ ${messageText}`;
     const snippets = [];
 
     for (const msg of messages) {
-      const codeBlockMatches = [...msg.message.matchAll(/```(\w+)?\n([\s\S]+?)```/g)];
+      const codeBlockMatches = [...stripFormatting(msg.text).matchAll(/```(\w+)?\n([\s\S]+?)```/g)];
 
       for (const match of codeBlockMatches) {
         const language = match[1] || 'unknown';
@@ -216,7 +266,7 @@ ${code}`;
             context: purpose,
             category,
             timestamp: msg.time,
-            channel: msg.to || 'unknown'
+            channel: msg.target || 'unknown'
           });
         } catch (error) {
           console.error('Code analysis failed:', error);
@@ -227,7 +277,7 @@ ${code}`;
             context: 'Code snippet',
             category: 'general',
             timestamp: msg.time,
-            channel: msg.to || 'unknown'
+            channel: msg.target || 'unknown'
           });
         }
       }
@@ -249,7 +299,7 @@ ${code}`;
 
     try {
       const qaText = pastAnswers.slice(-20).map((qa, idx) =>
-        `Q${idx}: ${qa.question}\nA${idx}: ${qa.answer}\n---`
+        `Q${idx}: ${stripFormatting(qa.question)}\nA${idx}: ${stripFormatting(qa.answer)}\n---`
       ).join('\n');
 
       const prompt = `Check if this new question was already answered before. Reply with:
@@ -258,7 +308,7 @@ MATCH_ID: Q<number> (if YES)
 SIMILARITY: 0-100 (how similar)
 SUGGESTED_ANSWER: <the previous answer if FOUND=YES, otherwise "none">
 
-New Question: "${question}"
+New Question: "${stripFormatting(question)}"
 
 Past Q&A:
 ${qaText}`;
@@ -0,0 +1,74 @@
+/**
+ * Away Status
+ *
+ * With away-notify the server tells us whenever someone in our channels
+ * goes away or comes back, so the user list can show it without polling.
+ * For ourselves: auto-away after a stretch of inactivity, and a list of
+ * the mentions we missed to show when we come back.
+ *
+ * https://ircv3.net/specs/extensions/away-notify
+ */
+
+export const DEFAULT_AUTO_AWAY = {
+  enabled: true,
+  idleMinutes: 15,
+  message: 'Auto-away (idle)'
+};
+
+// Characters allowed in nicks besides letters and digits (RFC 2812 "special")
+const NICK_CHARS = '\\w\\[\\]\\\\`^{}|-';
+
+/**
+ * Check whether a message mentions a nick as a whole word
+ * @param {string} text - Message text (formatting already stripped)
+ * @param {string} nick - Nick to look for
+ * @returns {boolean}
+ */
+export function mentionsNick(text, nick) {
+  if (!text || !nick) {
+    return false;
+  }
+  const escaped = nick.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+  return new RegExp(`(^|[^${NICK_CHARS}])${escaped}($|[^${NICK_CHARS}])`, 'i').test(text);
+}
+
+/**
+ * Apply an away change to a user list entry
+ * @param {Object} user - { nick, ..., away, awayMessage }
+ * @param {boolean} away - Whether they are away now
+ * @param {string} message - Away message ('' if unknown)
+ * @returns {Object} Updated user
+ */
+export function setUserAway(user, away, message = '') {
+  return { ...user, away, awayMessage: away ? message : '' };
+}
+
+/**
+ * Describe an away user for a tooltip
+ * @param {Object} user - User list entry
+ * @returns {string} e.g. 'Away: lunch', or '' if present
+ */
+export function describeAway(user) {
+  if (!user.away) {
+    return '';
+  }
+  return user.awayMessage ? `Away: ${user.awayMessage}` : 'Away';
+}
+
+/**
+ * Group missed mentions by buffer for the "while you were away" summary
+ * @param {Array} mentions - Messages (see createMessage() in client-contract.js)
+ * @returns {Array} [{ target, mentions }] in order of first mention
+ */
+export function groupMentions(mentions) {
+  const groups = [];
+  for (const mention of mentions) {
+    let group = groups.find(g => g.target === mention.target);
+    if (!group) {
+      group = { target: mention.target, mentions: [] };
+      groups.push(group);
+    }
+    group.mentions.push(mention);
+  }
+  return groups;
+}
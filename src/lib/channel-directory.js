@@ -0,0 +1,126 @@
+/**
+ * Channel Directory
+ *
+ * LIST returns every public channel on the server, which can be tens of
+ * thousands on a big network. Servers advertising ELIST in ISUPPORT can
+ * filter by user count (U) and name mask (M) themselves; otherwise we ask
+ * for everything and filter here. Results are filtered here either way, so
+ * servers that ignore part of the request still show the right channels.
+ *
+ * https://modern.ircdocs.horse/#list-message
+ */
+
+import { stripFormatting } from './irc-format.js';
+
+export const DIRECTORY_SORTS = {
+  USERS: 'users',
+  NAME: 'name',
+  TOPIC: 'topic'
+};
+
+/**
+ * Build LIST parameters for the filters the server can apply itself
+ * @param {Object} filters
+ * @param {string} filters.search - Text to look for in channel names (optional)
+ * @param {number} filters.minUsers - Smallest user count to include (optional)
+ * @param {string} elist - ISUPPORT ELIST value (e.g., 'CMNTU'), or '' if unsupported
+ * @returns {Array<string>} Parameters for LIST (empty = list everything)
+ */
+export function buildListParams({ search, minUsers } = {}, elist = '') {
+  const conditions = [];
+  const flags = (elist || '').toUpperCase();
+
+  if (minUsers > 1 && flags.includes('U')) {
+    // '>N' means more than N users
+    conditions.push(`>${minUsers - 1}`);
+  }
+  const term = (search || '').trim();
+  if (term && !/[\s,]/.test(term) && flags.includes('M')) {
+    conditions.push(/[*?]/.test(term) ? term : `*${term}*`);
+  }
+
+  return conditions.length ? [conditions.join(',')] : [];
+}
+
+/**
+ * Normalize an RPL_LIST entry
+ * @param {Object} entry - { channel, num_users, topic } from irc-framework
+ * @returns {Object} { name, users, topic }
+ */
+export function normalizeListEntry(entry) {
+  return {
+    name: entry.channel,
+    users: Number(entry.num_users) || 0,
+    topic: entry.topic || ''
+  };
+}
+
+/**
+ * Turn a search term into a matcher; '*' and '?' work as wildcards
+ * @param {string} search - Search text
+ * @returns {Function} (text) -> boolean
+ */
+function createMatcher(search) {
+  const term = (search || '').trim().toLowerCase();
+  if (!/[*?]/.test(term)) {
+    return text => text.toLowerCase().includes(term);
+  }
+
+  const pattern = term
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  const regex = new RegExp(`^${pattern}$`);
+  return text => regex.test(text.toLowerCase());
+}
+
+/**
+ * Filter directory entries by search text and user count
+ * @param {Array} channels - Entries from normalizeListEntry()
+ * @param {Object} filters
+ * @param {string} filters.search - Matched against names, and against topics
+ *   unless it contains wildcards
+ * @param {number} filters.minUsers - Smallest user count to include
+ * @returns {Array} Matching entries
+ */
+export function filterChannels(channels, { search, minUsers } = {}) {
+  const matches = createMatcher(search);
+  const wildcard = /[*?]/.test(search || '');
+
+  return channels.filter(channel => {
+    if (minUsers && channel.users < minUsers) {
+      return false;
+    }
+    if (!search || !search.trim()) {
+      return true;
+    }
+    return matches(channel.name) || (!wildcard && matches(stripFormatting(channel.topic)));
+  });
+}
+
+/**
+ * Sort directory entries
+ * @param {Array} channels - Entries from normalizeListEntry()
+ * @param {string} sortBy - One of DIRECTORY_SORTS
+ * @param {boolean} descending - Reverse the order (users sort biggest first by default)
+ * @returns {Array} New sorted list
+ */
+export function sortChannels(channels, sortBy = DIRECTORY_SORTS.USERS, descending = sortBy === DIRECTORY_SORTS.USERS) {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  const compare = {
+    [DIRECTORY_SORTS.USERS]: (a, b) => a.users - b.users || byName(b, a),
+    [DIRECTORY_SORTS.NAME]: byName,
+    [DIRECTORY_SORTS.TOPIC]: (a, b) => {
+      const topicA = stripFormatting(a.topic).trim();
+      const topicB = stripFormatting(b.topic).trim();
+      // Channels without a topic go last either way
+      if (!topicA || !topicB) {
+        return (descending ? -1 : 1) * (!topicA - !topicB) || byName(a, b);
+      }
+      return topicA.localeCompare(topicB, undefined, { sensitivity: 'base' }) || byName(a, b);
+    }
+  }[sortBy] || byName;
+
+  const sorted = [...channels].sort(compare);
+  return descending ? sorted.reverse() : sorted;
+}
@@ -0,0 +1,162 @@
+/**
+ * Channel Mode and User Prefix Helpers
+ *
+ * Servers advertise their prefixes in ISUPPORT PREFIX (e.g. (qaohv)~&@%+),
+ * ordered from highest rank to lowest. A user may hold several at once with
+ * multi-prefix, and the highest one is what gets shown.
+ */
+
+export const DEFAULT_PREFIXES = [
+  { symbol: '~', mode: 'q' },
+  { symbol: '&', mode: 'a' },
+  { symbol: '@', mode: 'o' },
+  { symbol: '%', mode: 'h' },
+  { symbol: '+', mode: 'v' }
+];
+
+export const PREFIX_LABELS = {
+  q: 'Owner',
+  a: 'Admin',
+  o: 'Operator',
+  h: 'Half-op',
+  v: 'Voice'
+};
+
+// Modes that take a parameter when set (list modes also take one when unset)
+const LIST_MODES = ['b', 'e', 'I'];
+const PARAM_MODES = ['k', 'l', 'f', 'j'];
+
+/**
+ * Rank of a user's highest prefix (0 = highest, prefixes.length = none)
+ * @param {Object} user - { nick, modes }
+ * @param {Array} prefixes - [{ symbol, mode }] highest first
+ * @returns {number}
+ */
+export function getUserRank(user, prefixes = DEFAULT_PREFIXES) {
+  const index = prefixes.findIndex(p => (user.modes || []).includes(p.mode));
+  return index === -1 ? prefixes.length : index;
+}
+
+/**
+ * Check whether a user may kick and ban (half-op or above, or op where
+ * the server has no half-ops)
+ * @param {Object} user - { nick, modes }
+ * @param {Array} prefixes - [{ symbol, mode }] highest first
+ * @returns {boolean}
+ */
+export function hasOpRights(user, prefixes = DEFAULT_PREFIXES) {
+  const modes = prefixes.map(p => p.mode);
+  const lowest = modes.includes('h') ? modes.indexOf('h') : modes.indexOf('o');
+  return lowest !== -1 && getUserRank(user, prefixes) <= lowest;
+}
+
+/**
+ * Symbol of a user's highest prefix
+ * @param {Object} user - { nick, modes }
+ * @param {Array} prefixes - [{ symbol, mode }] highest first
+ * @returns {string} e.g. '@', or '' for regular users
+ */
+export function getUserPrefix(user, prefixes = DEFAULT_PREFIXES) {
+  return prefixes[getUserRank(user, prefixes)]?.symbol || '';
+}
+
+/**
+ * Sort users by rank, then nick
+ * @param {Array} users - [{ nick, modes }]
+ * @param {Array} prefixes - [{ symbol, mode }] highest first
+ * @returns {Array} New sorted array
+ */
+export function sortUsers(users, prefixes = DEFAULT_PREFIXES) {
+  return [...users].sort((a, b) =>
+    getUserRank(a, prefixes) - getUserRank(b, prefixes) ||
+    a.nick.toLowerCase().localeCompare(b.nick.toLowerCase())
+  );
+}
+
+/**
+ * Parse a mode string like '+o-v+l' with its arguments
+ * @param {string} modeString - Mode string
+ * @param {Array<string>} args - Mode arguments in order
+ * @param {Array} prefixes - [{ symbol, mode }]
+ * @returns {Array} [{ mode: '+o', param }] (same shape as irc-framework)
+ */
+export function parseModeString(modeString, args = [], prefixes = DEFAULT_PREFIXES) {
+  const prefixModes = prefixes.map(p => p.mode);
+  const changes = [];
+  let adding = true;
+  let argIndex = 0;
+
+  for (const char of modeString) {
+    if (char === '+' || char === '-') {
+      adding = char === '+';
+      continue;
+    }
+
+    const takesParam = prefixModes.includes(char) ||
+      LIST_MODES.includes(char) ||
+      (adding && PARAM_MODES.includes(char));
+    changes.push({
+      mode: (adding ? '+' : '-') + char,
+      param: takesParam ? args[argIndex++] : undefined
+    });
+  }
+  return changes;
+}
+
+/**
+ * Apply MODE changes to a channel's modes and user list
+ * @param {Object} channelModes - Current modes, e.g. { n: true, t: true, k: 'secret' }
+ * @param {Array} users - Current users [{ nick, modes }]
+ * @param {Array} changes - [{ mode: '+o', param }]
+ * @param {Object} options
+ * @param {Array} options.prefixes - [{ symbol, mode }]
+ * @param {Function} options.compare - Nick comparison (default: case-insensitive)
+ * @returns {Object} { modes, users } - new objects; list modes (bans etc.) are skipped
+ */
+export function applyModeChanges(channelModes, users, changes, {
+  prefixes = DEFAULT_PREFIXES,
+  compare = (a, b) => a.toLowerCase() === b.toLowerCase()
+} = {}) {
+  const prefixModes = prefixes.map(p => p.mode);
+  const modes = { ...channelModes };
+  let nextUsers = users;
+
+  for (const { mode, param } of changes) {
+    const adding = mode[0] === '+';
+    const char = mode[1];
+
+    if (prefixModes.includes(char)) {
+      nextUsers = nextUsers.map(user => {
+        if (!param || !compare(user.nick, param)) {
+          return user;
+        }
+        const userModes = (user.modes || []).filter(m => m !== char);
+        return { ...user, modes: adding ? [...userModes, char] : userModes };
+      });
+    } else if (!LIST_MODES.includes(char)) {
+      if (adding) {
+        modes[char] = param ?? true;
+      } else {
+        delete modes[char];
+      }
+    }
+  }
+
+  return { modes, users: nextUsers };
+}
+
+/**
+ * Format channel modes for display
+ * @param {Object} modes - e.g. { n: true, t: true, l: '50' }
+ * @returns {string} e.g. '+ntl 50', or '' when no modes are set
+ */
+export function formatModes(modes) {
+  const chars = Object.keys(modes || {}).sort();
+  if (chars.length === 0) {
+    return '';
+  }
+
+  // Never show the channel key itself
+  const params = chars.filter(c => modes[c] !== true && c !== 'k').map(c => modes[c]);
+  return ['+' + chars.join(''), ...params].join(' ');
+}
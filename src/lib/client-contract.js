@@ -0,0 +1,156 @@
+/**
+ * IRC Client Contract
+ *
+ * PhantomIRCClient (real servers) and MockIRCClient (demo mode) are
+ * interchangeable: the same methods, the same events with the same payloads,
+ * and the same message objects. Anything built on top of a client should only
+ * rely on what is described here.
+ *
+ * Events (register with on(); any number of listeners per event):
+ *   onConnect      ()                                     registered with the server
+ *   onStatus       ({ state, attempt, delay, reason })    one of CONNECTION_STATES
+ *   onMessage      (message)                              see createMessage(); has `replaces`
+ *                                                        when it takes the place of an earlier id
+ *   onQuery        ({ nick })                             a query buffer was opened
+ *   onJoin         ({ channel, nick })
+ *   onPart         ({ channel, nick, kickedBy, reason })  kicks are parts with kickedBy set
+ *   onJoinError    ({ channel, error, withKey })          error is an IRCError from joinError();
+ *                                                        withKey when the refused JOIN sent a key
+ *   onInvite       ({ channel, from })                    someone invited us
+ *   onError        (error)                                an Error
+ *   onUserList     ({ channel, users })
+ *   onChannelInfo  ({ channel, topic, topicSetBy, topicSetAt, modes })
+ *   onNick         ({ oldNick, newNick, self, query })
+ *   onCtcp         ({ kind, from, target, type, params, replied, rtt, time })
+ *   onChannelList  ({ channels, done })
+ *   onAway         ({ away, message, since, mentions })
+ *   onTyping       ({ target, nick, state })
+ */
+
+import { EVENT_TYPES } from './system-events.js';
+
+export const CLIENT_EVENTS = [
+  'onConnect',
+  'onStatus',
+  'onMessage',
+  'onQuery',
+  'onJoin',
+  'onPart',
+  'onJoinError',
+  'onInvite',
+  'onError',
+  'onUserList',
+  'onChannelInfo',
+  'onNick',
+  'onCtcp',
+  'onChannelList',
+  'onAway',
+  'onTyping'
+];
+
+// Chat lines; system events (EVENT_TYPES) share the timeline with them
+export const CHAT_TYPES = ['privmsg', 'notice', 'action', 'system'];
+
+export const MESSAGE_TYPES = [...CHAT_TYPES, ...EVENT_TYPES];
+
+/**
+ * Build a timeline message
+ * Every message a client stores or emits has these fields; type-specific
+ * extras (replyTo, reactions, newNick, kicked, pending, historical, ...)
+ * ride along beside them.
+ * @param {Object} fields
+ * @param {string} fields.id - msgid from the server, or one the client made up
+ * @param {string} fields.network - Network id the client was created with (null if standalone)
+ * @param {string} fields.target - Buffer it belongs to: channel, query nick or '*server'
+ * @param {string} fields.from - Sender nick (null for server notices)
+ * @param {string} fields.text - Message text, IRC formatting intact
+ * @param {Date|number|string} fields.time - When it was sent
+ * @param {string} fields.type - One of MESSAGE_TYPES (default: 'privmsg')
+ * @param {Object} fields.tags - IRCv3 message tags (default: {})
+ * @param {boolean} fields.self - We sent it (default: false)
+ * @returns {Object} Message
+ */
+export function createMessage({
+  id,
+  network = null,
+  target,
+  from = null,
+  text = '',
+  time = new Date(),
+  type = 'privmsg',
+  tags = {},
+  self = false,
+  ...extra
+}) {
+  return {
+    id,
+    network,
+    target,
+    from,
+    text,
+    time: time instanceof Date ? time : new Date(time),
+    type,
+    tags,
+    self,
+    ...extra
+  };
+}
+
+/**
+ * Event registration shared by both clients and the NetworkManager
+ */
+class ClientEmitter {
+  /**
+   * @param {Array<string>} events - Event names listeners may register for
+   */
+  constructor(events = CLIENT_EVENTS) {
+    this.listeners = {};
+    events.forEach(event => {
+      this.listeners[event] = [];
+    });
+  }
+
+  /**
+   * Add a listener
+   * @param {string} event - Event name ('onConnect', 'onMessage', etc.)
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Removes the listener again
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+    this.listeners[event].push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   * @param {string} event - Event name
+   * @param {Function} listener - The function passed to on()
+   */
+  off(event, listener) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+    }
+  }
+
+  /**
+   * Call every listener of an event
+   * A listener that throws is logged and doesn't stop the others.
+   * @param {string} event - Event name
+   * @param {...*} args - Payload
+   */
+  emit(event, ...args) {
+    // Copy, so listeners can remove themselves while we iterate
+    [...(this.listeners[event] || [])].forEach(listener => {
+      try {
+        listener(...args);
+      } catch (err) {
+        console.error(`Error in ${event} listener:`, err);
+      }
+    });
+  }
+}
+
+export default ClientEmitter;
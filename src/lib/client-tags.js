@@ -0,0 +1,100 @@
+/**
+ * IRCv3 Client Tags: Replies, Reactions and Typing
+ *
+ * Client-only tags (the '+' prefix) ride on PRIVMSG or on TAGMSG, which
+ * carries tags and no text. They need the message-tags capability; on
+ * servers without it, replies fall back to the classic 'nick: ' prefix and
+ * reactions and typing notifications are simply not sent.
+ *
+ * https://ircv3.net/specs/client-tags/reply
+ * https://ircv3.net/specs/client-tags/react
+ * https://ircv3.net/specs/client-tags/typing
+ */
+
+export const REPLY_TAG = '+draft/reply';
+export const REACT_TAG = '+draft/react';
+export const TYPING_TAG = '+typing';
+
+export const TYPING_STATES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  DONE: 'done'
+};
+
+// Send 'active' at most this often while the user keeps typing (spec: 3s)
+export const TYPING_THROTTLE = 3000;
+// Forget a typing notification after this long without an update (spec: 6s / 30s)
+export const TYPING_EXPIRY = {
+  [TYPING_STATES.ACTIVE]: 6000,
+  [TYPING_STATES.PAUSED]: 30000
+};
+
+// Reactions offered in the picker
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👀'];
+
+/**
+ * Check whether a tag value is usable as a reaction (spec: short, no spaces)
+ * @param {string} value - Tag value
+ * @returns {boolean}
+ */
+export function isValidReaction(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 32 && !/\s/.test(value);
+}
+
+/**
+ * Add a reaction to a message's reaction map
+ * @param {Object} reactions - { emoji: [nick, ...] } (may be undefined)
+ * @param {string} emoji - Reaction
+ * @param {string} nick - Who reacted
+ * @returns {Object} New map; unchanged if they already reacted with it
+ */
+export function addReaction(reactions = {}, emoji, nick) {
+  const nicks = reactions[emoji] || [];
+  if (nicks.includes(nick)) {
+    return reactions;
+  }
+  return { ...reactions, [emoji]: [...nicks, nick] };
+}
+
+/**
+ * Describe who is typing
+ * @param {Array<string>} nicks - Nicks currently typing
+ * @returns {string} e.g. 'alice is typing…', '' if nobody
+ */
+export function describeTyping(nicks) {
+  if (nicks.length === 0) {
+    return '';
+  }
+  if (nicks.length === 1) {
+    return `${nicks[0]} is typing…`;
+  }
+  if (nicks.length <= 3) {
+    return `${nicks.slice(0, -1).join(', ')} and ${nicks[nicks.length - 1]} are typing…`;
+  }
+  return 'Several people are typing…';
+}
+
+/**
+ * Throttle outgoing 'active' notifications per target
+ * @param {number} interval - Minimum time between two 'active' sends
+ * @returns {Function} shouldSend(target, state, now) -> boolean
+ */
+export function createTypingThrottle(interval = TYPING_THROTTLE) {
+  const lastActive = {};
+  const lastState = {};
+  return (target, state, now = Date.now()) => {
+    const previous = lastState[target];
+    lastState[target] = state;
+
+    if (state !== TYPING_STATES.ACTIVE) {
+      delete lastActive[target];
+      // Only worth saying we stopped if we said we started
+      return !!previous && previous !== TYPING_STATES.DONE && previous !== state;
+    }
+    if (previous === TYPING_STATES.ACTIVE && now - lastActive[target] < interval) {
+      return false;
+    }
+    lastActive[target] = now;
+    return true;
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Slash Commands
+ *
+ * Turns "/join #rust" style input from the message box into client calls.
+ * Works the same against PhantomIRCClient and MockIRCClient.
+ *
+ * Input starting with '//' is sent as a normal message without the first
+ * slash, so "//usr/bin" can still be pasted into a channel.
+ */
+
+/**
+ * Split argument text into at most `count` parts; the last part keeps the rest
+ * @param {string} text - Argument text
+ * @param {number} count - Maximum number of parts
+ * @returns {Array<string>} e.g. splitArgs('nick hello there', 2) -> ['nick', 'hello there']
+ */
+export function splitArgs(text, count = Infinity) {
+  const parts = [];
+  let rest = text.trim();
+
+  while (rest && parts.length < count - 1) {
+    const match = rest.match(/^(\S+)\s*/);
+    parts.push(match[1]);
+    rest = rest.slice(match[0].length);
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Parse message box input
+ * @param {string} input - Raw input
+ * @returns {Object|null} { name, argText } or null if this is a plain message
+ */
+export function parseCommand(input) {
+  const match = input.match(/^\/(\S+)\s*([\s\S]*)$/);
+  if (!match || input.startsWith('//')) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  return {
+    name: ALIASES[name] || name,
+    argText: match[2]
+  };
+}
+
+/**
+ * Prefix '#' when a channel name was given without one
+ * @param {Object} client - IRC client
+ * @param {string} name - Channel name from the user
+ * @returns {string}
+ */
+function normalizeChannel(client, name) {
+  return client.isChannel(name) ? name : '#' + name;
+}
+
+/**
+ * Resolve an optional leading channel argument, falling back to the current buffer
+ * @param {Object} context - Command context
+ * @param {Array<string>} args - Parsed args (args[0] may be a channel)
+ * @returns {Object|null} { channel, rest } or null if there is no channel
+ */
+function takeChannel(context, args) {
+  if (args[0] && context.client.isChannel(args[0])) {
+    return { channel: args[0], rest: args.slice(1) };
+  }
+  if (context.target && context.client.isChannel(context.target)) {
+    return { channel: context.target, rest: args };
+  }
+  return null;
+}
+
+// Built-in commands: usage is shown when the arguments don't fit; `local`
+// ones need no server and also work while disconnected
+export const COMMANDS = {
+  join: {
+    usage: '/join <#channel> [key]',
+    description: 'Join a channel',
+    args: 2,
+    minArgs: 1,
+    run: ({ client }, [channel, key]) => {
+      client.joinChannel(normalizeChannel(client, channel), key);
+    }
+  },
+  part: {
+    usage: '/part [#channel] [reason]',
+    description: 'Leave a channel (default: this one)',
+    args: 2,
+    run: (context, args) => {
+      const resolved = takeChannel(context, args);
+      if (!resolved) {
+        return { error: 'Not in a channel. Usage: /part <#channel> [reason]' };
+      }
+      // The reason may have been split if no channel was given
+      const reason = args[0] === resolved.channel ? resolved.rest[0] : args.join(' ');
+      context.client.partChannel(resolved.channel, reason || undefined);
+    }
+  },
+  msg: {
+    usage: '/msg <nick|#channel> <message>',
+    description: 'Send a message without switching buffers',
+    args: 2,
+    minArgs: 2,
+    run: ({ client }, [target, text]) => {
+      client.sendMessage(target, text);
+    }
+  },
+  query: {
+    usage: '/query <nick> [message]',
+    description: 'Open a direct message with a user',
+    args: 2,
+    minArgs: 1,
+    run: ({ client, openBuffer }, [nick, text]) => {
+      if (client.isChannel(nick)) {
+        return { error: `${nick} is a channel. Use /join instead.` };
+      }
+      const target = client.openQuery(nick);
+      if (text) {
+        client.sendMessage(target, text);
+      }
+      openBuffer(target);
+    }
+  },
+  me: {
+    usage: '/me <action>',
+    description: 'Send an action (e.g., /me waves)',
+    args: 1,
+    minArgs: 1,
+    needsTarget: true,
+    run: ({ client, target }, [text]) => {
+      client.sendAction(target, text);
+    }
+  },
+  ctcp: {
+    usage: '/ctcp <nick|#channel> <type> [params]',
+    description: 'Send a CTCP request (VERSION, PING, TIME, CLIENTINFO)',
+    args: 3,
+    minArgs: 2,
+    run: ({ client }, [target, type, params]) => {
+      client.sendCtcp(target, type, params);
+      return { info: `CTCP ${type.toUpperCase()} sent to ${target}` };
+    }
+  },
+  nick: {
+    usage: '/nick <newnick>',
+    description: 'Change your nick',
+    args: 1,
+    minArgs: 1,
+    run: ({ client }, [nick]) => {
+      if (/\s/.test(nick)) {
+        return { error: 'Nicks cannot contain spaces' };
+      }
+      client.changeNick(nick);
+    }
+  },
+  topic: {
+    usage: '/topic [#channel] [new topic]',
+    description: 'Show or set the channel topic',
+    args: 2,
+    run: (context, args) => {
+      const resolved = takeChannel(context, args);
+      if (!resolved) {
+        return { error: 'Not in a channel. Usage: /topic <#channel> [new topic]' };
+      }
+      const topic = args[0] === resolved.channel ? resolved.rest[0] : args.join(' ');
+      context.client.setTopic(resolved.channel, topic || undefined);
+    }
+  },
+  whois: {
+    usage: '/whois <nick>',
+    description: 'Look up a user',
+    args: 1,
+    minArgs: 1,
+    run: async ({ client }, [nick]) => {
+      const info = await client.whois(nick);
+      if (!info || info.error) {
+        return { info: `${nick}: no such nick` };
+      }
+
+      const lines = [`${info.nick} is ${info.ident}@${info.hostname} (${info.real_name || ''})`];
+      if (info.account) lines.push(`${info.nick} is logged in as ${info.account}`);
+      if (info.channels) lines.push(`${info.nick} is on ${info.channels}`);
+      if (info.server) lines.push(`${info.nick} is connected to ${info.server}`);
+      if (info.away) lines.push(`${info.nick} is away: ${info.away}`);
+      return { info: lines.join('\n') };
+    }
+  },
+  mode: {
+    usage: '/mode [#channel|nick] <modes> [args...]',
+    description: 'Change channel or user modes',
+    minArgs: 1,
+    run: (context, args) => {
+      // "/mode +m" applies to the current channel
+      const explicit = !/^[+-]/.test(args[0]);
+      const target = explicit ? args[0] : context.target;
+      const [modes, ...modeArgs] = explicit ? args.slice(1) : args;
+      if (!target || !modes) {
+        return { error: `Usage: ${COMMANDS.mode.usage}` };
+      }
+      context.client.setMode(target, modes, modeArgs);
+    }
+  },
+  kick: {
+    usage: '/kick <nick> [reason]',
+    description: 'Kick a user from this channel',
+    args: 2,
+    minArgs: 1,
+    channelOnly: true,
+    run: ({ client, target }, [nick, reason]) => {
+      client.kick(target, nick, reason);
+    }
+  },
+  ban: {
+    usage: '/ban <nick|mask>',
+    description: 'Ban a user or nick!user@host mask from this channel',
+    args: 1,
+    minArgs: 1,
+    channelOnly: true,
+    run: ({ client, target }, [who]) => {
+      const mask = /[!@*]/.test(who) ? who : `${who}!*@*`;
+      client.ban(target, mask);
+    }
+  },
+  invite: {
+    usage: '/invite <nick> [#channel]',
+    description: 'Invite a user (default: to this channel)',
+    args: 2,
+    minArgs: 1,
+    run: ({ client, target }, [nick, channel]) => {
+      const into = channel || target;
+      if (!into || !client.isChannel(into)) {
+        return { error: `Usage: ${COMMANDS.invite.usage}` };
+      }
+      client.invite(nick, into);
+    }
+  },
+  away: {
+    usage: '/away [message]',
+    description: 'Mark yourself away; no message marks you back',
+    args: 1,
+    run: ({ client }, [message]) => {
+      if (!message && !client.getAway()) {
+        return { info: 'You are not marked away' };
+      }
+      // The server's 306/305 reply (onAway) updates the away status, not us
+      client.setAway(message);
+    }
+  },
+  quote: {
+    usage: '/quote <raw IRC line>',
+    description: 'Send a raw line to the server',
+    args: 1,
+    minArgs: 1,
+    run: ({ client }, [line]) => {
+      client.raw(line);
+    }
+  },
+  clear: {
+    usage: '/clear',
+    description: 'Clear this buffer',
+    args: 0,
+    needsTarget: true,
+    local: true,
+    run: ({ client, target, clearBuffer }) => {
+      client.clearMessages(target);
+      clearBuffer(target);
+    }
+  },
+  help: {
+    usage: '/help [command]',
+    description: 'List commands',
+    args: 1,
+    local: true,
+    run: (context, [name]) => {
+      if (name) {
+        const command = COMMANDS[ALIASES[name.toLowerCase()] || name.toLowerCase().replace(/^\//, '')];
+        return command
+          ? { info: `${command.usage} - ${command.description}` }
+          : { error: `Unknown command: /${name}` };
+      }
+      return { info: Object.values(COMMANDS).map(c => `${c.usage} - ${c.description}`).join('\n') };
+    }
+  }
+};
+
+const ALIASES = {
+  j: 'join',
+  leave: 'part',
+  privmsg: 'msg',
+  q: 'query',
+  raw: 'quote',
+  wi: 'whois',
+  t: 'topic',
+  back: 'away'
+};
+
+/**
+ * Run a slash command
+ * @param {string} input - Raw input starting with '/'
+ * @param {Object} context
+ * @param {Object} context.client - PhantomIRCClient or MockIRCClient
+ * @param {string|null} context.target - Current channel or nick
+ * @param {boolean} context.connected - false refuses all but `local` commands (default: connected)
+ * @param {Function} context.openBuffer - Switch the UI to a buffer (target)
+ * @param {Function} context.clearBuffer - Clear a buffer in the UI (target)
+ * @returns {Promise<Object>} { error } to show inline, { info } to show in the buffer, or {}
+ */
+export async function executeCommand(input, context) {
+  const parsed = parseCommand(input);
+  if (!parsed) {
+    return { error: 'Not a command' };
+  }
+
+  const command = COMMANDS[parsed.name];
+  if (!command) {
+    return { error: `Unknown command: /${parsed.name}. Type /help for a list.` };
+  }
+
+  // /back is /away with no message
+  const args = parsed.name === 'away' && input.match(/^\/back\b/i)
+    ? []
+    : splitArgs(parsed.argText, command.args);
+
+  if (args.length < (command.minArgs || 0)) {
+    return { error: `Usage: ${command.usage}` };
+  }
+  if (!command.local && context.connected === false) {
+    return { error: `Not connected - /${parsed.name} needs the server` };
+  }
+  if (command.needsTarget && !context.target) {
+    return { error: `/${parsed.name} needs an open channel or query` };
+  }
+  if (command.channelOnly && !(context.target && context.client.isChannel(context.target))) {
+    return { error: `/${parsed.name} only works in a channel` };
+  }
+
+  try {
+    return (await command.run(context, args)) || {};
+  } catch (error) {
+    return { error: error.message || String(error) };
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Connection State Machine Helpers
+ *
+ * disconnected -> connecting -> connected
+ *                     ^             |
+ *                     |     socket drop / ping timeout
+ *                     |             v
+ *                     +------ reconnecting (backoff timer)
+ */
+
+export const CONNECTION_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+  enabled: true,
+  baseDelay: 1000,       // First retry after ~1s
+  maxDelay: 60000,       // Never wait more than a minute
+  maxAttempts: Infinity, // Laptops sleep for hours; keep trying
+  pingTimeout: 90000     // Drop the socket after 90s of server silence
+};
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @param {Function} random - Random source returning [0, 1) (default: Math.random)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, options = DEFAULT_RECONNECT_OPTIONS, random = Math.random) {
+  const ceiling = Math.min(options.maxDelay, options.baseDelay * 2 ** Math.max(0, attempt - 1));
+  // Keep at least half the ceiling so retries don't collapse to zero
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Alternative nick to try when ours is taken (433)
+ * @param {string} nick - Preferred nick
+ * @param {number} attempt - Collision count, starting at 1
+ * @returns {string} Fallback nick
+ */
+export function getFallbackNick(nick, attempt) {
+  if (attempt <= 2) {
+    return nick + '_'.repeat(attempt);
+  }
+  const suffix = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+  return nick.slice(0, 12) + suffix;
+}
@@ -0,0 +1,92 @@
+/**
+ * CTCP (Client-To-Client Protocol)
+ *
+ * CTCP requests ride inside PRIVMSG and replies inside NOTICE, wrapped in
+ * \x01. ACTION (/me) is handled as a message type elsewhere; this module
+ * decides what we answer to the rest.
+ *
+ * https://modern.ircdocs.horse/ctcp.html
+ */
+
+export const CLIENT_VERSION = 'Phantom IRC 1.0.1';
+
+// Everything we understand, as advertised by CLIENTINFO
+export const SUPPORTED_CTCP = ['ACTION', 'CLIENTINFO', 'PING', 'TIME', 'VERSION'];
+
+export const DEFAULT_CTCP_OPTIONS = {
+  enabled: true,         // Answer CTCP requests at all
+  hideVersion: false,    // Ignore VERSION instead of naming the client
+  version: CLIENT_VERSION,
+  replies: {},           // Per-type overrides, e.g. { TIME: null } to stay silent
+  maxPerWindow: 5,       // Flood protection: replies allowed per window...
+  window: 10000          // ...of this many milliseconds
+};
+
+/**
+ * Split the inside of a CTCP message into type and parameters
+ * @param {string} message - e.g. 'PING 1700000000000'
+ * @returns {Object} { type: 'PING', params: '1700000000000' }
+ */
+export function parseCtcp(message) {
+  const [type, ...rest] = (message || '').split(' ');
+  return { type: type.toUpperCase(), params: rest.join(' ') };
+}
+
+/**
+ * Work out our reply to a CTCP request
+ * @param {string} type - Request type (e.g., 'VERSION')
+ * @param {string} params - Request parameters
+ * @param {Object} options - DEFAULT_CTCP_OPTIONS overrides
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {string|null} Reply parameters, or null to stay silent
+ */
+export function getCtcpReply(type, params, options = DEFAULT_CTCP_OPTIONS, now = new Date()) {
+  if (!options.enabled) {
+    return null;
+  }
+  if (options.replies && Object.prototype.hasOwnProperty.call(options.replies, type)) {
+    return options.replies[type];
+  }
+
+  switch (type) {
+    case 'VERSION':
+      return options.hideVersion ? null : options.version;
+    case 'PING':
+      return params;
+    case 'TIME':
+      return now.toString();
+    case 'CLIENTINFO':
+      return SUPPORTED_CTCP.join(' ');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a CTCP reply for the timeline
+ * @param {Object} reply - { from, type, params, rtt }
+ * @returns {string} e.g. 'CTCP PING reply from alice: 231ms'
+ */
+export function describeCtcpReply({ from, type, params, rtt }) {
+  if (type === 'PING' && rtt !== null && rtt !== undefined) {
+    return `CTCP PING reply from ${from}: ${rtt}ms`;
+  }
+  return `CTCP ${type} reply from ${from}: ${params}`;
+}
+
+/**
+ * Sliding-window limiter so a CTCP flood can't make us flood the server
+ * @param {Object} options - { maxPerWindow, window }
+ * @returns {Function} allow(now) -> boolean
+ */
+export function createCtcpLimiter({ maxPerWindow, window } = DEFAULT_CTCP_OPTIONS) {
+  let sent = [];
+  return (now = Date.now()) => {
+    sent = sent.filter(t => now - t < window);
+    if (sent.length >= maxPerWindow) {
+      return false;
+    }
+    sent.push(now);
+    return true;
+  };
+}
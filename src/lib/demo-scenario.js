@@ -0,0 +1,179 @@
+/**
+ * Demo Scenario
+ *
+ * The built-in world of demo mode: its channels, people, history and what
+ * happens after connecting. Scenario files (see mock-scenario.js) take
+ * whatever they leave out from here. Times are in seconds; `ago` is how
+ * long before connecting a history line was said, `at` how long after
+ * connecting a timeline event happens. {nick} in a text becomes our nick.
+ */
+
+const DEMO_SCENARIO = {
+  name: 'Phantom demo',
+  description: 'A friendly network with a few busy channels',
+  autojoin: ['#phantom-demo'],
+
+  // Users carry their prefix modes: o = @, h = %, v = +
+  channels: [
+    {
+      name: '#phantom-demo',
+      topic: 'Welcome to Phantom IRC Demo! This is a simulated channel showcasing AI features.',
+      topicSetBy: 'alice',
+      modes: { n: true, t: true },
+      users: [
+        { nick: 'alice', modes: ['o'] },
+        { nick: 'bob', modes: ['v'] },
+        { nick: 'charlie', modes: [], away: true, awayMessage: 'Lunch, back in an hour' },
+        { nick: 'diana', modes: ['h'] },
+        { nick: 'eve', modes: [] }
+      ],
+      history: [
+        { from: 'alice', text: 'Hey everyone! Welcome to Phantom IRC!', ago: 3600 },
+        { from: 'bob', text: 'This is pretty cool, how does the AI spam filter work?', ago: 3500 },
+        { from: 'alice', text: 'It uses Claude to analyze messages in real-time before sending', ago: 3400 },
+        { from: 'charlie', text: 'Check out this link: https://example.com/cool-project', ago: 3300 },
+        { from: 'diana', text: 'Can someone help me with IRC commands?', ago: 3200 },
+        { from: 'eve', text: 'Sure! Type /join #channel to join a channel', ago: 3100 },
+        { from: 'bob', text: 'The AI summary feature is really handy for catching up', ago: 3000 },
+        { from: 'alice', text: 'Yeah, especially for busy channels with lots of activity', ago: 2900 },
+        { from: 'charlie', text: 'Is this open source?', ago: 2800 },
+        { from: 'diana', text: 'Built for Kiroween 2024 hackathon!', ago: 2700 }
+      ],
+      // Picked at random while the channel is open
+      chatter: [
+        { from: 'alice', text: 'The UI looks really polished!' },
+        { from: 'bob', text: 'How long did it take to build this?' },
+        { from: 'charlie', text: 'The dark theme is nice on the eyes' },
+        { from: 'diana', text: 'Can this connect to real IRC servers?' },
+        { from: 'eve', text: 'The Building Protocol validation was smart' },
+        { from: 'alice', text: 'Testing early saved a lot of time' },
+        { from: 'bob', text: 'Anyone else excited about AI features?' },
+        { from: 'charlie', text: 'The spam filter is a game changer' }
+      ]
+    },
+    {
+      name: '#dev-chat',
+      topic: 'Development discussion and technical topics',
+      topicSetBy: 'dev1',
+      modes: { n: true, t: true },
+      users: [
+        { nick: 'dev1', modes: ['o'] },
+        { nick: 'dev2', modes: ['v'] },
+        { nick: 'techie', modes: [], away: true, awayMessage: 'AFK' },
+        { nick: 'coder', modes: [] }
+      ],
+      history: [
+        { from: 'dev1', text: 'Working on a new React component', ago: 7200 },
+        { from: 'dev2', text: 'Nice! Are you using hooks?', ago: 7100 },
+        { from: 'techie', text: 'Hooks are the way to go these days', ago: 7000 },
+        { from: 'coder', text: 'Anyone tried the new Vite features?', ago: 6900 },
+        { from: 'dev1', text: 'Vite is blazing fast compared to webpack', ago: 6800 },
+        { from: 'dev2', text: 'The HMR is incredible', ago: 6700 },
+        { from: 'techie', text: 'What are you all building?', ago: 6600 },
+        { from: 'coder', text: 'Working on an AI-powered IRC client', ago: 6500 },
+        { from: 'dev2', text: '\x02CI:\x02 build \x0303passed\x03 in 42s - details at https://example.com/ci/1234, chat in #phantom-demo', ago: 6400 },
+        { from: 'techie', text: 'gives dev2 a \x1dhigh five\x1d', type: 'action', ago: 6300 }
+      ],
+      chatter: [
+        { from: 'dev1', text: 'Just pushed a new commit' },
+        { from: 'dev2', text: 'Running tests now...' },
+        { from: 'techie', text: 'Anyone need help debugging?' },
+        { from: 'coder', text: 'This architecture is clean' }
+      ]
+    },
+    {
+      name: '#random',
+      topic: 'Random off-topic discussions',
+      topicSetBy: 'user1',
+      modes: { n: true },
+      users: [
+        { nick: 'user1', modes: ['o'] },
+        { nick: 'user2', modes: [] },
+        { nick: 'user3', modes: [] }
+      ],
+      history: [
+        { from: 'user1', text: 'Good morning everyone!', ago: 10800 },
+        { from: 'user2', text: 'Morning! How\'s everyone doing?', ago: 10700 },
+        { from: 'user3', text: 'Pretty good, just having coffee', ago: 10600 },
+        { from: 'user1', text: 'Coffee is life ☕', ago: 10500 }
+      ],
+      chatter: [
+        { from: 'user1', text: 'Anyone here?' },
+        { from: 'user2', text: 'Yeah, what\'s up?' },
+        { from: 'user3', text: 'Just lurking...' }
+      ]
+    }
+  ],
+
+  // Public channels nobody has joined yet, for the channel directory
+  directory: [
+    { name: '#javascript', users: 842, topic: 'JavaScript help and discussion | Ask, don\'t ask to ask' },
+    { name: '#rust', users: 613, topic: '\x02Rust\x02 programming | https://www.rust-lang.org | Be kind' },
+    { name: '#python', users: 1290, topic: 'Python help | Paste code at https://bpa.st' },
+    { name: '#linux', users: 977, topic: 'Linux support - state your distro and version' },
+    { name: '#react', users: 154, topic: 'React, hooks and friends' },
+    { name: '#vite', users: 38, topic: 'Vite build tool' },
+    { name: '#ai-tools', users: 211, topic: 'LLMs, agents and prompt engineering' },
+    { name: '#irc-clients', users: 67, topic: 'Client development and IRCv3 specs' },
+    { name: '#music', users: 95, topic: '\x0306Now playing:\x03 whatever you like' },
+    { name: '#gaming', users: 188, topic: '' },
+    { name: '#coffee', users: 12, topic: 'Brewing methods and bean talk ☕' },
+    { name: '#phantom-help', users: 9, topic: 'Questions about Phantom IRC' },
+    { name: '#phantom-staff', users: 4, topic: 'Staff only - ask for an invite' },
+    { name: '#vault', users: 6, topic: 'Key is "phantom" (demo of a +k channel)' },
+    { name: '#trolls', users: 23, topic: 'You know what you did' },
+    { name: '#tiny', users: 2, topic: 'Two is company' }
+  ],
+
+  // Channels that refuse a JOIN: numeric, server text and, for +k, the key
+  joinRules: {
+    '#phantom-staff': { numeric: 473, reason: 'Cannot join channel (+i) - you must be invited' },
+    '#vault': { numeric: 475, reason: 'Cannot join channel (+k) - bad key', key: 'phantom' },
+    '#trolls': { numeric: 474, reason: 'Cannot join channel (+b) - you are banned' },
+    '#tiny': { numeric: 471, reason: 'Cannot join channel (+l) - channel is full, try again later' },
+    '#linux': { numeric: 477, reason: 'Cannot join channel (+r) - you need to be logged into your NickServ account' }
+  },
+
+  // WHOIS details (anyone else gets generic ones)
+  profiles: {
+    alice: { realName: 'Alice Chen', account: 'alice', host: 'user/alice', idle: 42, secure: true },
+    bob: { realName: 'Bob Martinez', account: 'bobm', host: 'user/bobm', idle: 380 },
+    charlie: { realName: 'Charlie', host: '203.0.113.7', idle: 5400, away: 'Lunch, back in an hour' },
+    diana: { realName: 'Diana Prince', account: 'diana', host: 'user/diana', idle: 12 },
+    eve: { realName: 'Eve', host: 'gateway/web/phantom/ip.198.51.100.23', idle: 95 },
+    dev1: { realName: 'Lead Developer', account: 'dev1', host: 'phantom/dev/dev1', idle: 20, secure: true },
+    dev2: { realName: 'dev2', account: 'dev2', host: 'user/dev2', idle: 640 },
+    techie: { realName: 'Tech Enthusiast', host: 'cpe-192-0-2-14.example.net', idle: 7300, away: 'AFK' },
+    coder: { realName: 'Just a coder', account: 'coder', host: 'user/coder', idle: 150 }
+  },
+
+  // How the demo answers and fills silences
+  simulation: {
+    chatterInterval: [15, 30],     // Seconds between random lines in a channel
+    presenceChance: 0.25,          // ...that are a guest joining or leaving instead
+    guests: ['guest1', 'guest2', 'guest3'],
+    replyDelay: [2, 5],
+    replies: [
+      { from: 'alice', text: 'Good point!' },
+      { from: 'bob', text: 'I agree' },
+      { from: 'charlie', text: 'Interesting...' },
+      { from: 'diana', text: 'Thanks for sharing!' },
+      { from: 'eve', text: '👍' }
+    ],
+    reactionChance: 0.3,
+    queryReply: 'Thanks for the DM! (this is a simulated reply)',
+    // Someone always comes looking for you the moment you step away
+    awayPing: { from: 'bob', text: '{nick}: are you around? Got a question about the AI summaries', after: 5 }
+  },
+
+  timeline: [
+    // A friendly DM so the Direct Messages section has something in it
+    { at: 8, type: 'dm', from: 'alice', text: 'Hey! Click any name in the user list to send a DM 👋' },
+    // Someone curious about our client
+    { at: 12, type: 'ctcp', from: 'eve', ctcp: 'VERSION' },
+    // An invite into the invite-only staff channel
+    { at: 20, type: 'invite', from: 'dev1', channel: '#phantom-staff' }
+  ]
+};
+
+export default DEMO_SCENARIO;
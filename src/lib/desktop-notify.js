@@ -0,0 +1,78 @@
+/**
+ * Desktop Notifications
+ *
+ * Thin wrappers around the browser Notification API and a short chime made
+ * with Web Audio (no sound file to ship). Both do nothing where the browser
+ * doesn't support them.
+ */
+
+let audioContext = null;
+
+/**
+ * Check whether the browser can show notifications
+ * @returns {boolean}
+ */
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Ask for permission to notify, if we haven't been told yet
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) {
+    return 'unsupported';
+  }
+  if (Notification.permission !== 'default') {
+    return Notification.permission;
+  }
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a desktop notification
+ * @param {string} title - e.g. 'alice in #rust'
+ * @param {string} body - Message text (formatting stripped)
+ * @param {Object} options
+ * @param {string} options.tag - Replaces an earlier notification with the same tag
+ * @param {Function} options.onClick - Called after focusing the window
+ * @returns {Notification|null}
+ */
+export function showNotification(title, body, { tag, onClick } = {}) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') {
+    return null;
+  }
+
+  const notification = new Notification(title, { body, tag });
+  notification.onclick = () => {
+    window.focus();
+    onClick?.();
+    notification.close();
+  };
+  return notification;
+}
+
+/**
+ * Play a short two-note chime
+ */
+export function playNotificationSound() {
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContext) {
+    return;
+  }
+  audioContext = audioContext || new AudioContext();
+
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const noteStart = start + i * 0.12;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.15, noteStart);
+    gain.gain.exponentialRampToValueAtTime(0.001, noteStart + 0.25);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteStart + 0.25);
+  });
+}
@@ -0,0 +1,109 @@
+/**
+ * Highlights
+ *
+ * A highlight is a message from someone else that mentions our nick or
+ * matches one of the user's highlight rules. Rules are words or phrases
+ * (matched as whole words, any case) or regexes written as /pattern/flags.
+ * Each buffer has a notification level deciding which messages may notify.
+ */
+
+import { mentionsNick } from './away.js';
+import { stripFormatting } from './irc-format.js';
+
+export const NOTIFY_LEVELS = {
+  ALL: 'all',             // Every message
+  MENTIONS: 'mentions',   // Highlights only
+  NONE: 'none'
+};
+
+export const DEFAULT_HIGHLIGHT_SETTINGS = {
+  nick: true,       // Our current nick is a highlight
+  words: [],        // Extra rules, see parseHighlightRule()
+  desktop: false,   // Desktop notifications (the browser asks for permission)
+  sound: false
+};
+
+// Only chat lines can highlight or notify; joins, topics and the like never do
+const HIGHLIGHT_TYPES = ['privmsg', 'notice', 'action'];
+
+/**
+ * Check whether a message is a chat line from someone else
+ * @param {Object} message - See createMessage() in client-contract.js
+ * @returns {boolean}
+ */
+export function isNotifiable(message) {
+  return !message.self && !!message.from && HIGHLIGHT_TYPES.includes(message.type);
+}
+
+/**
+ * Turn a rule into a test function
+ * @param {string} rule - 'word', 'some phrase' or '/regex/flags'
+ * @returns {Function|null} (text) => boolean, or null for an empty or invalid rule
+ */
+export function parseHighlightRule(rule) {
+  const trimmed = rule.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const regex = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // 'g' would make test() remember where it stopped
+      const pattern = new RegExp(regex[1], regex[2].replace('g', ''));
+      return (text) => pattern.test(text);
+    } catch {
+      return null;
+    }
+  }
+  return (text) => mentionsNick(text, trimmed);
+}
+
+/**
+ * Check that a rule can be used (for the settings form)
+ * @param {string} rule - See parseHighlightRule()
+ * @returns {boolean}
+ */
+export function isValidHighlightRule(rule) {
+  return !rule.trim() || parseHighlightRule(rule) !== null;
+}
+
+/**
+ * Build a highlight check for one network
+ * @param {Object} settings - See DEFAULT_HIGHLIGHT_SETTINGS
+ * @param {string} nick - Our nick on the network
+ * @returns {Function} (message) => boolean
+ */
+export function createHighlighter({ nick: matchNick = true, words = [] } = {}, nick) {
+  const rules = words.map(parseHighlightRule).filter(Boolean);
+
+  return (message) => {
+    if (!isNotifiable(message)) {
+      return false;
+    }
+    const text = stripFormatting(message.text);
+    return (matchNick && mentionsNick(text, nick)) || rules.some(test => test(text));
+  };
+}
+
+/**
+ * Notification level of a buffer the user hasn't set one for
+ * @param {boolean} isQuery - Private messages notify by default
+ * @returns {string} One of NOTIFY_LEVELS
+ */
+export function defaultNotifyLevel(isQuery) {
+  return isQuery ? NOTIFY_LEVELS.ALL : NOTIFY_LEVELS.MENTIONS;
+}
+
+/**
+ * Check whether a message may notify under a buffer's level
+ * @param {string} level - One of NOTIFY_LEVELS
+ * @param {boolean} highlighted - From createHighlighter()
+ * @returns {boolean}
+ */
+export function shouldNotify(level, highlighted) {
+  if (level === NOTIFY_LEVELS.NONE) {
+    return false;
+  }
+  return level === NOTIFY_LEVELS.ALL || highlighted;
+}
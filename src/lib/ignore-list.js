@@ -0,0 +1,150 @@
+/**
+ * Ignore List
+ *
+ * Entries are nick!user@host masks with '*' and '?' wildcards, so a troll
+ * who changes nick stays ignored when the mask is on their host. Each entry
+ * covers some kinds of traffic (scopes) and may expire. The clients check
+ * the list before anything reaches the timeline.
+ */
+
+export const IGNORE_SCOPES = {
+  MESSAGES: 'messages',   // PRIVMSG, /me, replies, reactions and typing
+  NOTICES: 'notices',
+  CTCP: 'ctcp',
+  PRESENCE: 'presence',   // Joins, parts, quits and nick changes in the timeline
+  INVITES: 'invites'
+};
+
+export const ALL_IGNORE_SCOPES = Object.values(IGNORE_SCOPES);
+
+export const IGNORE_SCOPE_LABELS = {
+  [IGNORE_SCOPES.MESSAGES]: 'Messages',
+  [IGNORE_SCOPES.NOTICES]: 'Notices',
+  [IGNORE_SCOPES.CTCP]: 'CTCP',
+  [IGNORE_SCOPES.PRESENCE]: 'Joins/parts',
+  [IGNORE_SCOPES.INVITES]: 'Invites'
+};
+
+// Choices for how long a new entry lasts (0 = until removed)
+export const IGNORE_DURATIONS = [
+  { label: 'Forever', minutes: 0 },
+  { label: '1 hour', minutes: 60 },
+  { label: '1 day', minutes: 1440 },
+  { label: '1 week', minutes: 10080 }
+];
+
+/**
+ * Lowercase with RFC 1459 casemapping, where []\~ are the uppercase of {}|^
+ * @param {string} text
+ * @returns {string}
+ */
+function ircLower(text) {
+  return text.toLowerCase().replace(/[[\]\\~]/g, c => ({ '[': '{', ']': '}', '\\': '|', '~': '^' })[c]);
+}
+
+/**
+ * Complete a partial mask: 'troll' -> 'troll!*@*', '*@host' -> '*!*@host'
+ * @param {string} input - Nick, user@host or full mask
+ * @returns {string} nick!user@host mask
+ */
+export function normalizeMask(input) {
+  let mask = input.trim();
+  if (!mask.includes('!') && !mask.includes('@')) {
+    return `${mask}!*@*`;
+  }
+  if (!mask.includes('!')) {
+    mask = `*!${mask}`;
+  }
+  if (!mask.includes('@')) {
+    mask = `${mask}@*`;
+  }
+  return mask;
+}
+
+/**
+ * Build the hostmask of a user ('*' for the parts we don't know)
+ * @param {Object|string} source - { nick, ident, hostname } or a nick
+ * @returns {string} e.g. 'alice!~alice@user/alice'
+ */
+export function buildHostmask(source) {
+  const { nick, ident, hostname } = typeof source === 'string' ? { nick: source } : source;
+  return `${nick || '*'}!${ident || '*'}@${hostname || '*'}`;
+}
+
+/**
+ * Check a hostmask against a wildcard mask, ignoring case
+ * @param {string} mask - nick!user@host with '*' and '?'
+ * @param {string} hostmask - From buildHostmask()
+ * @returns {boolean}
+ */
+export function matchesMask(mask, hostmask) {
+  const pattern = ircLower(mask)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`).test(ircLower(hostmask));
+}
+
+/**
+ * Create an ignore entry
+ * @param {string} mask - Nick or (partial) mask, see normalizeMask()
+ * @param {Object} options
+ * @param {Array<string>} options.scopes - IGNORE_SCOPES values (default: all)
+ * @param {number} options.minutes - Expire after this long (0 or omitted: never)
+ * @param {number} now - Current time in ms
+ * @returns {Object} { mask, scopes, expiresAt } (expiresAt in ms, or null)
+ */
+export function createIgnoreEntry(mask, { scopes = ALL_IGNORE_SCOPES, minutes = 0 } = {}, now = Date.now()) {
+  return {
+    mask: normalizeMask(mask),
+    scopes: ALL_IGNORE_SCOPES.filter(scope => scopes.includes(scope)),
+    expiresAt: minutes > 0 ? now + minutes * 60000 : null
+  };
+}
+
+/**
+ * Check whether an entry still applies
+ * @param {Object} entry - From createIgnoreEntry()
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isIgnoreActive(entry, now = Date.now()) {
+  return !entry.expiresAt || entry.expiresAt > now;
+}
+
+/**
+ * Find the entry that ignores a user for a kind of traffic
+ * @param {Array} entries - Ignore list
+ * @param {Object|string} source - { nick, ident, hostname } (e.g. an irc-framework event) or a nick
+ * @param {string} scope - One of IGNORE_SCOPES
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Matching entry
+ */
+export function findIgnoreMatch(entries, source, scope, now = Date.now()) {
+  const hostmask = buildHostmask(source);
+  return entries.find(entry =>
+    entry.scopes.includes(scope) && isIgnoreActive(entry, now) && matchesMask(entry.mask, hostmask)
+  ) || null;
+}
+
+/**
+ * Add an entry, replacing one with the same mask
+ * @param {Array} entries - Ignore list
+ * @param {Object} entry - From createIgnoreEntry()
+ * @returns {Array} New list
+ */
+export function addIgnoreEntry(entries, entry) {
+  const mask = ircLower(entry.mask);
+  return [...entries.filter(e => ircLower(e.mask) !== mask), entry];
+}
+
+/**
+ * Remove an entry by mask
+ * @param {Array} entries - Ignore list
+ * @param {string} mask - Mask (partial masks are completed first)
+ * @returns {Array} New list
+ */
+export function removeIgnoreEntry(entries, mask) {
+  const normalized = ircLower(normalizeMask(mask));
+  return entries.filter(e => ircLower(e.mask) !== normalized);
+}
@@ -1,216 +1,1686 @@
 import IRC from 'irc-framework';
+import { buildTransportOptions } from './irc-transport.js';
+import { IRCError, getJoinErrorNumeric, joinError, saslError } from './irc-errors.js';
+import { DEFAULT_PREFIXES, applyModeChanges } from './channel-modes.js';
+import { DEFAULT_CTCP_OPTIONS, createCtcpLimiter, getCtcpReply, parseCtcp } from './ctcp.js';
+import OutboundQueue, { byteLength, getMessageByteLimit, splitMessage } from './outbound-queue.js';
+import { buildListParams, filterChannels, normalizeListEntry } from './channel-directory.js';
+import { buildUserProfile } from './user-profile.js';
+import { mentionsNick, setUserAway } from './away.js';
+import { IGNORE_SCOPES, addIgnoreEntry, createIgnoreEntry, findIgnoreMatch, isIgnoreActive, removeIgnoreEntry } from './ignore-list.js';
+import { PRESENCE_TYPES } from './system-events.js';
+import { stripFormatting } from './irc-format.js';
+import {
+  REACT_TAG,
+  REPLY_TAG,
+  TYPING_STATES,
+  TYPING_TAG,
+  addReaction,
+  createTypingThrottle,
+  isValidReaction
+} from './client-tags.js';
+import ClientEmitter, { createMessage } from './client-contract.js';
+import {
+  CONNECTION_STATES,
+  DEFAULT_RECONNECT_OPTIONS,
+  getBackoffDelay,
+  getFallbackNick
+} from './connection-state.js';
+
+// IRCv3 capabilities requested on top of irc-framework's defaults
+// (server-time, message-tags and batch are already requested there; the
+// presence caps are too, but listed so the user list can count on them)
+const EXTRA_CAPS = ['labeled-response', 'away-notify', 'account-notify', 'extended-join'];
+
+// Batch types that carry replayed history rather than live traffic
+const HISTORY_BATCHES = ['chathistory', 'znc.in/playback'];
+
+// 'irc error' codes worth telling the user about that aren't join failures
+const REPORTED_ERRORS = {
+  cannot_send_to_channel: 'Cannot send to channel',
+  chanop_privs_needed: 'You need to be a channel operator',
+  banned_from_network: 'You are banned from this network',
+  password_mismatch: 'Wrong server password'
+};
+
+// Buffer for server notices that have no sender nick
+const SERVER_BUFFER = '*server';
+
+// How often the watchdog checks for server silence and suspended timers
+const WATCHDOG_INTERVAL = 10000;
+// Grace period for the PING we send after waking from sleep
+const WAKE_PROBE_TIMEOUT = 15000;
+// How long to wait for a WHOIS/WHOWAS reply
+const LOOKUP_TIMEOUT = 15000;
 
 /**
  * Phantom IRC Client - Wrapper around irc-framework
  * Provides connection management, channel operations, and message handling
+ * (events and message objects follow client-contract.js)
  */
-class PhantomIRCClient {
-  constructor() {
+class PhantomIRCClient extends ClientEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.network - Network id stamped on every message (optional)
+   */
+  constructor({ network = null } = {}) {
+    super();
+    this.network = network;
     this.client = null;
     this.connected = false;
     this.channels = [];
+    this.queries = [];
     this.messages = {};
     this.users = {};
-    this.callbacks = {
-      onConnect: null,
-      onMessage: null,
-      onJoin: null,
-      onPart: null,
-      onError: null,
-      onUserList: null
-    };
+    this.channelInfo = {};
+    this.seenIds = {};
+    this.pendingLabels = {};
+    this.unlabeledEchoes = {};
+    this.outboundQueue = new OutboundQueue();
+    this.queuedIds = {};
+    this.localIdCounter = 0;
+    this.state = CONNECTION_STATES.DISCONNECTED;
+    this.config = null;
+    this.reconnectOptions = DEFAULT_RECONNECT_OPTIONS;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nickCollisions = 0;
+    this.requestedDisconnect = false;
+    this.lastActivity = 0;
+    this.watchdog = null;
+    this.onlineListener = null;
+    this.ctcpOptions = DEFAULT_CTCP_OPTIONS;
+    this.ctcpLimiter = createCtcpLimiter();
+    this.pendingPings = {};
+    this.listFilters = null;
+    this.pendingJoins = {};
+    this.channelKeys = {};
+    this.ignored = [];
+    this.away = null;
+    this.awayMentions = [];
+    this.typingThrottle = createTypingThrottle();
   }
 
   /**
    * Connect to IRC network
    * @param {Object} config - Connection configuration
    * @param {string} config.host - IRC server (e.g., 'irc.libera.chat')
-   * @param {number} config.port - Port (default: 6667)
+   * @param {number} config.port - Port (default depends on transport)
+   * @param {string} config.transport - 'websocket', 'bridge' or 'tcp' (default: 'tcp')
+   * @param {boolean} config.tls - Use an encrypted connection
+   * @param {boolean} config.rejectUnauthorized - Verify the server certificate (default: true, Node.js only)
+   * @param {Object} config.sasl - SASL authentication (optional)
+   * @param {string} config.sasl.mechanism - 'PLAIN' or 'EXTERNAL'
+   * @param {string} config.sasl.account - Account name (PLAIN)
+   * @param {string} config.sasl.password - Account password (PLAIN)
+   * @param {boolean} config.sasl.disconnectOnFail - Drop the connection if auth fails (default: false)
+   * @param {Object} config.clientCertificate - { certificate, private_key } PEM strings for EXTERNAL (Node.js only)
+   * @param {string} config.path - WebSocket path for 'websocket' transport (default: '/')
+   * @param {string} config.bridgeUrl - Bridge endpoint for 'bridge' transport
    * @param {string} config.nick - Nickname
    * @param {string} config.username - Username
    * @param {string} config.realname - Real name
+   * @param {Object} config.reconnect - Overrides for DEFAULT_RECONNECT_OPTIONS
+   * @param {Object} config.ctcp - Overrides for DEFAULT_CTCP_OPTIONS (e.g., { hideVersion: true })
+   * @param {Object} config.queue - Overrides for DEFAULT_QUEUE_OPTIONS (flood control)
    */
   connect(config) {
+    this.config = config;
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...config.reconnect };
+    this.requestedDisconnect = false;
+    this.ctcpOptions = { ...DEFAULT_CTCP_OPTIONS, ...config.ctcp };
+    this.ctcpLimiter = createCtcpLimiter(this.ctcpOptions);
+    this.outboundQueue.clear();
+    this.outboundQueue = new OutboundQueue(config.queue);
     this.client = new IRC.Client();
+    this.client.requestCap(EXTRA_CAPS);
 
     // Setup event handlers
     this.client.on('registered', () => {
       this.connected = true;
-      if (this.callbacks.onConnect) {
-        this.callbacks.onConnect();
+      this.reconnectAttempts = 0;
+      this.nickCollisions = 0;
+      this.setState(CONNECTION_STATES.CONNECTED);
+
+      // Only non-empty after a drop; the first registration has no channels yet
+      if (this.channels.length > 0) {
+        this.rejoinChannels();
+      }
+      // The server forgot we were away when the connection dropped
+      if (this.away) {
+        this.client.raw('AWAY', this.away.message);
       }
+      this.emit('onConnect');
     });
 
-    this.client.on('message', (event) => {
-      const message = {
-        from: event.nick,
-        to: event.target,
-        message: event.message,
-        time: new Date(),
-        type: event.type // 'privmsg', 'notice', 'action'
-      };
+    this.client.on('nick in use', () => {
+      // Only pick a fallback while registering; later collisions come from /nick
+      if (this.state === CONNECTION_STATES.CONNECTED) {
+        return;
+      }
+      this.nickCollisions++;
+      this.client.changeNick(getFallbackNick(config.nick || 'PhantomUser', this.nickCollisions));
+    });
 
-      // Store message
-      if (!this.messages[event.target]) {
-        this.messages[event.target] = [];
+    this.client.on('raw', (event) => {
+      if (event.from_server) {
+        this.lastActivity = Date.now();
       }
-      this.messages[event.target].push(message);
+    });
+
+    this.client.on('message', (event) => {
+      this.handleMessageEvent(event);
+    });
+
+    this.client.on('tagmsg', (event) => {
+      this.handleTagMessage(event);
+    });
 
-      if (this.callbacks.onMessage) {
-        this.callbacks.onMessage(message);
+    this.client.on('invite', (event) => {
+      // invite-notify also reports invites sent to others
+      const forUs = this.client.caseCompare(event.invited, this.client.user.nick);
+      if (forUs && !this.isIgnored(event, IGNORE_SCOPES.INVITES)) {
+        this.emit('onInvite', { channel: event.channel, from: event.nick });
       }
     });
 
+    this.client.on('ctcp request', (event) => {
+      this.handleCtcpRequest(event);
+    });
+
+    this.client.on('ctcp response', (event) => {
+      this.handleCtcpResponse(event);
+    });
+
     this.client.on('join', (event) => {
-      if (event.nick === this.client.user.nick) {
-        // We joined a channel
+      const isOwn = this.client.caseCompare(event.nick, this.client.user.nick);
+      if (isOwn) {
+        // We joined a channel; remember a key that worked for rejoins
+        const pending = this.findChannel(this.pendingJoins, event.channel);
+        if (pending) {
+          if (this.pendingJoins[pending]) {
+            this.channelKeys[event.channel] = this.pendingJoins[pending];
+          }
+          delete this.pendingJoins[pending];
+        }
         if (!this.channels.includes(event.channel)) {
           this.channels.push(event.channel);
         }
-      }
-
-      if (this.callbacks.onJoin) {
-        this.callbacks.onJoin({
-          channel: event.channel,
-          nick: event.nick
+        // Servers send the topic on join, but modes only when asked
+        this.client.raw('MODE', event.channel);
+        // NAMES has no away or account info; WHO fills it in, and
+        // away-notify keeps it current from then on
+        if (this.hasCap('away-notify')) {
+          this.client.who(event.channel, (result) => this.mergeWhoList(event.channel, result.users));
+        }
+      } else {
+        // Our own list arrives with NAMES; others are added as they come
+        this.addUser(event.channel, {
+          nick: event.nick,
+          ident: event.ident,
+          hostname: event.hostname,
+          account: event.account || null,
+          away: false,
+          awayMessage: '',
+          modes: []
         });
       }
+      this.storeEvent(event.channel, 'join', event);
+
+      this.emit('onJoin', {
+        channel: event.channel,
+        // Our own nick as getNick() has it, whatever case the server echoed
+        nick: isOwn ? this.client.user.nick : event.nick
+      });
     });
 
     this.client.on('part', (event) => {
-      if (event.nick === this.client.user.nick) {
+      const isOwn = this.client.caseCompare(event.nick, this.client.user.nick);
+      if (isOwn) {
         // We left a channel
         this.channels = this.channels.filter(ch => ch !== event.channel);
+        delete this.channelInfo[event.channel];
+        delete this.users[event.channel];
+        delete this.channelKeys[event.channel];
+      } else {
+        this.removeUser(event.channel, event.nick);
       }
+      this.storeEvent(event.channel, 'part', event);
 
-      if (this.callbacks.onPart) {
-        this.callbacks.onPart({
-          channel: event.channel,
-          nick: event.nick
-        });
+      this.emit('onPart', {
+        channel: event.channel,
+        nick: isOwn ? this.client.user.nick : event.nick
+      });
+    });
+
+    this.client.on('kick', (event) => {
+      const kickedUs = this.client.caseCompare(event.kicked, this.client.user.nick);
+      this.storeEvent(event.channel, 'kick', event, { kicked: event.kicked });
+
+      if (kickedUs) {
+        this.channels = this.channels.filter(ch => ch !== event.channel);
+        delete this.channelInfo[event.channel];
+        delete this.users[event.channel];
+      } else {
+        this.removeUser(event.channel, event.kicked);
+      }
+
+      // A kick is a part the user didn't ask for
+      this.emit('onPart', {
+        channel: event.channel,
+        nick: event.kicked,
+        kickedBy: event.nick,
+        reason: event.message
+      });
+    });
+
+    this.client.on('quit', (event) => {
+      this.getUserChannels(event.nick).forEach(channel => {
+        this.removeUser(channel, event.nick);
+        this.storeEvent(channel, 'quit', event);
+      });
+      const query = this.findQuery(event.nick);
+      if (query) {
+        this.storeEvent(query, 'quit', event);
+      }
+    });
+
+    this.client.on('nick', (event) => {
+      const self = this.client.caseCompare(event.new_nick, this.client.user.nick);
+
+      this.getUserChannels(event.nick).forEach(channel => {
+        this.users[channel] = this.users[channel].map(u =>
+          this.client.caseCompare(u.nick, event.nick) ? { ...u, nick: event.new_nick } : u
+        );
+        this.emitUserList(channel);
+        this.storeEvent(channel, 'nick', event, { newNick: event.new_nick });
+      });
+
+      // The conversation follows the person to their new nick
+      const query = this.findQuery(event.nick);
+      if (query) {
+        this.queries = this.queries.map(q => (q === query ? event.new_nick : q));
+        this.messages[event.new_nick] = this.messages[query] || [];
+        this.seenIds[event.new_nick] = this.seenIds[query] || new Set();
+        delete this.messages[query];
+        delete this.seenIds[query];
+        this.storeEvent(event.new_nick, 'nick', event, { newNick: event.new_nick });
       }
+
+      this.emit('onNick', {
+        oldNick: event.nick,
+        newNick: event.new_nick,
+        self,
+        query: query || null
+      });
     });
 
     this.client.on('userlist', (event) => {
-      this.users[event.channel] = event.users.map(u => u.nick);
+      // A fresh NAMES keeps what we already knew about away and accounts
+      const known = this.getUsers(event.channel);
+      this.users[event.channel] = event.users.map(u => {
+        const previous = known.find(k => this.client.caseCompare(k.nick, u.nick));
+        return {
+          nick: u.nick,
+          ident: u.ident,
+          hostname: u.hostname,
+          account: previous?.account || null,
+          away: previous?.away || false,
+          awayMessage: previous?.awayMessage || '',
+          modes: u.modes || []
+        };
+      });
+      this.emitUserList(event.channel);
+    });
 
-      if (this.callbacks.onUserList) {
-        this.callbacks.onUserList({
-          channel: event.channel,
-          users: this.users[event.channel]
-        });
+    this.client.on('away', (event) => {
+      this.handleAwayEvent(event, true);
+    });
+
+    this.client.on('back', (event) => {
+      this.handleAwayEvent(event, false);
+    });
+
+    this.client.on('account', (event) => {
+      // account-notify: false means they logged out
+      this.updateUser(event.nick, { account: event.account || null });
+    });
+
+    this.client.on('topic', (event) => {
+      // 332 on join has no nick; a live TOPIC change does
+      const changes = { topic: event.topic };
+      if (event.nick) {
+        changes.topicSetBy = event.nick;
+        changes.topicSetAt = event.time ? new Date(event.time) : new Date();
+        this.storeEvent(event.channel, 'topic', { ...event, message: event.topic });
+      }
+      this.updateChannelInfo(event.channel, changes);
+    });
+
+    this.client.on('topicsetby', (event) => {
+      this.updateChannelInfo(event.channel, {
+        topicSetBy: event.nick,
+        topicSetAt: new Date(Number(event.when) * 1000)
+      });
+    });
+
+    this.client.on('channel info', (event) => {
+      // 324 lists the full mode set, replacing whatever we had
+      if (event.modes) {
+        const { modes } = applyModeChanges({}, [], event.modes, this.getModeOptions());
+        this.updateChannelInfo(event.channel, { modes });
+      }
+    });
+
+    this.client.on('mode', (event) => {
+      if (!this.isChannel(event.target)) {
+        return;
+      }
+      const info = this.getChannelInfo(event.target);
+      const { modes, users } = applyModeChanges(
+        info.modes,
+        this.getUsers(event.target),
+        event.modes,
+        this.getModeOptions()
+      );
+      this.users[event.target] = users;
+      this.emitUserList(event.target);
+      this.updateChannelInfo(event.target, { modes });
+      this.storeEvent(event.target, 'mode', {
+        ...event,
+        message: [event.raw_modes, ...event.raw_params].join(' ')
+      });
+    });
+
+    this.client.on('channel list', (entries) => {
+      // Arrives in chunks of 50 until 'channel list end'
+      const channels = filterChannels(entries.map(normalizeListEntry), this.listFilters || {});
+      if (channels.length > 0) {
+        this.emit('onChannelList', { channels, done: false });
+      }
+    });
+
+    this.client.on('channel list end', () => {
+      this.listFilters = null;
+      this.emit('onChannelList', { channels: [], done: true });
+    });
+
+    this.client.on('irc error', (event) => {
+      const numeric = getJoinErrorNumeric(event);
+      if (numeric) {
+        this.handleJoinError(numeric, event.channel, event.reason);
+      } else if (REPORTED_ERRORS[event.error]) {
+        const target = event.channel || event.nick || null;
+        this.emit('onError', new IRCError(`${REPORTED_ERRORS[event.error]}${target ? ` (${target})` : ''}: ${event.reason}`, {
+          code: event.error,
+          target,
+          serverMessage: event.reason || null
+        }));
+      }
+    });
+
+    // irc-framework has no handler for 403 and 477
+    this.client.on('unknown command', (command) => {
+      const numeric = getJoinErrorNumeric(command.command);
+      if (numeric) {
+        const params = command.params;
+        this.handleJoinError(numeric, params[1], params[params.length - 1]);
       }
     });
 
     this.client.on('error', (event) => {
-      if (this.callbacks.onError) {
-        this.callbacks.onError(event.error);
+      this.emit('onError', event.error);
+    });
+
+    this.client.on('sasl failed', (event) => {
+      this.emit('onError', saslError(event, config.sasl?.mechanism || 'PLAIN'));
+    });
+
+    this.client.on('socket close', () => {
+      this.connected = false;
+      this.pendingJoins = {};
+      this.dropQueuedMessages();
+      this.dropPendingEchoes();
+      // disconnect() already reported the state change
+      if (!this.requestedDisconnect) {
+        this.scheduleReconnect('Connection lost');
       }
     });
 
+    this.startWatchdog();
+    this.setState(CONNECTION_STATES.CONNECTING);
+    this.lastActivity = Date.now();
+
     // Connect to server
     this.client.connect({
-      host: config.host || 'irc.libera.chat',
-      port: config.port || 6667,
+      ...buildTransportOptions(config),
       nick: config.nick || 'PhantomUser',
       username: config.username || 'phantom',
-      gecos: config.realname || 'Phantom IRC User'
+      gecos: config.realname || 'Phantom IRC User',
+      rejectUnauthorized: config.rejectUnauthorized !== false,
+      enable_echomessage: true,
+      // Empty so VERSION reaches our own CTCP handler instead of irc-framework's
+      version: '',
+      // Lines are already split to fit by sendText(); don't let irc-framework split them again
+      message_max_length: 512,
+      // Reconnects and ping timeouts are handled by our own state machine
+      auto_reconnect: false,
+      ping_timeout: 0,
+      ...this.buildSaslOptions(config)
     });
   }
 
   /**
-   * Join a channel
-   * @param {string} channel - Channel name (e.g., '#rust')
+   * Move to a new connection state and notify the UI
+   * @param {string} state - One of CONNECTION_STATES
+   * @param {Object} details - Extra status fields (attempt, delay, reason)
    */
-  joinChannel(channel) {
-    if (!this.connected || !this.client) {
-      throw new Error('Not connected to IRC server');
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit('onStatus', { state, ...details });
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff
+   * @param {string} reason - Why the connection dropped
+   */
+  scheduleReconnect(reason) {
+    const options = this.reconnectOptions;
+    if (!options.enabled || this.reconnectAttempts >= options.maxAttempts) {
+      this.stopWatchdog();
+      this.setState(CONNECTION_STATES.DISCONNECTED, { reason });
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = getBackoffDelay(this.reconnectAttempts, options);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.reconnectNow(), delay);
+
+    this.setState(CONNECTION_STATES.RECONNECTING, {
+      attempt: this.reconnectAttempts,
+      delay,
+      reason
+    });
+  }
+
+  /**
+   * Skip the backoff wait and reconnect immediately
+   */
+  reconnectNow() {
+    if (!this.client || this.requestedDisconnect || this.state === CONNECTION_STATES.CONNECTED) {
+      return;
+    }
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.lastActivity = Date.now();
+    if (!this.watchdog) {
+      this.startWatchdog();
     }
-    this.client.join(channel);
+    this.setState(CONNECTION_STATES.CONNECTING, { attempt: this.reconnectAttempts });
+    // Reuses the options from the first connect() call
+    this.client.connect();
   }
 
   /**
-   * Leave a channel
+   * Rejoin every channel we were in before the connection dropped
+   */
+  rejoinChannels() {
+    this.channels.forEach(channel => this.sendJoin(channel, this.channelKeys[channel]));
+  }
+
+  /**
+   * Send a JOIN and wait for the server to accept or refuse it
    * @param {string} channel - Channel name
+   * @param {string} key - Channel key (optional)
    */
-  partChannel(channel) {
-    if (!this.connected || !this.client) {
-      throw new Error('Not connected to IRC server');
+  sendJoin(channel, key) {
+    this.pendingJoins[channel] = key || null;
+    this.client.join(channel, key);
+  }
+
+  /**
+   * Report a refused JOIN for the channel it was about
+   * Numerics like 403 and 477 are also sent for other commands, so only
+   * channels we are trying to join count.
+   * @param {number} numeric - A JOIN_ERRORS key
+   * @param {string} channel - Channel from the numeric
+   * @param {string} reason - Text the server sent
+   */
+  handleJoinError(numeric, channel, reason) {
+    const pending = this.findChannel(this.pendingJoins, channel || '');
+    if (!pending) {
+      return;
+    }
+    const withKey = !!this.pendingJoins[pending];
+    delete this.pendingJoins[pending];
+    delete this.channelKeys[pending];
+
+    // A rejoin after a reconnect was refused: we're no longer in the channel
+    if (this.channels.includes(pending)) {
+      this.channels = this.channels.filter(ch => ch !== pending);
+      delete this.channelInfo[pending];
+      delete this.users[pending];
+      this.emit('onPart', { channel: pending, nick: this.client.user.nick, reason });
     }
-    this.client.part(channel);
+
+    this.emit('onJoinError', { channel: pending, error: joinError(numeric, pending, reason), withKey });
   }
 
   /**
-   * Send message to channel or user
-   * @param {string} target - Channel or nick
-   * @param {string} message - Message text
+   * Find a channel among the keys of a map, ignoring case
+   * @param {Object} map - Keyed by channel name
+   * @param {string} channel - Channel as the server spelled it
+   * @returns {string|undefined} The key it's stored under
    */
-  sendMessage(target, message) {
-    if (!this.connected || !this.client) {
-      throw new Error('Not connected to IRC server');
+  findChannel(map, channel) {
+    return Object.keys(map).find(key => this.client.caseCompare(key, channel));
+  }
+
+  /**
+   * Detect dead sockets: long server silence, or timers that stalled
+   * because the machine was asleep
+   */
+  startWatchdog() {
+    this.stopWatchdog();
+    let lastTick = Date.now();
+
+    this.watchdog = setInterval(() => {
+      const now = Date.now();
+      const slept = now - lastTick > WATCHDOG_INTERVAL * 3;
+      lastTick = now;
+
+      if (this.state !== CONNECTION_STATES.CONNECTED) {
+        return;
+      }
+
+      if (slept) {
+        // The socket may be long dead; give the server a short window to answer
+        this.lastActivity = now - this.reconnectOptions.pingTimeout + WAKE_PROBE_TIMEOUT;
+        this.client.ping();
+      } else if (now - this.lastActivity > this.reconnectOptions.pingTimeout) {
+        this.connected = false;
+        this.client.connection.end(null, true);
+      }
+    }, WATCHDOG_INTERVAL);
+
+    if (typeof window !== 'undefined') {
+      this.onlineListener = () => {
+        if (this.state === CONNECTION_STATES.RECONNECTING) {
+          this.reconnectNow();
+        }
+      };
+      window.addEventListener('online', this.onlineListener);
     }
-    this.client.say(target, message);
+  }
 
-    // Store our own message
-    if (!this.messages[target]) {
-      this.messages[target] = [];
+  /**
+   * Stop the watchdog and the browser 'online' listener
+   */
+  stopWatchdog() {
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    if (this.onlineListener) {
+      window.removeEventListener('online', this.onlineListener);
+      this.onlineListener = null;
+    }
+  }
+
+  /**
+   * Get our current nick (may differ from the requested one after a 433)
+   * @returns {string}
+   */
+  getNick() {
+    return this.client ? this.client.user.nick : null;
+  }
+
+  /**
+   * Check whether we're registered with the server
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get the current connection state
+   * @returns {string} One of CONNECTION_STATES
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Check whether the server acknowledged an IRCv3 capability
+   * @param {string} cap - Capability name (e.g., 'echo-message')
+   * @returns {boolean}
+   */
+  hasCap(cap) {
+    return !!this.client && this.client.network.cap.isEnabled(cap);
+  }
+
+  /**
+   * Turn an irc-framework message event into a stored message
+   * @param {Object} event - irc-framework 'message' event
+   */
+  handleMessageEvent(event) {
+    const tags = event.tags || {};
+    const isOwn = this.client.caseCompare(event.nick || '', this.client.user.nick);
+    if (!isOwn && this.isIgnored(event, event.type === 'notice' ? IGNORE_SCOPES.NOTICES : IGNORE_SCOPES.MESSAGES)) {
+      return;
+    }
+    const buffer = this.getBufferName(event, isOwn);
+    const message = createMessage({
+      id: tags.msgid || this.nextLocalId(),
+      network: this.network,
+      target: buffer,
+      from: event.nick,
+      text: event.message,
+      // server-time gives the real send time, which matters for replayed history
+      time: event.time ? new Date(event.time) : new Date(),
+      type: event.type, // 'privmsg', 'notice' or 'action'
+      tags,
+      self: isOwn,
+      replyTo: tags[REPLY_TAG] || null,
+      batch: event.batch ? event.batch.type : null,
+      historical: !!event.batch && HISTORY_BATCHES.includes(event.batch.type)
+    });
+
+    // Our own echo: swap it in for the pending copy sendMessage stored
+    const label = tags.label;
+    if (isOwn && label && this.pendingLabels[label]) {
+      delete this.pendingLabels[label];
+      this.replaceMessage(buffer, label, message);
+      return;
+    }
+
+    // Without labels, match the echo to the oldest sent copy with the same text
+    const waiting = this.unlabeledEchoes[buffer];
+    if (isOwn && !label && waiting?.length) {
+      const list = this.messages[buffer] || [];
+      const pendingId = waiting.find(id => list.some(m => m.id === id && m.text === message.text));
+      if (pendingId) {
+        this.unlabeledEchoes[buffer] = waiting.filter(id => id !== pendingId);
+        this.replaceMessage(buffer, pendingId, message);
+        return;
+      }
+    }
+
+    if (!this.storeMessage(buffer, message)) {
+      return;
+    }
+
+    // Keep what we'd miss while away: anything private, or our nick in a channel
+    if (this.away && !isOwn && !message.historical && message.type !== 'notice' &&
+      ((!this.isChannel(buffer) && buffer !== SERVER_BUFFER) || mentionsNick(stripFormatting(message.text), this.client.user.nick))) {
+      this.awayMentions.push(message);
+    }
+
+    this.emit('onMessage', message);
+  }
+
+  /**
+   * Handle a TAGMSG: typing notifications and reactions
+   * @param {Object} event - irc-framework 'tagmsg' event
+   */
+  handleTagMessage(event) {
+    const tags = event.tags || {};
+    const isOwn = this.client.caseCompare(event.nick || '', this.client.user.nick);
+    if (!event.nick || (!isOwn && this.isIgnored(event))) {
+      return;
+    }
+    const buffer = this.getBufferName(event, isOwn);
+
+    if (tags[TYPING_TAG] && !isOwn) {
+      this.emit('onTyping', { target: buffer, nick: event.nick, state: tags[TYPING_TAG] });
+    }
+    if (tags[REPLY_TAG] && isValidReaction(tags[REACT_TAG])) {
+      this.applyReaction(buffer, tags[REPLY_TAG], tags[REACT_TAG], event.nick);
+    }
+  }
+
+  /**
+   * Record a reaction on a stored message
+   * @param {string} buffer - Channel or nick
+   * @param {string} msgid - Message reacted to
+   * @param {string} emoji - Reaction
+   * @param {string} nick - Who reacted
+   */
+  applyReaction(buffer, msgid, emoji, nick) {
+    const message = (this.messages[buffer] || []).find(m => m.id === msgid);
+    if (message) {
+      this.replaceMessage(buffer, msgid, { ...message, reactions: addReaction(message.reactions, emoji, nick) });
+    }
+  }
+
+  /**
+   * Which client tags the server lets us send (none without message-tags)
+   * @returns {Object} { reply, react, typing }
+   */
+  getClientTagSupport() {
+    const supports = tag => this.hasCap('message-tags') && !!this.client.network.supportsTag(tag);
+    return {
+      reply: supports(REPLY_TAG),
+      react: supports(REACT_TAG),
+      typing: supports(TYPING_TAG)
+    };
+  }
+
+  /**
+   * Track away/back for ourselves (306/305) and others (away-notify, WHOIS)
+   * @param {Object} event - irc-framework 'away' or 'back' event
+   * @param {boolean} away - true for 'away', false for 'back'
+   */
+  handleAwayEvent(event, away) {
+    if (!event.self) {
+      this.updateUser(event.nick, { away, awayMessage: away ? event.message : '' });
+      return;
+    }
+
+    if (away) {
+      // 306 carries the server's confirmation text, not our message
+      this.away = { message: this.away?.message || '', since: this.away?.since || new Date() };
+    }
+    this.updateUser(this.client.user.nick, { away, awayMessage: away ? this.away.message : '' });
+    const mentions = away ? [] : this.awayMentions;
+    if (!away) {
+      this.away = null;
+      this.awayMentions = [];
     }
-    this.messages[target].push({
-      from: this.client.user.nick,
-      to: target,
-      message: message,
-      time: new Date(),
-      type: 'own'
+
+    this.emit('onAway', {
+      away,
+      message: this.away?.message || '',
+      since: this.away?.since || null,
+      mentions
     });
   }
 
   /**
-   * Get messages for a channel
+   * Apply changes to a user in every channel we share with them
+   * @param {string} nick - Nick
+   * @param {Object} changes - Fields to replace (away, awayMessage, account, ...)
+   */
+  updateUser(nick, changes) {
+    this.getUserChannels(nick).forEach(channel => {
+      this.users[channel] = this.users[channel].map(u =>
+        this.client.caseCompare(u.nick, nick) ? { ...u, ...changes } : u
+      );
+      this.emitUserList(channel);
+    });
+  }
+
+  /**
+   * Merge a WHO reply (away flag, account, host) into a channel's user list
    * @param {string} channel - Channel name
-   * @param {number} limit - Max messages to return (default: 100)
-   * @returns {Array} Array of message objects
+   * @param {Array} whoUsers - irc-framework wholist users
    */
-  getMessages(channel, limit = 100) {
-    const messages = this.messages[channel] || [];
-    return messages.slice(-limit);
+  mergeWhoList(channel, whoUsers) {
+    this.users[channel] = this.getUsers(channel).map(u => {
+      const who = whoUsers.find(w => this.client.caseCompare(w.nick, u.nick));
+      if (!who) {
+        return u;
+      }
+      return {
+        ...setUserAway(u, !!who.away, u.awayMessage),
+        ident: who.ident || u.ident,
+        hostname: who.hostname || u.hostname,
+        account: who.account || u.account || null
+      };
+    });
+    this.emitUserList(channel);
   }
 
   /**
-   * Get list of joined channels
-   * @returns {Array} Array of channel names
+   * Answer a CTCP request (VERSION, PING, TIME, CLIENTINFO)
+   * @param {Object} event - irc-framework 'ctcp request' event
    */
-  getChannels() {
-    return this.channels;
+  handleCtcpRequest(event) {
+    if (this.isIgnored(event, IGNORE_SCOPES.CTCP)) {
+      return;
+    }
+    const { type, params } = parseCtcp(event.message);
+    const reply = getCtcpReply(type, params, this.ctcpOptions);
+    const replied = reply !== null && this.ctcpLimiter();
+
+    if (replied) {
+      if (reply) {
+        this.client.ctcpResponse(event.nick, type, reply);
+      } else {
+        this.client.ctcpResponse(event.nick, type);
+      }
+    }
+
+    this.emit('onCtcp', {
+      kind: 'request',
+      from: event.nick,
+      target: event.target,
+      type,
+      params,
+      replied,
+      time: event.time ? new Date(event.time) : new Date()
+    });
   }
 
   /**
-   * Get users in a channel
+   * Report a CTCP reply, with the round trip time for our PINGs
+   * @param {Object} event - irc-framework 'ctcp response' event
+   */
+  handleCtcpResponse(event) {
+    const { type, params } = parseCtcp(event.message);
+    let rtt = null;
+    if (type === 'PING' && this.pendingPings[params]) {
+      rtt = Date.now() - this.pendingPings[params];
+      delete this.pendingPings[params];
+    }
+
+    this.emit('onCtcp', {
+      kind: 'reply',
+      from: event.nick,
+      target: event.target,
+      type,
+      params,
+      rtt,
+      time: event.time ? new Date(event.time) : new Date()
+    });
+  }
+
+  /**
+   * Store a system event (join, part, quit, nick, kick, mode, topic) in a buffer's timeline
+   * @param {string} buffer - Channel or nick
+   * @param {string} type - Event type (see EVENT_TYPES in system-events.js)
+   * @param {Object} event - irc-framework event (nick, message, time, tags, batch)
+   * @param {Object} fields - Extra fields (e.g., { newNick } or { kicked })
+   */
+  storeEvent(buffer, type, event, fields = {}) {
+    // The user list still follows ignored users; only the timeline skips them
+    if (PRESENCE_TYPES.includes(type) && this.isIgnored(event, IGNORE_SCOPES.PRESENCE)) {
+      return;
+    }
+    const tags = event.tags || {};
+    const message = createMessage({
+      id: tags.msgid || this.nextLocalId(),
+      network: this.network,
+      target: buffer,
+      from: event.nick,
+      text: event.message || '',
+      time: event.time ? new Date(event.time) : new Date(),
+      type,
+      tags,
+      self: !!event.nick && this.client.caseCompare(event.nick, this.client.user.nick),
+      batch: event.batch ? event.batch.type : null,
+      historical: !!event.batch && HISTORY_BATCHES.includes(event.batch.type),
+      ...fields
+    });
+
+    if (this.storeMessage(buffer, message)) {
+      this.emit('onMessage', message);
+    }
+  }
+
+  /**
+   * Add a user to a channel's list (no-op if already there)
    * @param {string} channel - Channel name
-   * @returns {Array} Array of user nicks
+   * @param {Object} user - { nick, ident, hostname, modes }
    */
-  getUsers(channel) {
-    return this.users[channel] || [];
+  addUser(channel, user) {
+    const users = this.getUsers(channel);
+    if (users.some(u => this.client.caseCompare(u.nick, user.nick))) {
+      return;
+    }
+    this.users[channel] = [...users, user];
+    this.emitUserList(channel);
   }
 
   /**
-   * Disconnect from IRC
+   * Remove a user from a channel's list
+   * @param {string} channel - Channel name
+   * @param {string} nick - Nick to remove
    */
-  disconnect() {
+  removeUser(channel, nick) {
+    this.users[channel] = this.getUsers(channel).filter(u => !this.client.caseCompare(u.nick, nick));
+    this.emitUserList(channel);
+  }
+
+  /**
+   * Find the channels a user shares with us
+   * @param {string} nick - Nick to look for
+   * @returns {Array} Channel names
+   */
+  getUserChannels(nick) {
+    return this.channels.filter(channel =>
+      this.getUsers(channel).some(u => this.client.caseCompare(u.nick, nick))
+    );
+  }
+
+  /**
+   * Find an open query by nick, ignoring case
+   * @param {string} nick - The other party's nick
+   * @returns {string|undefined} Nick the query is stored under
+   */
+  findQuery(nick) {
+    return this.queries.find(q => this.client.caseCompare(q, nick));
+  }
+
+  /**
+   * Work out which buffer a message belongs to
+   * Channel messages go to the channel; private messages go to the query
+   * with the other party, whichever direction they were sent in.
+   * @param {Object} event - irc-framework 'message' event
+   * @param {boolean} isOwn - Whether we sent the message
+   * @returns {string} Channel name or nick
+   */
+  getBufferName(event, isOwn) {
+    if (this.isChannel(event.target)) {
+      return event.target;
+    }
+    if (event.from_server || !event.nick) {
+      return SERVER_BUFFER;
+    }
+    return this.openQuery(isOwn ? event.target : event.nick);
+  }
+
+  /**
+   * Check whether a target is a channel (uses the server's CHANTYPES)
+   * @param {string} target - Channel name or nick
+   * @returns {boolean}
+   */
+  isChannel(target) {
     if (this.client) {
-      this.client.quit('Phantom IRC - Leaving');
-      this.connected = false;
+      return this.client.network.isChannelName(target);
     }
+    return /^[#&]/.test(target);
   }
 
   /**
-   * Register event callbacks
-   * @param {string} event - Event name ('onConnect', 'onMessage', etc.)
-   * @param {Function} callback - Callback function
+   * Open a query (private conversation) buffer
+   * @param {string} nick - The other party's nick
+   * @returns {string} Nick the query is stored under (existing casing wins)
    */
-  on(event, callback) {
-    if (this.callbacks.hasOwnProperty(event)) {
-      this.callbacks[event] = callback;
+  openQuery(nick) {
+    const existing = this.findQuery(nick);
+    if (existing) {
+      return existing;
+    }
+
+    this.queries.push(nick);
+    this.emit('onQuery', { nick });
+    return nick;
+  }
+
+  /**
+   * Close a query buffer (its messages are kept until disconnect)
+   * @param {string} nick - The other party's nick
+   */
+  closeQuery(nick) {
+    this.queries = this.queries.filter(q => !this.client.caseCompare(q, nick));
+  }
+
+  /**
+   * Get open query buffers
+   * @returns {Array} Array of nicks
+   */
+  getQueries() {
+    return this.queries;
+  }
+
+  /**
+   * Store a message in time order, skipping msgids we've already seen
+   * @param {string} target - Channel or nick
+   * @param {Object} message - Message object
+   * @returns {boolean} False if the message was a duplicate
+   */
+  storeMessage(target, message) {
+    if (!this.messages[target]) {
+      this.messages[target] = [];
+      this.seenIds[target] = new Set();
+    }
+    if (this.seenIds[target].has(message.id)) {
+      return false;
+    }
+    this.seenIds[target].add(message.id);
+
+    const list = this.messages[target];
+    let index = list.length;
+    while (index > 0 && list[index - 1].time > message.time) {
+      index--;
+    }
+    list.splice(index, 0, message);
+    return true;
+  }
+
+  /**
+   * Replace a stored message (e.g., a pending send confirmed by its echo)
+   * @param {string} target - Channel or nick
+   * @param {string} oldId - ID of the message being replaced
+   * @param {Object} message - Confirmed message
+   */
+  replaceMessage(target, oldId, message) {
+    const list = this.messages[target] || [];
+    const index = list.findIndex(m => m.id === oldId);
+    if (index === -1) {
+      this.storeMessage(target, message);
+    } else {
+      list[index] = message;
+      this.seenIds[target].delete(oldId);
+      this.seenIds[target].add(message.id);
+    }
+
+    this.emit('onMessage', { ...message, replaces: oldId });
+  }
+
+  /**
+   * Generate an ID for messages the server didn't tag with a msgid
+   * @returns {string}
+   */
+  nextLocalId() {
+    this.localIdCounter++;
+    return `local-${Date.now()}-${this.localIdCounter}`;
+  }
+
+  /**
+   * Map Phantom SASL settings onto irc-framework options
+   * @param {Object} config - Connection configuration
+   * @returns {Object} irc-framework SASL options
+   */
+  buildSaslOptions(config) {
+    const sasl = config.sasl;
+    if (!sasl || !sasl.mechanism) {
+      return {};
+    }
+
+    const options = {
+      sasl_disconnect_on_fail: !!sasl.disconnectOnFail
+    };
+
+    if (sasl.mechanism === 'EXTERNAL') {
+      // An empty account object keeps irc-framework from falling back to PLAIN
+      options.sasl_mechanism = 'EXTERNAL';
+      options.account = {};
+      if (config.clientCertificate) {
+        options.client_certificate = config.clientCertificate;
+      }
+    } else {
+      options.account = {
+        account: sasl.account || config.nick,
+        password: sasl.password || ''
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * Join a channel
+   * @param {string} channel - Channel name (e.g., '#rust')
+   * @param {string} key - Channel key, if the channel is +k (optional)
+   * A refused join is reported through onJoinError.
+   */
+  joinChannel(channel, key) {
+    this.ensureConnected();
+    this.sendJoin(channel, key);
+  }
+
+  /**
+   * Leave a channel
+   * @param {string} channel - Channel name
+   * @param {string} reason - Part message (optional)
+   */
+  partChannel(channel, reason) {
+    this.ensureConnected();
+    this.client.part(channel, reason);
+  }
+
+  /**
+   * Send a CTCP request
+   * @param {string} target - Nick or channel
+   * @param {string} type - CTCP type (e.g., 'VERSION', 'PING')
+   * @param {string} params - Parameters (optional; PING defaults to a timestamp)
+   */
+  sendCtcp(target, type, params = '') {
+    this.ensureConnected();
+    type = type.toUpperCase();
+
+    if (type === 'ACTION') {
+      this.sendAction(target, params);
+      return;
+    }
+    if (type === 'PING') {
+      params = params || String(Date.now());
+      this.pendingPings[params] = Date.now();
+    }
+
+    if (params) {
+      this.client.ctcpRequest(target, type, params);
+    } else {
+      this.client.ctcpRequest(target, type);
+    }
+  }
+
+  /**
+   * Ask the server for its public channels; results stream in through onChannelList
+   * @param {Object} filters - { search, minUsers } (see channel-directory.js)
+   */
+  listChannels(filters = {}) {
+    this.ensureConnected();
+    this.listFilters = filters;
+    this.client.list(...buildListParams(filters, this.getListSupport()));
+  }
+
+  /**
+   * Get the server's ELIST support
+   * @returns {string} ISUPPORT ELIST flags (e.g., 'MNU'), or '' if unsupported
+   */
+  getListSupport() {
+    const elist = this.client?.network.supports('ELIST');
+    return typeof elist === 'string' ? elist.toUpperCase() : '';
+  }
+
+  /**
+   * Change our nick
+   * @param {string} nick - New nick
+   */
+  changeNick(nick) {
+    this.ensureConnected();
+    this.client.changeNick(nick);
+  }
+
+  /**
+   * Set a channel topic, or ask the server for it when no topic is given
+   * @param {string} channel - Channel name
+   * @param {string} topic - New topic (optional)
+   */
+  setTopic(channel, topic) {
+    this.ensureConnected();
+    if (topic === undefined) {
+      this.client.raw('TOPIC', channel);
+    } else {
+      this.client.setTopic(channel, topic);
+    }
+  }
+
+  /**
+   * Look up a user
+   * @param {string} nick - Nick to look up
+   * @returns {Promise<Object>} irc-framework whois event
+   */
+  whois(nick) {
+    return this.lookup('whois', nick);
+  }
+
+  /**
+   * Look up a user who has left the network
+   * @param {string} nick - Nick to look up
+   * @returns {Promise<Object>} irc-framework whowas event
+   */
+  whowas(nick) {
+    return this.lookup('whowas', nick);
+  }
+
+  /**
+   * Send a WHOIS or WHOWAS and wait for its reply
+   * irc-framework's own whois() waits forever if no reply comes, so this
+   * gives up after LOOKUP_TIMEOUT or as soon as the connection drops.
+   * @param {string} type - 'whois' or 'whowas' (also the irc-framework event)
+   * @param {string} nick - Nick to look up
+   * @returns {Promise<Object>} irc-framework whois/whowas event
+   */
+  lookup(type, nick) {
+    this.ensureConnected();
+    const client = this.client;
+
+    return new Promise((resolve, reject) => {
+      const finish = (error, event) => {
+        clearTimeout(timer);
+        client.removeListener(type, onReply);
+        this.off('onStatus', onStatus);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(event);
+        }
+      };
+      const onReply = (event) => {
+        if (client.caseCompare(event.nick, nick)) {
+          finish(null, event);
+        }
+      };
+      // Covers the socket closing too: that always moves us out of CONNECTED
+      const onStatus = ({ state }) => {
+        if (state !== CONNECTION_STATES.CONNECTED) {
+          finish(new Error(`Lost the connection before the ${type.toUpperCase()} reply for ${nick}`));
+        }
+      };
+      const timer = setTimeout(() => {
+        finish(new Error(`No ${type.toUpperCase()} reply for ${nick} from the server`));
+      }, LOOKUP_TIMEOUT);
+
+      client.on(type, onReply);
+      this.on('onStatus', onStatus);
+      client.raw(type.toUpperCase(), nick);
+    });
+  }
+
+  /**
+   * Get a user's profile, falling back to WHOWAS if they are gone
+   * @param {string} nick - Nick to look up
+   * @returns {Promise<Object|null>} Profile from buildUserProfile(), or null if unknown
+   */
+  async lookupUser(nick) {
+    const whois = await this.whois(nick);
+    if (!whois.error) {
+      return buildUserProfile(whois);
+    }
+    return buildUserProfile(await this.whowas(nick), false);
+  }
+
+  /**
+   * Ignore a nick or hostmask (replaces an entry with the same mask)
+   * @param {string} mask - Nick or nick!user@host with wildcards
+   * @param {Object} options - { scopes, minutes } (see createIgnoreEntry())
+   * @returns {Object} The new entry
+   */
+  ignore(mask, options = {}) {
+    const entry = createIgnoreEntry(mask, options);
+    this.ignored = addIgnoreEntry(this.ignored, entry);
+    return entry;
+  }
+
+  /**
+   * Remove an ignore entry
+   * @param {string} mask - Mask of the entry
+   */
+  unignore(mask) {
+    this.ignored = removeIgnoreEntry(this.ignored, mask);
+  }
+
+  /**
+   * Replace the whole ignore list (e.g., with saved settings)
+   * @param {Array} entries - Entries from createIgnoreEntry()
+   */
+  setIgnoreList(entries) {
+    this.ignored = entries.filter(entry => isIgnoreActive(entry));
+  }
+
+  /**
+   * Get the ignore entries that haven't expired
+   * @returns {Array}
+   */
+  getIgnoreList() {
+    this.ignored = this.ignored.filter(entry => isIgnoreActive(entry));
+    return this.ignored;
+  }
+
+  /**
+   * Check whether a user is ignored for a kind of traffic
+   * @param {Object|string} source - { nick, ident, hostname } (irc-framework events have these) or a nick
+   * @param {string} scope - One of IGNORE_SCOPES (default: messages)
+   * @returns {boolean}
+   */
+  isIgnored(source, scope = IGNORE_SCOPES.MESSAGES) {
+    return !!findIgnoreMatch(this.ignored, source, scope);
+  }
+
+  /**
+   * Change channel or user modes
+   * @param {string} target - Channel or nick
+   * @param {string} modes - Mode string (e.g., '+o', '-v+m')
+   * @param {Array} args - Mode arguments (optional)
+   */
+  setMode(target, modes, args = []) {
+    this.ensureConnected();
+    this.client.mode(target, modes, args);
+  }
+
+  /**
+   * Kick a user from a channel
+   * @param {string} channel - Channel name
+   * @param {string} nick - Nick to kick
+   * @param {string} reason - Kick reason (optional)
+   */
+  kick(channel, nick, reason) {
+    this.ensureConnected();
+    this.client.raw('KICK', channel, nick, reason || nick);
+  }
+
+  /**
+   * Ban a mask from a channel
+   * @param {string} channel - Channel name
+   * @param {string} mask - Ban mask (e.g., 'troll!*@*')
+   */
+  ban(channel, mask) {
+    this.ensureConnected();
+    this.client.ban(channel, mask);
+  }
+
+  /**
+   * Invite a user to a channel
+   * @param {string} nick - Nick to invite
+   * @param {string} channel - Channel name
+   */
+  invite(nick, channel) {
+    this.ensureConnected();
+    this.client.invite(channel, nick);
+  }
+
+  /**
+   * Mark ourselves away, or back when no message is given
+   * The change takes effect when the server confirms it (onAway).
+   * @param {string} message - Away message (optional)
+   */
+  setAway(message) {
+    this.ensureConnected();
+    if (message) {
+      this.away = { message, since: this.away?.since || new Date() };
+      this.client.raw('AWAY', message);
+    } else {
+      this.client.raw('AWAY');
+    }
+  }
+
+  /**
+   * Get our away status
+   * @returns {Object|null} { message, since } or null when present
+   */
+  getAway() {
+    return this.away;
+  }
+
+  /**
+   * Send a raw IRC line (e.g., 'PRIVMSG #chan :hi')
+   * @param {string} line - Raw line without CRLF
+   */
+  raw(line) {
+    this.ensureConnected();
+    this.client.raw(line);
+  }
+
+  /**
+   * Forget the stored messages of a buffer (/clear)
+   * @param {string} buffer - Channel or nick
+   */
+  clearMessages(buffer) {
+    this.messages[buffer] = [];
+  }
+
+  /**
+   * Throw if we can't send to the server right now
+   */
+  ensureConnected() {
+    if (!this.connected || !this.client) {
+      throw new Error('Not connected to IRC server');
+    }
+  }
+
+  /**
+   * Send message to channel or user
+   * @param {string} target - Channel or nick
+   * @param {string} message - Message text
+   * @param {Object} options
+   * @param {string} options.replyTo - msgid of the message being answered (optional)
+   */
+  sendMessage(target, message, options = {}) {
+    this.sendText(target, message, 'privmsg', options);
+  }
+
+  /**
+   * React to a message with an emoji
+   * @param {string} target - Channel or nick the message is in
+   * @param {string} msgid - Message to react to
+   * @param {string} emoji - Reaction (e.g., '👍')
+   */
+  react(target, msgid, emoji) {
+    this.ensureConnected();
+    if (!this.getClientTagSupport().react) {
+      throw new Error('This server does not support reactions');
+    }
+    this.client.tagmsg(target, { [REPLY_TAG]: msgid, [REACT_TAG]: emoji });
+    // With echo-message our own TAGMSG comes back and is applied then
+    if (!this.hasCap('echo-message')) {
+      this.applyReaction(target, msgid, emoji, this.client.user.nick);
+    }
+  }
+
+  /**
+   * Tell a channel or user whether we're typing (no-op without +typing support)
+   * @param {string} target - Channel or nick
+   * @param {string} state - One of TYPING_STATES
+   */
+  sendTyping(target, state) {
+    if (!this.connected || !this.getClientTagSupport().typing) {
+      return;
+    }
+    if (this.typingThrottle(target, state)) {
+      this.client.tagmsg(target, { [TYPING_TAG]: state });
+    }
+  }
+
+  /**
+   * Send a /me action to channel or user
+   * @param {string} target - Channel or nick
+   * @param {string} text - Action text (without the nick)
+   */
+  sendAction(target, text) {
+    this.sendText(target, text, 'action');
+  }
+
+  /**
+   * Shared PRIVMSG path for sendMessage() and sendAction()
+   * @param {string} target - Channel or nick
+   * @param {string} message - Message text
+   * @param {string} type - 'privmsg' or 'action'
+   * @param {Object} options - { replyTo } (see sendMessage())
+   */
+  sendText(target, message, type, options = {}) {
+    this.ensureConnected();
+    if (!this.isChannel(target)) {
+      target = this.openQuery(target);
+    }
+
+    // Sending the message ends our typing notification without a separate 'done'
+    this.typingThrottle(target, TYPING_STATES.DONE);
+
+    // Replies are tagged where the server allows it, and addressed the old way otherwise
+    const replyTo = options.replyTo || null;
+    const tags = {};
+    // Local ids mean the server gave the message no msgid to point at
+    if (replyTo && this.getClientTagSupport().reply && !replyTo.startsWith('local-')) {
+      tags[REPLY_TAG] = replyTo;
+    } else if (replyTo) {
+      const original = (this.messages[target] || []).find(m => m.id === replyTo);
+      if (original && !message.startsWith(`${original.from}:`)) {
+        message = `${original.from}: ${message}`;
+      }
+    }
+
+    // Long text and pastes go out as several lines that each fit in 512 bytes
+    const limit = getMessageByteLimit({
+      nick: this.client.user.nick,
+      ident: this.client.user.username,
+      hostname: this.client.user.host,
+      target
+    }) - (type === 'action' ? byteLength('\x01ACTION \x01') : 0);
+
+    splitMessage(message, limit).forEach((text, index) => {
+      // Only the first line of a split reply carries the tag
+      const lineTags = index === 0 ? tags : {};
+      const ownMessage = createMessage({
+        id: this.nextLocalId(),
+        network: this.network,
+        target,
+        from: this.client.user.nick,
+        text,
+        type,
+        tags: lineTags,
+        self: true,
+        replyTo: lineTags[REPLY_TAG] || null,
+        pending: true,
+        queued: true
+      });
+
+      this.queuedIds[ownMessage.id] = target;
+      this.storeMessage(target, ownMessage);
+      this.emit('onMessage', ownMessage);
+      this.outboundQueue.enqueue(() => this.sendQueued(ownMessage));
+    });
+  }
+
+  /**
+   * Put a queued line on the wire once the flood limiter allows it
+   * @param {Object} ownMessage - Message stored by sendText()
+   */
+  sendQueued(ownMessage) {
+    const { id, target, text, type, tags } = ownMessage;
+    if (!this.queuedIds[id] || !this.connected) {
+      return;
+    }
+    delete this.queuedIds[id];
+
+    const line = type === 'action' ? `\x01ACTION ${text}\x01` : text;
+    const echo = this.hasCap('echo-message');
+    const labeled = echo && this.hasCap('labeled-response');
+
+    // With echo-message the server sends our line back with its msgid and
+    // server-time, which then replaces this local copy
+    if (labeled) {
+      this.pendingLabels[id] = target;
+      this.client.say(target, line, { ...tags, label: id });
+    } else {
+      this.client.say(target, line, tags);
+      if (echo) {
+        this.unlabeledEchoes[target] = [...(this.unlabeledEchoes[target] || []), id];
+      }
+    }
+
+    this.replaceMessage(target, id, { ...ownMessage, queued: false, pending: echo });
+  }
+
+  /**
+   * Mark lines still waiting in the queue as not sent (connection lost or closed)
+   */
+  dropQueuedMessages() {
+    this.outboundQueue.clear();
+    Object.entries(this.queuedIds).forEach(([id, target]) => this.markFailed(target, id));
+    this.queuedIds = {};
+  }
+
+  /**
+   * Mark sent lines whose echo never came as not sent (the connection dropped first)
+   */
+  dropPendingEchoes() {
+    Object.entries(this.pendingLabels).forEach(([id, target]) => this.markFailed(target, id));
+    Object.entries(this.unlabeledEchoes).forEach(([target, ids]) => {
+      ids.forEach(id => this.markFailed(target, id));
+    });
+    this.pendingLabels = {};
+    this.unlabeledEchoes = {};
+  }
+
+  /**
+   * Show one of our lines as not sent, if it's still stored
+   * @param {string} target - Buffer the line is in
+   * @param {string} id - Local id of the line
+   */
+  markFailed(target, id) {
+    const message = (this.messages[target] || []).find(m => m.id === id);
+    if (message) {
+      this.replaceMessage(target, id, { ...message, queued: false, pending: false, failed: true });
+    }
+  }
+
+  /**
+   * Get messages for a channel
+   * @param {string} channel - Channel name
+   * @param {number} limit - Max messages to return (default: 100)
+   * @returns {Array} Array of message objects
+   */
+  getMessages(channel, limit = 100) {
+    const messages = this.messages[channel] || [];
+    return messages.slice(-limit);
+  }
+
+  /**
+   * Get list of joined channels
+   * @returns {Array} Array of channel names
+   */
+  getChannels() {
+    return this.channels;
+  }
+
+  /**
+   * Get users in a channel
+   * @param {string} channel - Channel name
+   * @returns {Array} Array of { nick, ident, hostname, modes }
+   */
+  getUsers(channel) {
+    return this.users[channel] || [];
+  }
+
+  /**
+   * Get topic and modes of a channel
+   * @param {string} channel - Channel name
+   * @returns {Object} { topic, topicSetBy, topicSetAt, modes }
+   */
+  getChannelInfo(channel) {
+    return this.channelInfo[channel] || { topic: '', topicSetBy: null, topicSetAt: null, modes: {} };
+  }
+
+  /**
+   * Get the server's user prefixes (ISUPPORT PREFIX), highest rank first
+   * @returns {Array} [{ symbol, mode }]
+   */
+  getPrefixes() {
+    return this.client?.network.options.PREFIX || DEFAULT_PREFIXES;
+  }
+
+  /**
+   * Options for applyModeChanges() using this server's prefixes and casemapping
+   * @returns {Object} { prefixes, compare }
+   */
+  getModeOptions() {
+    return {
+      prefixes: this.getPrefixes(),
+      compare: (a, b) => this.client.caseCompare(a, b)
+    };
+  }
+
+  /**
+   * Merge topic/mode changes into a channel and notify listeners
+   * @param {string} channel - Channel name
+   * @param {Object} changes - Fields of getChannelInfo() to replace
+   */
+  updateChannelInfo(channel, changes) {
+    this.channelInfo[channel] = { ...this.getChannelInfo(channel), ...changes };
+
+    this.emit('onChannelInfo', { channel, ...this.channelInfo[channel] });
+  }
+
+  /**
+   * Notify listeners of a channel's current user list
+   * @param {string} channel - Channel name
+   */
+  emitUserList(channel) {
+    this.emit('onUserList', {
+      channel,
+      users: this.users[channel] || []
+    });
+  }
+
+  /**
+   * Disconnect from IRC
+   */
+  disconnect() {
+    this.requestedDisconnect = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopWatchdog();
+    this.dropQueuedMessages();
+
+    if (this.client) {
+      this.client.quit('Phantom IRC - Leaving');
+      this.connected = false;
     }
+    this.setState(CONNECTION_STATES.DISCONNECTED);
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Structured IRC Errors
+ *
+ * Errors delivered through onError carry a machine-readable code and, where
+ * the server sent one, the IRC numeric, so the UI can react to specific
+ * failures instead of showing a generic message.
+ */
+
+export class IRCError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details
+   * @param {string} details.code - Stable error code (e.g., 'sasl_failed')
+   * @param {number|null} details.numeric - IRC numeric (e.g., 904), if any
+   * @param {string|null} details.target - Channel or nick the error is about
+   * @param {string|null} details.serverMessage - Text the server sent
+   */
+  constructor(message, { code, numeric = null, target = null, serverMessage = null } = {}) {
+    super(message);
+    this.name = 'IRCError';
+    this.code = code;
+    this.numeric = numeric;
+    this.target = target;
+    this.serverMessage = serverMessage;
+  }
+}
+
+/**
+ * SASL failure reasons reported by irc-framework's 'sasl failed' event
+ */
+const SASL_FAILURES = {
+  fail: {
+    code: 'sasl_failed',
+    numeric: 904,
+    message: 'SASL authentication failed. Check your account name and password.'
+  },
+  too_long: {
+    code: 'sasl_too_long',
+    numeric: 905,
+    message: 'SASL authentication failed: credentials are too long.'
+  },
+  nick_locked: {
+    code: 'sasl_nick_locked',
+    numeric: 902,
+    message: 'SASL authentication failed: this nick is locked or unavailable.'
+  },
+  capability_missing: {
+    code: 'sasl_unsupported',
+    numeric: null,
+    message: 'This server does not support SASL authentication.'
+  },
+  unsupported_mechanism: {
+    code: 'sasl_mechanism_unsupported',
+    numeric: 908,
+    message: 'This server does not support the selected SASL mechanism.'
+  }
+};
+
+/**
+ * Build an IRCError from an irc-framework 'sasl failed' event
+ * @param {Object} event - { reason, message, nick }
+ * @param {string} mechanism - SASL mechanism that was attempted
+ * @returns {IRCError}
+ */
+export function saslError(event, mechanism) {
+  const failure = SASL_FAILURES[event.reason] || SASL_FAILURES.fail;
+
+  return new IRCError(`${failure.message} (${mechanism})`, {
+    code: failure.code,
+    numeric: failure.numeric,
+    target: event.nick || null,
+    serverMessage: event.message || null
+  });
+}
+
+/**
+ * Reasons a JOIN can be refused, by numeric
+ */
+export const JOIN_ERRORS = {
+  403: { code: 'no_such_channel', message: 'No such channel.' },
+  405: { code: 'too_many_channels', message: 'You have joined too many channels.' },
+  471: { code: 'channel_full', message: 'The channel is full (+l).' },
+  473: { code: 'invite_only', message: 'The channel is invite only (+i).' },
+  474: { code: 'banned', message: 'You are banned from the channel (+b).' },
+  475: { code: 'bad_key', message: 'The channel needs a key (+k).' },
+  477: { code: 'needs_registration', message: 'Only users identified with services may join.' }
+};
+
+// irc-framework reports most of them as 'irc error' events with these names
+const JOIN_ERROR_NUMERICS = {
+  no_such_channel: 403,
+  too_many_channels: 405,
+  channel_is_full: 471,
+  invite_only_channel: 473,
+  banned_from_channel: 474,
+  bad_channel_key: 475
+};
+
+/**
+ * Find the numeric of a join failure
+ * @param {Object|string} event - irc-framework 'irc error' event, or a raw numeric
+ * @returns {number|null} A JOIN_ERRORS key, or null if it's not a join failure
+ */
+export function getJoinErrorNumeric(event) {
+  const numeric = typeof event === 'object' ? JOIN_ERROR_NUMERICS[event.error] : Number(event);
+  return JOIN_ERRORS[numeric] ? numeric : null;
+}
+
+/**
+ * Build an IRCError for a refused JOIN
+ * @param {number} numeric - A JOIN_ERRORS key
+ * @param {string} channel - Channel we tried to join
+ * @param {string} serverMessage - Text the server sent (optional)
+ * @returns {IRCError}
+ */
+export function joinError(numeric, channel, serverMessage = null) {
+  const failure = JOIN_ERRORS[numeric];
+
+  return new IRCError(`Cannot join ${channel}: ${failure.message}`, {
+    code: failure.code,
+    numeric,
+    target: channel,
+    serverMessage
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * mIRC Formatting
+ *
+ * Parses the control codes IRC clients use for styling (bold, colors,
+ * italics...) into plain segments the UI can render, and finds URLs and
+ * channel names worth turning into links.
+ *
+ * https://modern.ircdocs.horse/formatting.html
+ */
+
+const CODES = {
+  BOLD: '\x02',
+  COLOR: '\x03',
+  HEX_COLOR: '\x04',
+  RESET: '\x0f',
+  MONOSPACE: '\x11',
+  REVERSE: '\x16',
+  ITALIC: '\x1d',
+  STRIKETHROUGH: '\x1e',
+  UNDERLINE: '\x1f'
+};
+
+// Codes that flip one style on or off
+const TOGGLES = {
+  [CODES.BOLD]: 'bold',
+  [CODES.MONOSPACE]: 'monospace',
+  [CODES.REVERSE]: 'reverse',
+  [CODES.ITALIC]: 'italic',
+  [CODES.STRIKETHROUGH]: 'strikethrough',
+  [CODES.UNDERLINE]: 'underline'
+};
+
+// Colors 0-98; 99 means "default color"
+export const MIRC_COLORS = [
+  '#ffffff', '#000000', '#00007f', '#009300', '#ff0000', '#7f0000', '#9c009c', '#fc7f00',
+  '#ffff00', '#00fc00', '#009393', '#00ffff', '#0000fc', '#ff00ff', '#7f7f7f', '#d2d2d2',
+  '#470000', '#472100', '#474700', '#324700', '#004700', '#00472c', '#004747', '#002747',
+  '#000047', '#2e0047', '#470047', '#47002a', '#740000', '#743a00', '#747400', '#517400',
+  '#007400', '#007449', '#007474', '#004074', '#000074', '#4b0074', '#740074', '#740045',
+  '#b50000', '#b56300', '#b5b500', '#7db500', '#00b500', '#00b571', '#00b5b5', '#0063b5',
+  '#0000b5', '#7500b5', '#b500b5', '#b5006b', '#ff0000', '#ff8c00', '#ffff00', '#b2ff00',
+  '#00ff00', '#00ffa0', '#00ffff', '#008cff', '#0000ff', '#a500ff', '#ff00ff', '#ff0098',
+  '#ff5959', '#ffb459', '#ffff71', '#cfff60', '#6fff6f', '#65ffc9', '#6dffff', '#59b4ff',
+  '#5959ff', '#c459ff', '#ff66ff', '#ff59bc', '#ff9c9c', '#ffd39c', '#ffff9c', '#e2ff9c',
+  '#9cff9c', '#9cffdb', '#9cffff', '#9cd3ff', '#9c9cff', '#dc9cff', '#ff9cff', '#ff94d3',
+  '#000000', '#131313', '#282828', '#363636', '#4d4d4d', '#656565', '#818181', '#9f9f9f',
+  '#bcbcbc', '#e2e2e2', '#ffffff'
+];
+
+const FORMATTING_PATTERN = /\x03(\d{1,2}(,\d{1,2})?)?|\x04([0-9a-f]{6}(,[0-9a-f]{6})?)?|[\x02\x0f\x11\x16\x1d\x1e\x1f]/gi;
+
+// URLs (with or without a scheme) and #channels at a word boundary
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+|(?<=^|[\s(,])#[^\s,:\x07]*[\w-]/gi;
+
+/**
+ * Look up a mIRC color number
+ * @param {string} number - One or two digits
+ * @returns {string|undefined} CSS color, or undefined for 99/out of range
+ */
+function mircColor(number) {
+  return MIRC_COLORS[parseInt(number, 10)];
+}
+
+/**
+ * Remove all formatting codes
+ * @param {string} text - Text with mIRC control codes
+ * @returns {string} Plain text
+ */
+export function stripFormatting(text) {
+  return (text || '').replace(FORMATTING_PATTERN, '');
+}
+
+/**
+ * Split formatted text into styled segments
+ * @param {string} text - Text with mIRC control codes
+ * @returns {Array} [{ text, bold, italic, underline, strikethrough, monospace, reverse, fg, bg }]
+ */
+export function parseFormatting(text) {
+  const segments = [];
+  let style = {};
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      segments.push({ text: buffer, ...style });
+      buffer = '';
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (TOGGLES[char]) {
+      flush();
+      style = { ...style, [TOGGLES[char]]: !style[TOGGLES[char]] };
+    } else if (char === CODES.RESET) {
+      flush();
+      style = {};
+    } else if (char === CODES.COLOR || char === CODES.HEX_COLOR) {
+      flush();
+      const match = char === CODES.COLOR
+        ? text.slice(i + 1).match(/^(\d{1,2})(?:,(\d{1,2}))?/)
+        : text.slice(i + 1).match(/^([0-9a-f]{6})(?:,([0-9a-f]{6}))?/i);
+      const toColor = char === CODES.COLOR ? mircColor : (hex) => `#${hex}`;
+
+      if (!match) {
+        // A bare color code resets both colors
+        style = { ...style, fg: undefined, bg: undefined };
+        continue;
+      }
+      i += match[0].length;
+      style = {
+        ...style,
+        fg: toColor(match[1]),
+        bg: match[2] !== undefined ? toColor(match[2]) : style.bg
+      };
+    } else {
+      buffer += char;
+    }
+  }
+  flush();
+
+  return segments;
+}
+
+/**
+ * Split text into plain runs, URLs and channel names
+ * @param {string} text - Plain text (one formatting segment)
+ * @returns {Array} [{ type: 'text'|'url'|'channel', text, href }]
+ */
+export function linkify(text) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    let value = match[0];
+    const isChannel = value.startsWith('#');
+
+    if (!isChannel) {
+      // Sentence punctuation after a URL isn't part of it; keep ')' only when balanced
+      value = value.replace(/[.,;:!?'"]+$/, '');
+      if (value.endsWith(')') && !value.includes('(')) {
+        value = value.slice(0, -1);
+      }
+    }
+
+    if (match.index > last) {
+      tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+    tokens.push({
+      type: isChannel ? 'channel' : 'url',
+      text: value,
+      href: isChannel ? null : (/^www\./i.test(value) ? `https://${value}` : value)
+    });
+    last = match.index + value.length;
+  }
+
+  if (last < text.length) {
+    tokens.push({ type: 'text', text: text.slice(last) });
+  }
+  return tokens;
+}
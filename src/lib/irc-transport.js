@@ -0,0 +1,86 @@
+/**
+ * IRC Transport Options
+ *
+ * Browsers cannot open raw TCP sockets, so PhantomIRCClient reaches IRC
+ * either over IRC-over-WebSocket (servers that support it) or through the
+ * bundled WebSocket-to-TCP bridge in server/bridge.js.
+ */
+
+export const CONNECTION_MODES = {
+  DEMO: 'demo',           // MockIRCClient, no network
+  WEBSOCKET: 'websocket', // Direct IRC-over-WebSocket to the ircd
+  BRIDGE: 'bridge',       // WebSocket to server/bridge.js, TCP to the ircd
+  TCP: 'tcp'              // Plain socket (Node.js only)
+};
+
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8067';
+
+/**
+ * Default port for a connection mode
+ * @param {string} mode - One of CONNECTION_MODES
+ * @param {boolean} tls - Whether the connection is encrypted
+ * @returns {number} Port number
+ */
+export function getDefaultPort(mode, tls = false) {
+  if (mode === CONNECTION_MODES.WEBSOCKET) {
+    return tls ? 443 : 80;
+  }
+  return tls ? 6697 : 6667;
+}
+
+/**
+ * Split a WebSocket URL into connect() fields
+ * @param {string} wsUrl - e.g. 'wss://irc.ergo.chat/webirc'
+ * @returns {Object} { host, port, tls, path }
+ */
+export function parseWebSocketUrl(wsUrl) {
+  const url = new URL(wsUrl);
+  const tls = url.protocol === 'wss:';
+
+  return {
+    host: url.hostname,
+    port: Number(url.port) || getDefaultPort(CONNECTION_MODES.WEBSOCKET, tls),
+    tls,
+    path: url.pathname + url.search
+  };
+}
+
+/**
+ * Build the irc-framework connection options for a Phantom config
+ * @param {Object} config - PhantomIRCClient.connect() config
+ * @returns {Object} { host, port, tls, path }
+ */
+export function buildTransportOptions(config) {
+  const mode = config.transport || CONNECTION_MODES.TCP;
+  const tls = !!config.tls;
+  const host = config.host || 'irc.libera.chat';
+  const port = Number(config.port) || getDefaultPort(mode, tls);
+
+  if (mode === CONNECTION_MODES.BRIDGE) {
+    // The bridge is the WebSocket endpoint; the real ircd goes in the query
+    const bridge = new URL(config.bridgeUrl || DEFAULT_BRIDGE_URL);
+    const secure = bridge.protocol === 'wss:';
+    const params = new URLSearchParams({ host, port: String(port) });
+    if (tls) {
+      params.set('tls', '1');
+    }
+
+    return {
+      host: bridge.hostname,
+      port: Number(bridge.port) || (secure ? 443 : 80),
+      tls: secure,
+      path: `${bridge.pathname}?${params.toString()}`
+    };
+  }
+
+  if (mode === CONNECTION_MODES.WEBSOCKET) {
+    return {
+      host,
+      port,
+      tls,
+      path: config.path || '/'
+    };
+  }
+
+  return { host, port, tls };
+}
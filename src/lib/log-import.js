@@ -0,0 +1,429 @@
+/**
+ * Log Import
+ *
+ * Reads other clients' plain-text logs (irssi, WeeChat, ZNC's log module,
+ * HexChat, Textual) into the same message objects the clients produce
+ * (client-contract.js), so old history can be browsed, fed to the AI
+ * features, or replayed in demo mode (createReplayScenario() in
+ * mock-scenario.js). Times in these logs are local unless they carry an
+ * offset; lines without a date take it from the log header, the filename or
+ * options.date.
+ */
+
+import { createMessage } from './client-contract.js';
+
+// Pseudo network id imported buffers are keyed under (see bufferKey())
+export const IMPORTED_NETWORK = 'imported';
+
+export const LOG_FORMATS = {
+  irssi: 'irssi',
+  weechat: 'WeeChat',
+  znc: 'ZNC (log module)',
+  hexchat: 'HexChat',
+  textual: 'Textual'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A nick with the mode prefix some clients log in front of it
+const NICK = '[@%+~&!]?([^\\s<>]+)';
+
+// Lines that give a format away; the format with the most hits wins
+const SIGNATURES = {
+  irssi: [/^--- Log opened /, /^\d\d:\d\d(:\d\d)? (<.\S+>|-!- | \* )/],
+  weechat: [/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d\t/],
+  znc: [/^\[\d\d:\d\d:\d\d\] (<\S+>|\* |-\S+- |\*\*\* )/],
+  hexchat: [/^\*\*\*\* (BEGIN|ENDING) LOGGING AT /, /^[A-Z][a-z]{2} [ \d]\d \d\d:\d\d:\d\d [^\t]*\t/],
+  textual: [/^\[\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d/]
+};
+
+/**
+ * Guess the format of a log
+ * @param {string} text - Log contents
+ * @returns {string|null} A LOG_FORMATS key, or null if nothing looks familiar
+ */
+export function detectLogFormat(text) {
+  const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 100);
+  let best = null;
+  let bestScore = 0;
+  Object.entries(SIGNATURES).forEach(([format, patterns]) => {
+    const score = lines.filter(line => patterns.some(pattern => pattern.test(line))).length;
+    if (score > bestScore) {
+      best = format;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Guess the channel or nick a log file is for from its name
+ * Handles '#chan.log', 'libera-#chan.log' (HexChat),
+ * 'irc.libera.#chan.weechatlog', '#chan_20241015.log' (ZNC) and
+ * '.../#chan/2024-10-15.log' paths
+ * @param {string} filename - Name or path
+ * @returns {string|null}
+ */
+export function guessLogTarget(filename = '') {
+  const parts = filename.split(/[\\/]/);
+  const base = parts.pop().replace(/\.(log|txt|weechatlog)$/i, '');
+  const channel = base.match(/([#&][^\s,.]+?)(?:_\d{8})?$/) || base.match(/([#&][^\s,]+)$/);
+  if (channel) {
+    return channel[1];
+  }
+  // Per-day files live in a folder named after the buffer
+  const folder = parts.pop();
+  if (/^\d{4}-?\d\d-?\d\d$/.test(base) && folder) {
+    return folder;
+  }
+  return null;
+}
+
+/**
+ * Guess the day a log file covers from a YYYY-MM-DD or YYYYMMDD in its name
+ * @param {string} filename
+ * @returns {Date|null} Local midnight of that day
+ */
+export function guessLogDate(filename = '') {
+  const match = filename.match(/(\d{4})-?(\d\d)-?(\d\d)(?!\d)/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 ? new Date(year, month - 1, day) : null;
+}
+
+// Local time on `day` (a Date at any time that day)
+function atTime(day, hours, minutes, seconds = 0) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Number(hours), Number(minutes), Number(seconds || 0));
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+/*
+ * Line parsers: (line, state) => entry, true (understood, nothing to keep)
+ * or null (not understood). state.day is the current day; an entry is
+ * { time, type, from, text, ...extra } and may carry `channel` for the
+ * target guess.
+ */
+
+// 10:00 -!- alice [~alice@host] has joined #chan
+function parseIrssiLine(line, state) {
+  let match = line.match(/^--- Log opened \w+ (\w+) +(\d+) (\d\d):(\d\d):(\d\d) (\d{4})/);
+  if (match) {
+    state.day = new Date(Number(match[6]), monthIndex(match[1]), Number(match[2]));
+    return true;
+  }
+  match = line.match(/^--- Day changed \w+ (\w+) +(\d+) (\d{4})/);
+  if (match) {
+    state.day = new Date(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+    return true;
+  }
+  if (/^--- Log closed/.test(line)) {
+    return true;
+  }
+
+  match = line.match(/^(\d\d):(\d\d)(?::(\d\d))? (.*)$/);
+  if (!match) {
+    return null;
+  }
+  const time = atTime(state.day, match[1], match[2], match[3]);
+  const body = match[4];
+
+  if ((match = body.match(/^<[ @%+~&!]?([^>\s]+)> ?(.*)$/))) {
+    return { time, type: 'privmsg', from: match[1], text: match[2] };
+  }
+  if ((match = body.match(/^ \* (\S+) (.*)$/))) {
+    return { time, type: 'action', from: match[1], text: match[2] };
+  }
+  // Before notices, which look the same: -nick- text
+  if (!body.startsWith('-!- ')) {
+    match = body.match(/^-([^\s(:-]+)(?:\([^)]*\))?(?::\S+)?- ?(.*)$/);
+    return match ? { time, type: 'notice', from: match[1], text: match[2] } : null;
+  }
+
+  const event = body.slice(4);
+  if ((match = event.match(/^(\S+) \[[^\]]*\] has joined (\S+)/))) {
+    return { time, type: 'join', from: match[1], text: '', channel: match[2] };
+  }
+  if ((match = event.match(/^(\S+) \[[^\]]*\] has left (\S+) \[(.*)\]$/))) {
+    return { time, type: 'part', from: match[1], text: match[3], channel: match[2] };
+  }
+  if ((match = event.match(/^(\S+) \[[^\]]*\] has quit \[(.*)\]$/))) {
+    return { time, type: 'quit', from: match[1], text: match[2] };
+  }
+  if ((match = event.match(/^(\S+) is now known as (\S+)$/))) {
+    return { time, type: 'nick', from: match[1], text: '', newNick: match[2] };
+  }
+  if ((match = event.match(/^(\S+) was kicked from (\S+) by (\S+) \[(.*)\]$/))) {
+    return { time, type: 'kick', from: match[3], text: match[4], kicked: match[1], channel: match[2] };
+  }
+  if ((match = event.match(/^(\S+) changed the topic of (\S+) to: ?(.*)$/))) {
+    return { time, type: 'topic', from: match[1], text: match[3], channel: match[2] };
+  }
+  if ((match = event.match(/^mode\/(\S+) \[(.+)\] by (\S+)$/))) {
+    return { time, type: 'mode', from: match[3], text: match[2], channel: match[1] };
+  }
+  return { time, type: 'system', from: null, text: event };
+}
+
+// 2024-10-15 10:00:00<TAB>@alice<TAB>hello
+function parseWeechatLine(line) {
+  const match = line.match(/^(\d{4})-(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\t([^\t]*)\t(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, rawPrefix, body] = match;
+  const time = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  const prefix = rawPrefix.trim();
+  let m;
+
+  if (prefix === '-->') {
+    m = body.match(/^(\S+) \([^)]*\) has joined (\S+)/);
+    return m ? { time, type: 'join', from: m[1], text: '', channel: m[2] } : { time, type: 'system', from: null, text: body };
+  }
+  if (prefix === '<--') {
+    if ((m = body.match(/^(\S+) \([^)]*\) has left (\S+)(?: \((.*)\))?$/))) {
+      return { time, type: 'part', from: m[1], text: m[3] || '', channel: m[2] };
+    }
+    if ((m = body.match(/^(\S+) \([^)]*\) has quit(?: \((.*)\))?$/))) {
+      return { time, type: 'quit', from: m[1], text: m[2] || '' };
+    }
+    if ((m = body.match(/^(\S+) has kicked (\S+)(?: \((.*)\))?$/))) {
+      return { time, type: 'kick', from: m[1], text: m[3] || '', kicked: m[2] };
+    }
+    return { time, type: 'system', from: null, text: body };
+  }
+  if (prefix === '--') {
+    if ((m = body.match(/^(\S+) is now known as (\S+)$/))) {
+      return { time, type: 'nick', from: m[1], text: '', newNick: m[2] };
+    }
+    if ((m = body.match(/^(\S+) has changed topic for (\S+)(?: from ".*")? to "(.*)"$/))) {
+      return { time, type: 'topic', from: m[1], text: m[3], channel: m[2] };
+    }
+    if ((m = body.match(/^Mode (\S+) \[(.+)\] by (\S+)$/))) {
+      return { time, type: 'mode', from: m[3], text: m[2], channel: m[1] };
+    }
+    if ((m = body.match(/^Notice\(([^)]+)\)(?: -> \S+)?: (.*)$/))) {
+      return { time, type: 'notice', from: m[1], text: m[2] };
+    }
+    return { time, type: 'system', from: null, text: body };
+  }
+  if (prefix === '*') {
+    m = body.match(/^(\S+) (.*)$/);
+    return m ? { time, type: 'action', from: m[1].replace(/^[@%+~&!]/, ''), text: m[2] } : null;
+  }
+  if (!prefix || prefix === '=!=') {
+    return { time, type: 'system', from: null, text: body };
+  }
+  return { time, type: 'privmsg', from: prefix.replace(/^[@%+~&!]/, ''), text: body };
+}
+
+// [10:00:00] *** Joins: alice (alice@host)
+function parseZncLine(line, state) {
+  const match = line.match(/^\[(\d\d):(\d\d):(\d\d)\] (.*)$/);
+  if (!match) {
+    return null;
+  }
+  const time = atTime(state.day, match[1], match[2], match[3]);
+  const body = match[4];
+  let m;
+
+  if ((m = body.match(new RegExp(`^<${NICK}> ?(.*)$`)))) {
+    return { time, type: 'privmsg', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^-([^\s-]+)- ?(.*)$/))) {
+    return { time, type: 'notice', from: m[1], text: m[2] };
+  }
+  if (!body.startsWith('*** ')) {
+    m = body.match(/^\* (\S+) (.*)$/);
+    return m ? { time, type: 'action', from: m[1], text: m[2] } : null;
+  }
+
+  const event = body.slice(4);
+  if ((m = event.match(/^Joins: (\S+)/))) {
+    return { time, type: 'join', from: m[1], text: '' };
+  }
+  if ((m = event.match(/^Parts: (\S+) \([^)]*\)(?: \((.*)\))?$/))) {
+    return { time, type: 'part', from: m[1], text: m[2] || '' };
+  }
+  if ((m = event.match(/^Quits: (\S+) \([^)]*\)(?: \((.*)\))?$/))) {
+    return { time, type: 'quit', from: m[1], text: m[2] || '' };
+  }
+  if ((m = event.match(/^(\S+) is now known as (\S+)$/))) {
+    return { time, type: 'nick', from: m[1], text: '', newNick: m[2] };
+  }
+  if ((m = event.match(/^(\S+) was kicked by (\S+)(?: \((.*)\))?$/))) {
+    return { time, type: 'kick', from: m[2], text: m[3] || '', kicked: m[1] };
+  }
+  if ((m = event.match(/^(\S+) changes topic to '(.*)'$/))) {
+    return { time, type: 'topic', from: m[1], text: m[2] };
+  }
+  if ((m = event.match(/^(\S+) sets mode: (.+)$/))) {
+    return { time, type: 'mode', from: m[1], text: m[2] };
+  }
+  return { time, type: 'system', from: null, text: event };
+}
+
+// Oct 15 10:00:00 <alice><TAB>hello
+function parseHexchatLine(line, state) {
+  let match = line.match(/^\*\*\*\* (?:BEGIN|ENDING) LOGGING AT \w+ (\w+) +(\d+) [\d:]+ (\d{4})/);
+  if (match) {
+    state.day = new Date(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+    return true;
+  }
+
+  match = line.match(/^(\w{3}) +(\d{1,2}) (\d\d):(\d\d):(\d\d) ([^\t]*)\t(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const [, monthName, day, hours, minutes, seconds, column, body] = match;
+  const time = new Date(state.day.getFullYear(), monthIndex(monthName), Number(day), Number(hours), Number(minutes), Number(seconds));
+  let m;
+
+  if ((m = column.match(new RegExp(`^<${NICK}>$`)))) {
+    return { time, type: 'privmsg', from: m[1], text: body };
+  }
+  if ((m = column.match(/^-([^\s-]+)-$/))) {
+    return { time, type: 'notice', from: m[1], text: body };
+  }
+  if (column === '*') {
+    m = body.match(/^(\S+) (.*)$/);
+    return m ? { time, type: 'action', from: m[1], text: m[2] } : null;
+  }
+  if ((m = body.match(/^(\S+) \([^)]*\) has joined (\S+)/))) {
+    return { time, type: 'join', from: m[1], text: '', channel: m[2] };
+  }
+  if ((m = body.match(/^(\S+) \([^)]*\) has left (\S+)(?: \((.*)\))?$/))) {
+    return { time, type: 'part', from: m[1], text: m[3] || '', channel: m[2] };
+  }
+  if ((m = body.match(/^(\S+) has quit(?: \((.*)\))?$/))) {
+    return { time, type: 'quit', from: m[1], text: m[2] || '' };
+  }
+  if ((m = body.match(/^(\S+) is now known as (\S+)$/))) {
+    return { time, type: 'nick', from: m[1], text: '', newNick: m[2] };
+  }
+  if ((m = body.match(/^(\S+) has kicked (\S+) from (\S+)(?: \((.*)\))?$/))) {
+    return { time, type: 'kick', from: m[1], text: m[4] || '', kicked: m[2], channel: m[3] };
+  }
+  if ((m = body.match(/^(\S+) has changed the topic to: ?(.*)$/))) {
+    return { time, type: 'topic', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^(\S+) sets mode (\S+(?: \S+)*?)(?: on (\S+))?$/))) {
+    return { time, type: 'mode', from: m[1], text: m[2], channel: m[3] };
+  }
+  return { time, type: 'system', from: null, text: body };
+}
+
+// [2024-10-15T10:00:00-0400] <alice> hello
+function parseTextualLine(line, state) {
+  const match = line.match(/^\[(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?)(Z|[+-]\d\d:?\d\d)?\] (.*)$/);
+  if (!match) {
+    return null;
+  }
+  // Date.parse wants the offset as +hh:mm; without one the time is local
+  const offset = match[2] ? match[2].replace(/^([+-]\d\d)(\d\d)$/, '$1:$2') : '';
+  const time = new Date(Date.parse(match[1] + offset));
+  state.day = time;
+  const body = match[3];
+  let m;
+
+  if ((m = body.match(new RegExp(`^<${NICK}> ?(.*)$`)))) {
+    return { time, type: 'privmsg', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^-([^\s-]+)- ?(.*)$/))) {
+    return { time, type: 'notice', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^[•*] (\S+?):? (.*)$/))) {
+    return { time, type: 'action', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^(\S+) \([^)]*\) joined the channel/))) {
+    return { time, type: 'join', from: m[1], text: '' };
+  }
+  if ((m = body.match(/^(\S+) \([^)]*\) left the channel(?: \((.*)\))?$/))) {
+    return { time, type: 'part', from: m[1], text: m[2] || '' };
+  }
+  if ((m = body.match(/^(\S+) \([^)]*\) left IRC(?: \((.*)\))?$/))) {
+    return { time, type: 'quit', from: m[1], text: m[2] || '' };
+  }
+  if ((m = body.match(/^(\S+) is now known as (\S+)$/))) {
+    return { time, type: 'nick', from: m[1], text: '', newNick: m[2] };
+  }
+  if ((m = body.match(/^(\S+) kicked (\S+) from the channel(?: \((.*)\))?$/))) {
+    return { time, type: 'kick', from: m[1], text: m[3] || '', kicked: m[2] };
+  }
+  if ((m = body.match(/^(\S+) changed the topic to (.*)$/))) {
+    return { time, type: 'topic', from: m[1], text: m[2] };
+  }
+  if ((m = body.match(/^(\S+) sets mode (.+)$/))) {
+    return { time, type: 'mode', from: m[1], text: m[2] };
+  }
+  return { time, type: 'system', from: null, text: body };
+}
+
+const LINE_PARSERS = {
+  irssi: parseIrssiLine,
+  weechat: parseWeechatLine,
+  znc: parseZncLine,
+  hexchat: parseHexchatLine,
+  textual: parseTextualLine
+};
+
+/**
+ * Parse a log into timeline messages
+ * @param {string} text - Log contents
+ * @param {Object} options
+ * @param {string} options.format - A LOG_FORMATS key (default: detectLogFormat())
+ * @param {string} options.filename - Used to guess the target and the day
+ * @param {string} options.target - Channel or nick the log is for (default: guessed)
+ * @param {Date} options.date - Day for logs whose lines carry no date (default: from filename, else today)
+ * @param {string} options.selfNick - Our nick in the log, to mark our own lines
+ * @param {string} options.network - Network id stamped on the messages (default: IMPORTED_NETWORK)
+ * @returns {Object} { format, target, messages, skipped } - skipped counts lines nobody understood
+ */
+export function parseLog(text, options = {}) {
+  const { filename = '', selfNick = null, network = IMPORTED_NETWORK } = options;
+  const format = options.format || detectLogFormat(text);
+  if (!LINE_PARSERS[format]) {
+    throw new Error(`Unrecognized log format${filename ? ` in ${filename}` : ''} (expected ${Object.values(LOG_FORMATS).join(', ')})`);
+  }
+
+  const parseLine = LINE_PARSERS[format];
+  const state = { day: options.date || guessLogDate(filename) || new Date() };
+  const entries = [];
+  let skipped = 0;
+  // The first channel a line names, in case the filename doesn't
+  let logChannel = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const entry = parseLine(line, state);
+    if (!entry) {
+      skipped++;
+    } else if (entry !== true && !isNaN(entry.time)) {
+      const { channel, ...rest } = entry;
+      logChannel = logChannel || channel || null;
+      entries.push(rest);
+    }
+  });
+
+  const target = options.target
+    || guessLogTarget(filename)
+    || logChannel
+    || 'imported';
+
+  const batch = Date.now().toString(36);
+  const messages = entries.map((entry, i) => createMessage({
+    ...entry,
+    id: `import-${batch}-${i}`,
+    network,
+    target,
+    self: !!selfNick && entry.from === selfNick,
+    historical: true,
+    imported: true
+  }));
+
+  return { format, target, messages, skipped };
+}
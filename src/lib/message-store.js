@@ -0,0 +1,268 @@
+/**
+ * Message Store
+ *
+ * Keeps timeline messages in IndexedDB so history survives a reload.
+ * Buffers are stored under the network name, like the per-channel
+ * settings, so a channel's history comes back on the next connect to that
+ * network. Records get their own auto-increment key: message ids are only
+ * unique within a session (the demo starts over at mock-1 every time).
+ */
+
+const DB_NAME = 'phantom-irc';
+const DB_VERSION = 1;
+const STORE = 'messages';
+
+// Messages loaded on join and per page when scrolling up
+export const HISTORY_PAGE_SIZE = 100;
+
+// How long history is kept; 0 keeps it forever
+export const RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Forever' }
+];
+
+export const DEFAULT_RETENTION = {
+  days: 30,
+  perBuffer: 5000   // Oldest lines beyond this are dropped, whatever their age
+};
+
+// Trim a buffer to perBuffer after this many new lines
+const TRIM_EVERY = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Key of a buffer in the store
+ * @param {string} networkName - Network name (not the per-session id)
+ * @param {string} target - Channel or nick
+ * @returns {string}
+ */
+export function storedBufferKey(networkName, target) {
+  return `${networkName}/${target.toLowerCase()}`;
+}
+
+/**
+ * Whether a message belongs in the store
+ * History the server or scenario replays is left out (it sends it again),
+ * as are imported logs, command output and sends that aren't confirmed yet.
+ * @param {Object} message - Timeline message
+ * @returns {boolean}
+ */
+export function isPersistable(message) {
+  return !message.historical && !message.imported && !message.pending && !message.queued && message.type !== 'system';
+}
+
+/**
+ * Merge messages into a timeline, dropping lines it already has (stored
+ * lines the server replays too, a log imported twice)
+ * @param {Array} existing - Messages sorted by time
+ * @param {Array} added - Messages from another source (stored history, an imported log)
+ * @returns {Array} New list sorted by time
+ */
+export function mergeHistory(existing, added) {
+  const signature = (m) => `${m.time.getTime()}|${m.type}|${m.from}|${m.text}`;
+  const seen = new Set(existing.map(signature));
+  const fresh = added.filter(m => {
+    const key = signature(m);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  // Stable sort keeps lines from the same second in order
+  return [...existing, ...fresh].sort((a, b) => a.time - b.time);
+}
+
+// Wrap an IDBRequest in a promise
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Resolves when a transaction has committed
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// Walk a cursor, calling visit(cursor) until it returns false or runs out
+function walk(req, visit) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor && visit(cursor) !== false) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Every record of a buffer, by time: [buffer] sorts before [buffer, time]
+function bufferRange(buffer, before = null) {
+  return IDBKeyRange.bound([buffer], [buffer, before || []], false, !!before);
+}
+
+class MessageStore {
+  /**
+   * @param {Object} options
+   * @param {IDBFactory} options.indexedDB - Database to use (default: the browser's)
+   * @param {string} options.name - Database name (default: 'phantom-irc')
+   */
+  constructor({ indexedDB = globalThis.indexedDB, name = DB_NAME } = {}) {
+    this.factory = indexedDB;
+    this.name = name;
+    this.ready = null;   // Promise of the open database
+    this.retention = DEFAULT_RETENTION;
+    this.addedSinceTrim = {};
+  }
+
+  // API: Whether this browser has IndexedDB (private windows may not)
+  static isSupported() {
+    return typeof globalThis.indexedDB !== 'undefined';
+  }
+
+  // Open (and on first use create) the database
+  open() {
+    if (!this.ready) {
+      const req = this.factory.open(this.name, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('buffer_time', ['buffer', 'time']);
+        store.createIndex('buffer_id', ['buffer', 'id']);
+        store.createIndex('time', 'time');
+      };
+      this.ready = request(req);
+    }
+    return this.ready;
+  }
+
+  /**
+   * Store a message; one with `replaces` overwrites the copy it confirms
+   * (an echo, an edit, new reactions) when that copy was stored
+   * @param {string} networkName
+   * @param {Object} message - Timeline message
+   */
+  async add(networkName, message) {
+    const buffer = storedBufferKey(networkName, message.target);
+    const { replaces, ...record } = { ...message, buffer };
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+
+    let previous = null;
+    if (replaces) {
+      // Newest record with that id: an older session may have used it too
+      await walk(store.index('buffer_id').openCursor(IDBKeyRange.only([buffer, replaces]), 'prev'), cursor => {
+        previous = cursor.value;
+        return false;
+      });
+    }
+    store.put(previous ? { ...record, seq: previous.seq } : record);
+    await done(tx);
+
+    if (!previous) {
+      this.addedSinceTrim[buffer] = (this.addedSinceTrim[buffer] || 0) + 1;
+      if (this.addedSinceTrim[buffer] >= TRIM_EVERY) {
+        this.addedSinceTrim[buffer] = 0;
+        await this.trim(buffer);
+      }
+    }
+  }
+
+  /**
+   * Load a page of a buffer's history: its latest messages before `before`
+   * @param {string} networkName
+   * @param {string} target - Channel or nick
+   * @param {Object} options
+   * @param {Date} options.before - Only messages older than this (default: the latest)
+   * @param {number} options.limit - Page size (default: HISTORY_PAGE_SIZE)
+   * @returns {Promise<{messages: Array, more: boolean}>} Messages oldest first,
+   *   marked historical; `more` when older ones remain
+   */
+  async load(networkName, target, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    const buffer = storedBufferKey(networkName, target);
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readonly');
+    const records = [];
+    let more = false;
+
+    await walk(tx.objectStore(STORE).index('buffer_time').openCursor(bufferRange(buffer, before), 'prev'), cursor => {
+      if (records.length === limit) {
+        more = true;
+        return false;
+      }
+      records.push(cursor.value);
+      return true;
+    });
+
+    const messages = records.reverse().map(record => {
+      const message = { ...record, historical: true };
+      delete message.seq;
+      delete message.buffer;
+      return message;
+    });
+    return { messages, more };
+  }
+
+  /**
+   * Delete a buffer's history
+   * @param {string} networkName
+   * @param {string} target - Channel or nick
+   */
+  async clear(networkName, target) {
+    const buffer = storedBufferKey(networkName, target);
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    await walk(tx.objectStore(STORE).index('buffer_time').openCursor(bufferRange(buffer)), cursor => {
+      cursor.delete();
+    });
+    await done(tx);
+  }
+
+  /**
+   * Apply retention limits: drop everything older than `days` now, and
+   * keep at most `perBuffer` lines per buffer from here on
+   * @param {Object} retention - DEFAULT_RETENTION overrides
+   */
+  async prune(retention = {}) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    if (!this.retention.days) {
+      return;
+    }
+
+    const cutoff = new Date(Date.now() - this.retention.days * DAY);
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    await walk(tx.objectStore(STORE).index('time').openCursor(IDBKeyRange.upperBound(cutoff, true)), cursor => {
+      cursor.delete();
+    });
+    await done(tx);
+  }
+
+  // Drop a buffer's oldest lines beyond retention.perBuffer
+  async trim(buffer) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('buffer_time');
+    let excess = await request(index.count(bufferRange(buffer))) - this.retention.perBuffer;
+    if (excess > 0) {
+      await walk(index.openCursor(bufferRange(buffer)), cursor => {
+        cursor.delete();
+        return --excess > 0;
+      });
+    }
+    await done(tx);
+  }
+}
+
+export default MessageStore;
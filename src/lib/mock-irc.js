@@ -2,188 +2,234 @@
  * Mock IRC Client for Demo Mode
  *
  * Simulates IRC connections and messages for hackathon demonstration
- * when real IRC connections aren't available (browser limitation)
+ * when real IRC connections aren't available (browser limitation).
+ * What happens is scripted by a scenario (mock-scenario.js); all waiting
+ * goes through a clock and all chance through a seeded generator, so a
+ * VirtualClock and a fixed seed replay a session exactly.
  *
  * Build: 2025-12-03-v4-MESSAGES-WORKING
  */
 
+import { DEFAULT_PREFIXES, applyModeChanges, getUserPrefix, parseModeString } from './channel-modes.js';
+import { DEFAULT_CTCP_OPTIONS, SUPPORTED_CTCP, createCtcpLimiter, getCtcpReply } from './ctcp.js';
+import OutboundQueue, { getMessageByteLimit, splitMessage } from './outbound-queue.js';
+import { filterChannels } from './channel-directory.js';
+import { buildUserProfile } from './user-profile.js';
+import { mentionsNick } from './away.js';
+import { QUICK_REACTIONS, TYPING_STATES, addReaction } from './client-tags.js';
+import { joinError } from './irc-errors.js';
+import { IGNORE_SCOPES, addIgnoreEntry, createIgnoreEntry, findIgnoreMatch, isIgnoreActive, removeIgnoreEntry } from './ignore-list.js';
+import ClientEmitter, { createMessage } from './client-contract.js';
+import { normalizeScenario } from './mock-scenario.js';
+import { createRandom } from './seeded-random.js';
+import { REAL_CLOCK } from './virtual-clock.js';
+
 const BUILD_ID = "v4-20251203-messages-working";
 
-class MockIRCClient {
-  constructor() {
+// Same methods, events and message objects as PhantomIRCClient (see client-contract.js)
+// Options: network id, scenario object, seed, and a clock (REAL_CLOCK or a VirtualClock)
+class MockIRCClient extends ClientEmitter {
+  constructor({ network = null, scenario, seed, clock = REAL_CLOCK } = {}) {
+    super();
+    this.network = network;
+    this.clock = clock;
+    this.timers = new Map();
     this.connected = false;
     this.channels = [];
+    this.queries = [];
     this.messages = {};
     this.users = {};
-    this.callbacks = {
-      onConnect: null,
-      onMessage: null,
-      onJoin: null,
-      onPart: null,
-      onError: null,
-      onUserList: null
-    };
-    this.messageInterval = null;
+    this.channelInfo = {};
+    this.away = null;
+    this.ignored = [];
+    this.invitedTo = [];
+    this.awayMentions = [];
+    this.ctcpOptions = DEFAULT_CTCP_OPTIONS;
+    this.ctcpLimiter = createCtcpLimiter();
+    this.outboundQueue = this.createQueue();
+    this.queuedIds = {};   // Lines waiting in the queue: id -> buffer
+    this.localIdCounter = 0;
+    this.state = 'disconnected';
     this.currentUser = 'PhantomUser';
     this._buildId = BUILD_ID; // Force bundle hash change
+    this.loadScenario(scenario, seed);
   }
 
-  // Simulated channel data
-  getMockChannels() {
-    return [
-      {
-        name: '#phantom-demo',
-        topic: 'Welcome to Phantom IRC Demo! This is a simulated channel showcasing AI features.',
-        users: ['alice', 'bob', 'charlie', 'diana', 'eve', this.currentUser]
-      },
-      {
-        name: '#dev-chat',
-        topic: 'Development discussion and technical topics',
-        users: ['dev1', 'dev2', 'techie', 'coder', this.currentUser]
-      },
-      {
-        name: '#random',
-        topic: 'Random off-topic discussions',
-        users: ['user1', 'user2', 'user3', this.currentUser]
-      }
-    ];
-  }
-
-  // Simulated message history
-  getMockMessages(channel) {
-    const messageDB = {
-      '#phantom-demo': [
-        { user: 'alice', text: 'Hey everyone! Welcome to Phantom IRC!', timestamp: Date.now() - 3600000 },
-        { user: 'bob', text: 'This is pretty cool, how does the AI spam filter work?', timestamp: Date.now() - 3500000 },
-        { user: 'alice', text: 'It uses Claude to analyze messages in real-time before sending', timestamp: Date.now() - 3400000 },
-        { user: 'charlie', text: 'Check out this link: https://example.com/cool-project', timestamp: Date.now() - 3300000 },
-        { user: 'diana', text: 'Can someone help me with IRC commands?', timestamp: Date.now() - 3200000 },
-        { user: 'eve', text: 'Sure! Type /join #channel to join a channel', timestamp: Date.now() - 3100000 },
-        { user: 'bob', text: 'The AI summary feature is really handy for catching up', timestamp: Date.now() - 3000000 },
-        { user: 'alice', text: 'Yeah, especially for busy channels with lots of activity', timestamp: Date.now() - 2900000 },
-        { user: 'charlie', text: 'Is this open source?', timestamp: Date.now() - 2800000 },
-        { user: 'diana', text: 'Built for Kiroween 2024 hackathon!', timestamp: Date.now() - 2700000 }
-      ],
-      '#dev-chat': [
-        { user: 'dev1', text: 'Working on a new React component', timestamp: Date.now() - 7200000 },
-        { user: 'dev2', text: 'Nice! Are you using hooks?', timestamp: Date.now() - 7100000 },
-        { user: 'techie', text: 'Hooks are the way to go these days', timestamp: Date.now() - 7000000 },
-        { user: 'coder', text: 'Anyone tried the new Vite features?', timestamp: Date.now() - 6900000 },
-        { user: 'dev1', text: 'Vite is blazing fast compared to webpack', timestamp: Date.now() - 6800000 },
-        { user: 'dev2', text: 'The HMR is incredible', timestamp: Date.now() - 6700000 },
-        { user: 'techie', text: 'What are you all building?', timestamp: Date.now() - 6600000 },
-        { user: 'coder', text: 'Working on an AI-powered IRC client', timestamp: Date.now() - 6500000 }
-      ],
-      '#random': [
-        { user: 'user1', text: 'Good morning everyone!', timestamp: Date.now() - 10800000 },
-        { user: 'user2', text: 'Morning! How\'s everyone doing?', timestamp: Date.now() - 10700000 },
-        { user: 'user3', text: 'Pretty good, just having coffee', timestamp: Date.now() - 10600000 },
-        { user: 'user1', text: 'Coffee is life ☕', timestamp: Date.now() - 10500000 }
-      ]
-    };
+  // API: Play a scenario (see mock-scenario.js; default: the demo) from the next connect on
+  loadScenario(scenario, seed) {
+    this.scenario = normalizeScenario(scenario);
+    this.random = createRandom(seed ?? this.scenario.seed ?? this.clock.now());
+  }
 
-    return messageDB[channel] || [];
-  }
-
-  // Simulated random messages that appear over time
-  getRandomMessage(channel) {
-    const randomMessages = {
-      '#phantom-demo': [
-        { user: 'alice', text: 'The UI looks really polished!' },
-        { user: 'bob', text: 'How long did it take to build this?' },
-        { user: 'charlie', text: 'The dark theme is nice on the eyes' },
-        { user: 'diana', text: 'Can this connect to real IRC servers?' },
-        { user: 'eve', text: 'The Building Protocol validation was smart' },
-        { user: 'alice', text: 'Testing early saved a lot of time' },
-        { user: 'bob', text: 'Anyone else excited about AI features?' },
-        { user: 'charlie', text: 'The spam filter is a game changer' }
-      ],
-      '#dev-chat': [
-        { user: 'dev1', text: 'Just pushed a new commit' },
-        { user: 'dev2', text: 'Running tests now...' },
-        { user: 'techie', text: 'Anyone need help debugging?' },
-        { user: 'coder', text: 'This architecture is clean' }
-      ],
-      '#random': [
-        { user: 'user1', text: 'Anyone here?' },
-        { user: 'user2', text: 'Yeah, what\'s up?' },
-        { user: 'user3', text: 'Just lurking...' }
-      ]
-    };
+  // API: Seed of the random numbers, to replay this session
+  getSeed() {
+    return this.random.seed;
+  }
 
-    const messages = randomMessages[channel] || [];
-    if (messages.length === 0) return null;
+  // Scenario data of a channel, if the scenario has it
+  getChannelData(channel) {
+    return this.scenario.channels.find(c => c.name.toLowerCase() === channel.toLowerCase()) || null;
+  }
 
-    const msg = messages[Math.floor(Math.random() * messages.length)];
-    return { ...msg, timestamp: Date.now() };
+  // Put our nick into a scenario text
+  fillText(text) {
+    return text.replace(/\{nick\}/g, this.currentUser);
   }
 
-  // Simulated spam messages (for testing AI filter)
-  getSpamExamples() {
-    return [
-      'BUY CHEAP PRODUCTS NOW!!! CLICK HERE: http://spam.com',
-      'Make $$$$ working from home! Limited time offer!!!',
-      'You won a FREE iPhone! Claim now at: http://scam.com',
-      'URGENT: Your account needs verification: http://phishing.com'
-    ];
+  // Run fn after ms on our clock; disconnect() cancels whatever hasn't run
+  after(ms, fn) {
+    const id = this.clock.setTimeout(() => {
+      this.timers.delete(id);
+      fn();
+    }, ms);
+    this.timers.set(id, 'timeout');
+    return id;
   }
 
-  // API: Set event callbacks
-  on(event, callback) {
-    switch (event) {
-      case 'registered':
-      case 'onConnect':
-        this.callbacks.onConnect = callback;
-        break;
-      case 'message':
-      case 'onMessage':
-        this.callbacks.onMessage = callback;
-        break;
-      case 'join':
-      case 'onJoin':
-        this.callbacks.onJoin = callback;
-        break;
-      case 'part':
-      case 'onPart':
-        this.callbacks.onPart = callback;
-        break;
-      case 'error':
-      case 'onError':
-        this.callbacks.onError = callback;
-        break;
-      case 'userlist':
-      case 'onUserList':
-        this.callbacks.onUserList = callback;
-        break;
+  // Run fn every ms until stopTimer() or disconnect()
+  every(ms, fn) {
+    const id = this.clock.setInterval(fn, ms);
+    this.timers.set(id, 'interval');
+    return id;
+  }
+
+  stopTimer(id) {
+    if (this.timers.get(id) === 'interval') {
+      this.clock.clearInterval(id);
+    } else {
+      this.clock.clearTimeout(id);
     }
+    this.timers.delete(id);
   }
 
-  // API: Connect to "IRC server"
+  // Flood control on our clock
+  createQueue(options = {}) {
+    return new OutboundQueue({
+      ...options,
+      now: () => this.clock.now(),
+      setTimeout: (fn, ms) => this.clock.setTimeout(fn, ms),
+      clearTimeout: (id) => this.clock.clearTimeout(id)
+    });
+  }
+
+  // API: Connect to "IRC server" (config.scenario and config.seed replace the loaded ones)
   connect(config) {
+    if (config.scenario || config.seed !== undefined) {
+      this.loadScenario(config.scenario || this.scenario, config.seed);
+    }
     this.currentUser = config.nick || 'PhantomUser';
+    this.ctcpOptions = { ...DEFAULT_CTCP_OPTIONS, ...config.ctcp };
+    this.ctcpLimiter = createCtcpLimiter(this.ctcpOptions);
+    this.outboundQueue = this.createQueue(config.queue);
+    this.setState('connecting');
 
     // Simulate connection delay
-    setTimeout(() => {
+    this.after(1000, () => {
       this.connected = true;
+      this.setState('connected');
 
-      if (this.callbacks.onConnect) {
-        this.callbacks.onConnect();
-      }
+      this.emit('onConnect');
 
-      // Auto-join demo channel
-      setTimeout(() => {
-        this.joinChannel('#phantom-demo');
-      }, 500);
+      // Auto-join the scenario's channels
+      this.scenario.autojoin.forEach(channel => {
+        this.after(500, () => this.joinChannel(channel));
+      });
 
-    }, 1000);
+      // Then play its timeline
+      this.scenario.timeline.forEach(event => {
+        this.after(event.at * 1000, () => this.runScenarioEvent(event));
+      });
+    });
   }
 
-  // API: Join channel
-  joinChannel(channelName) {
-    if (!this.connected) {
-      if (this.callbacks.onError) {
-        this.callbacks.onError('Not connected to IRC server');
-      }
+  // Carry out one timeline event (see EVENT_FIELDS in mock-scenario.js)
+  runScenarioEvent(event) {
+    if (!this.connected) return;
+
+    switch (event.type) {
+      case 'message':
+      case 'action':
+        if (this.channels.includes(event.channel) && !this.isIgnored(event.from)) {
+          const type = event.type === 'action' ? 'action' : 'privmsg';
+          this.receiveMessage({ from: event.from, target: event.channel, text: this.fillText(event.text), type });
+        }
+        break;
+      case 'notice':
+        if ((!event.channel || this.channels.includes(event.channel)) && !this.isIgnored(event.from, IGNORE_SCOPES.NOTICES)) {
+          const target = event.channel || this.openQuery(event.from);
+          this.receiveMessage({ from: event.from, target, text: this.fillText(event.text), type: 'notice' });
+        }
+        break;
+      case 'dm':
+        this.receivePrivateMessage(event.from, this.fillText(event.text));
+        break;
+      case 'join':
+        this.userJoined(event.channel, event.nick);
+        break;
+      case 'part':
+        this.userLeft(event.channel, event.nick, 'part', event.reason || '');
+        break;
+      case 'quit':
+        this.channels
+          .filter(channel => this.getUsers(channel).some(u => u.nick === event.nick))
+          .forEach(channel => this.userLeft(channel, event.nick, 'quit', event.reason || 'Quit'));
+        break;
+      case 'kick':
+        // nick: '{nick}' kicks us
+        this.userKicked(event.channel, this.fillText(event.nick), event.by, event.reason);
+        break;
+      case 'nick':
+        this.userChangedNick(event.nick, event.newNick);
+        break;
+      case 'topic':
+        if (this.channels.includes(event.channel)) {
+          this.applyTopic(event.channel, event.by, this.fillText(event.text));
+        }
+        break;
+      case 'mode':
+        if (this.channels.includes(event.channel)) {
+          this.applyModes(event.channel, event.by, event.modes, event.args || []);
+        }
+        break;
+      case 'invite':
+        this.receiveInvite(event.from, event.channel);
+        break;
+      case 'ctcp':
+        this.receiveCtcpRequest(event.from, event.ctcp, event.params);
+        break;
+      case 'spam':
+        this.spamBurst(event);
+        break;
+    }
+  }
+
+  // A burst of spam lines, from nicks that join first if they aren't there yet
+  spamBurst({ channel, from, count, every, texts }) {
+    from.forEach(nick => this.userJoined(channel, nick));
+    for (let i = 0; i < count; i++) {
+      this.after(i * every * 1000, () => {
+        const nick = from[i % from.length];
+        if (this.connected && this.channels.includes(channel) && !this.isIgnored(nick)) {
+          this.receiveMessage({ from: nick, target: channel, text: this.random.pick(texts) });
+        }
+      });
+    }
+  }
+
+  // API: Join channel; refusals arrive through onJoinError like a real server's numerics
+  joinChannel(channelName, key) {
+    this.ensureConnected();
+
+    const rule = this.scenario.joinRules[channelName.toLowerCase()];
+    const invited = rule?.numeric === 473 && this.invitedTo.includes(channelName.toLowerCase());
+    if (rule && !invited && !this.channels.includes(channelName) && !(rule.key && rule.key === key)) {
+      this.after(300, () => {
+        this.emit('onJoinError', {
+          channel: channelName,
+          error: joinError(rule.numeric, channelName, rule.reason),
+          withKey: !!key
+        });
+      });
       return;
     }
 
@@ -192,142 +238,709 @@ class MockIRCClient {
       this.channels.push(channelName);
     }
 
-    // Get mock data for this channel
-    const mockChannels = this.getMockChannels();
-    const channelData = mockChannels.find(c => c.name === channelName) || {
-      name: channelName,
-      topic: `Welcome to ${channelName}`,
-      users: [this.currentUser]
-    };
+    // Scenario data for this channel; whoever creates a channel gets ops
+    const channelData = this.getChannelData(channelName);
+    const created = !channelData;
 
     // Initialize messages for this channel
     if (!this.messages[channelName]) {
-      this.messages[channelName] = this.getMockMessages(channelName);
+      this.messages[channelName] = (channelData?.history || []).map(({ ago = 0, text, ...m }) => this.createMessage({
+        ...m,
+        text: this.fillText(text),
+        time: this.clock.now() - ago * 1000,
+        target: channelName
+      }));
     }
 
-    // Initialize users for this channel
+    // Initialize users for this channel (we're last in, so last in the list)
     if (!this.users[channelName]) {
-      this.users[channelName] = channelData.users;
+      const users = [...(channelData?.users || []), { nick: this.currentUser, modes: created ? ['o'] : [] }];
+      this.users[channelName] = users.map(u => ({ ...this.getSource(u.nick), modes: [], ...u }));
     }
 
-    // Trigger join callback
-    setTimeout(() => {
-      if (this.callbacks.onJoin) {
-        this.callbacks.onJoin({
-          channel: channelName,
-          nick: this.currentUser
-        });
-      }
+    if (!this.channelInfo[channelName]) {
+      this.channelInfo[channelName] = {
+        topic: created ? `Welcome to ${channelName}` : channelData.topic || '',
+        topicSetBy: created ? this.currentUser : channelData.topicSetBy || null,
+        topicSetAt: new Date(this.clock.now() - 86400000),
+        modes: channelData?.modes || { n: true, t: true }
+      };
+    }
 
-      // Trigger userlist callback
-      if (this.callbacks.onUserList) {
-        this.callbacks.onUserList({
-          channel: channelName,
-          users: this.users[channelName]
-        });
-      }
+    // Trigger join callback, with our join in the timeline like the server's JOIN
+    this.after(500, () => {
+      if (!this.channels.includes(channelName)) return;   // Parted meanwhile
+      this.emitEvent(channelName, 'join', this.currentUser);
+      this.emit('onJoin', {
+        channel: channelName,
+        nick: this.currentUser
+      });
+
+      // Trigger userlist and topic callbacks
+      this.emit('onUserList', {
+        channel: channelName,
+        users: this.users[channelName]
+      });
+      this.emitChannelInfo(channelName);
 
       // Start simulating random messages for this channel
       this.startMessageSimulation(channelName);
+    });
+  }
+
+  // API: Leave channel; its messages stay, like PhantomIRCClient's
+  partChannel(channelName, reason = '') {
+    this.ensureConnected();
+    if (!this.channels.includes(channelName)) return;
+
+    this.channels = this.channels.filter(c => c !== channelName);
+    delete this.users[channelName];
+    delete this.channelInfo[channelName];
+    this.emitEvent(channelName, 'part', this.currentUser, reason);
 
-    }, 500);
+    this.emit('onPart', {
+      channel: channelName,
+      nick: this.currentUser
+    });
   }
 
-  // API: Leave channel
-  partChannel(channelName) {
-    const index = this.channels.indexOf(channelName);
-    if (index > -1) {
-      this.channels.splice(index, 1);
-    }
+  // API: Is this target a channel (vs. a nick)?
+  isChannel(target) {
+    return /^[#&]/.test(target);
+  }
 
-    if (this.callbacks.onPart) {
-      this.callbacks.onPart({
-        channel: channelName,
-        nick: this.currentUser
-      });
+  // API: Open a query buffer with a user
+  openQuery(nick) {
+    const existing = this.queries.find(q => q.toLowerCase() === nick.toLowerCase());
+    if (existing) {
+      return existing;
     }
+
+    this.queries.push(nick);
+    this.emit('onQuery', { nick });
+    return nick;
   }
 
-  // API: Send message
-  sendMessage(channel, text) {
-    if (!this.connected) {
-      throw new Error('Not connected to IRC server');
+  // API: Close a query buffer
+  closeQuery(nick) {
+    this.queries = this.queries.filter(q => q.toLowerCase() !== nick.toLowerCase());
+  }
+
+  // API: Get open query buffers
+  getQueries() {
+    return this.queries;
+  }
+
+  // Simulate a private message from another user
+  receivePrivateMessage(nick, text) {
+    if (!this.connected || this.isIgnored(nick)) return;
+
+    this.receiveMessage({ from: nick, target: this.openQuery(nick), text });
+  }
+
+  // Store a message from someone else and tell the UI
+  receiveMessage(fields) {
+    const message = this.createMessage(fields);
+    if (!this.messages[message.target]) {
+      this.messages[message.target] = [];
     }
+    this.messages[message.target].push(message);
+    this.recordMention(message);
+    this.emit('onMessage', message);
+  }
 
-    const message = {
-      user: this.currentUser,
-      text: text,
-      timestamp: Date.now()
-    };
+  // Build a message (see createMessage() in client-contract.js) with a fresh id
+  createMessage(fields) {
+    return createMessage({
+      id: this.nextId(),
+      network: this.network,
+      time: this.clock.now(),
+      self: fields.from === this.currentUser,
+      ...fields
+    });
+  }
 
-    // Add to messages
-    if (!this.messages[channel]) {
-      this.messages[channel] = [];
+  // API: Send message (to a channel or a nick); options.replyTo answers a message
+  sendMessage(channel, text, options = {}) {
+    this.sendText(channel, text, 'privmsg', options);
+  }
+
+  // API: React to a message (the demo server supports every client tag)
+  react(target, msgid, emoji) {
+    this.ensureConnected();
+    this.applyReaction(target, msgid, emoji, this.currentUser);
+  }
+
+  // API: Typing notifications go nowhere in demo mode
+  sendTyping(target, state) {}
+
+  // API: Which client tags the server lets us send
+  getClientTagSupport() {
+    return { reply: true, react: true, typing: true };
+  }
+
+  // Record a reaction on a stored message and tell the UI
+  applyReaction(buffer, msgid, emoji, nick) {
+    const list = this.messages[buffer] || [];
+    const index = list.findIndex(m => m.id === msgid);
+    if (index === -1) return;
+
+    list[index] = { ...list[index], reactions: addReaction(list[index].reactions, emoji, nick) };
+    this.emit('onMessage', { ...list[index], replaces: msgid });
+  }
+
+  // Tell the UI someone is typing
+  emitTyping(target, nick, state) {
+    this.emit('onTyping', { target, nick, state });
+  }
+
+  nextId() {
+    return `mock-${++this.localIdCounter}`;
+  }
+
+  // API: Send a /me action
+  sendAction(channel, text) {
+    this.sendText(channel, text, 'action');
+  }
+
+  // Shared path for sendMessage() and sendAction()
+  sendText(channel, text, type, options = {}) {
+    this.ensureConnected();
+
+    if (!this.isChannel(channel)) {
+      channel = this.openQuery(channel);
     }
-    this.messages[channel].push(message);
 
-    // Trigger message callback
-    if (this.callbacks.onMessage) {
-      this.callbacks.onMessage({
+    // Same splitting and flood control as PhantomIRCClient
+    const lines = splitMessage(text, getMessageByteLimit({ nick: this.currentUser, target: channel }));
+    lines.forEach((line, index) => {
+      const message = this.createMessage({
         from: this.currentUser,
-        to: channel,
-        message: text,
-        time: new Date()
+        target: channel,
+        text: line,
+        type,
+        replyTo: index === 0 ? options.replyTo || null : null,
+        pending: true,
+        queued: true
       });
+      if (!this.messages[channel]) {
+        this.messages[channel] = [];
+      }
+      this.messages[channel].push(message);
+      this.queuedIds[message.id] = channel;
+      this.emit('onMessage', message);
+
+      this.outboundQueue.enqueue(() => {
+        if (!this.queuedIds[message.id] || !this.connected) return;
+        delete this.queuedIds[message.id];
+
+        const sent = { ...message, pending: false, queued: false };
+        this.replaceMessage(channel, message.id, sent);
+        // Answer once the whole paste is out
+        if (index === lines.length - 1) {
+          this.simulateReply(channel, sent.id);
+        }
+      });
+    });
+  }
+
+  // Swap a stored message for a new copy (same id) and tell the UI
+  replaceMessage(buffer, id, message) {
+    const list = this.messages[buffer] || [];
+    const index = list.findIndex(m => m.id === id);
+    if (index !== -1) {
+      list[index] = message;
     }
+    this.emit('onMessage', { ...message, replaces: id });
+  }
 
-    // Simulate a reply from someone
-    setTimeout(() => {
-      const replies = [
-        { user: 'alice', text: 'Good point!' },
-        { user: 'bob', text: 'I agree' },
-        { user: 'charlie', text: 'Interesting...' },
-        { user: 'diana', text: 'Thanks for sharing!' },
-        { user: 'eve', text: '👍' }
-      ];
-
-      const reply = replies[Math.floor(Math.random() * replies.length)];
-      const replyMsg = { ...reply, timestamp: Date.now() };
-
-      this.messages[channel].push(replyMsg);
-
-      if (this.callbacks.onMessage) {
-        this.callbacks.onMessage({
-          from: reply.user,
-          to: channel,
-          message: reply.text,
-          time: new Date()
-        });
+  // Mark lines still waiting in the queue as not sent, like PhantomIRCClient
+  dropQueuedMessages() {
+    this.outboundQueue.clear();
+    Object.entries(this.queuedIds).forEach(([id, buffer]) => {
+      const message = (this.messages[buffer] || []).find(m => m.id === id);
+      if (message) {
+        this.replaceMessage(buffer, id, { ...message, queued: false, pending: false, failed: true });
       }
-    }, 2000 + Math.random() * 3000);
+    });
+    this.queuedIds = {};
+  }
+
+  // Simulate someone answering what we sent
+  simulateReply(channel, sentId) {
+    const sim = this.scenario.simulation;
+    const delay = this.random.between(...sim.replyDelay) * 1000;
+
+    // In a query, the other party answers
+    if (!this.isChannel(channel)) {
+      this.after(500, () => this.emitTyping(channel, channel, TYPING_STATES.ACTIVE));
+      this.after(delay, () => {
+        this.receivePrivateMessage(channel, this.fillText(sim.queryReply));
+      });
+      return;
+    }
+
+    const reply = this.random.pick(sim.replies);
+    if (!reply || this.isIgnored(reply.from)) return;
+
+    // Someone else may just react instead of typing anything
+    const reactor = sim.replies.find(r => r.from !== reply.from && this.random.chance(sim.reactionChance));
+    if (reactor && !this.isIgnored(reactor.from)) {
+      this.after(1000, () => {
+        this.applyReaction(channel, sentId, this.random.pick(QUICK_REACTIONS), reactor.from);
+      });
+    }
+
+    // Simulate a reply from someone, quoting us half the time
+    const replyTo = this.random.chance(0.5) ? sentId : null;
+    this.after(500, () => this.emitTyping(channel, reply.from, TYPING_STATES.ACTIVE));
+    this.after(delay, () => {
+      if (!this.messages[channel]) return;
+      this.receiveMessage({ from: reply.from, text: this.fillText(reply.text), target: channel, replyTo });
+    });
   }
 
   // Start simulating random messages
   startMessageSimulation(channel) {
-    // Every 15-30 seconds, add a random message
-    const interval = setInterval(() => {
+    const sim = this.scenario.simulation;
+    // Every so often (chatterInterval), add a random message
+    const timer = this.every(this.random.between(...sim.chatterInterval) * 1000, () => {
       if (!this.channels.includes(channel)) {
-        clearInterval(interval);
+        this.stopTimer(timer);
         return;
       }
 
-      const randomMsg = this.getRandomMessage(channel);
-      if (randomMsg && this.callbacks.onMessage) {
-        this.messages[channel].push(randomMsg);
+      // Now and then a guest wanders in or out instead
+      if (this.random.chance(sim.presenceChance)) {
+        this.simulatePresence(channel);
+        return;
+      }
 
-        this.callbacks.onMessage({
-          from: randomMsg.user,
-          to: channel,
-          message: randomMsg.text,
-          time: new Date(randomMsg.timestamp)
-        });
+      const randomMsg = this.random.pick(this.getChannelData(channel)?.chatter || []);
+      if (randomMsg && !this.isIgnored(randomMsg.from)) {
+        this.receiveMessage({ ...randomMsg, text: this.fillText(randomMsg.text), target: channel });
       }
-    }, 15000 + Math.random() * 15000);
+    });
+  }
+
+  // Simulate a guest joining, leaving or quitting
+  simulatePresence(channel) {
+    const guest = this.random.pick(this.scenario.simulation.guests);
+    if (!guest) return;
+
+    if (!this.getUsers(channel).some(u => u.nick === guest)) {
+      this.userJoined(channel, guest);
+    } else {
+      const [type, reason] = this.random.chance(0.5) ? ['part', 'Leaving'] : ['quit', 'Ping timeout: 240 seconds'];
+      this.userLeft(channel, guest, type, reason);
+    }
   }
 
-  // API: Get messages for channel
-  getMessages(channel) {
-    return this.messages[channel] || [];
+  // Someone else joins a channel we're in
+  userJoined(channel, nick) {
+    const users = this.users[channel];
+    if (!this.channels.includes(channel) || !users || users.some(u => u.nick === nick)) return;
+
+    this.users[channel] = [...users, { ...this.getSource(nick), modes: [] }];
+    // Ignored users still come and go from the user list, just not the timeline
+    if (!this.isIgnored(nick, IGNORE_SCOPES.PRESENCE)) this.emitEvent(channel, 'join', nick);
+    this.emit('onUserList', { channel, users: this.users[channel] });
+  }
+
+  // Someone else parts or quits (type) a channel we're in
+  userLeft(channel, nick, type, reason = '') {
+    const users = this.users[channel];
+    if (!this.channels.includes(channel) || !users || !users.some(u => u.nick === nick)) return;
+
+    this.users[channel] = users.filter(u => u.nick !== nick);
+    if (!this.isIgnored(nick, IGNORE_SCOPES.PRESENCE)) this.emitEvent(channel, type, nick, reason);
+    this.emit('onUserList', { channel, users: this.users[channel] });
+  }
+
+  // Someone kicks a user, maybe us, from a channel we're in
+  userKicked(channel, nick, by, reason) {
+    if (!this.channels.includes(channel)) return;
+    this.emitEvent(channel, 'kick', by, reason || nick, { kicked: nick });
+
+    if (nick === this.currentUser) {
+      this.channels = this.channels.filter(c => c !== channel);
+      delete this.users[channel];
+      delete this.channelInfo[channel];
+      this.emit('onPart', { channel, nick, kickedBy: by, reason: reason || '' });
+      return;
+    }
+
+    this.users[channel] = this.getUsers(channel).filter(u => u.nick !== nick);
+    this.emit('onUserList', { channel, users: this.users[channel] });
+  }
+
+  // Someone else changes nick; an open query follows them
+  userChangedNick(nick, newNick) {
+    this.channels
+      .filter(channel => this.getUsers(channel).some(u => u.nick === nick))
+      .forEach(channel => {
+        this.users[channel] = this.getUsers(channel).map(u => (u.nick === nick ? { ...u, nick: newNick } : u));
+        this.emit('onUserList', { channel, users: this.users[channel] });
+        this.emitEvent(channel, 'nick', nick, '', { newNick });
+      });
+
+    const query = this.queries.find(q => q.toLowerCase() === nick.toLowerCase()) || null;
+    if (query) {
+      this.queries = this.queries.map(q => (q === query ? newNick : q));
+      this.messages[newNick] = this.messages[query] || [];
+      delete this.messages[query];
+      this.emitEvent(newNick, 'nick', nick, '', { newNick });
+    }
+
+    this.emit('onNick', { oldNick: nick, newNick, self: false, query });
+  }
+
+  // Add a system event (join, part, quit, nick, kick, mode, topic) to a channel's timeline
+  emitEvent(channel, type, from, text = '', fields = {}) {
+    const event = this.createMessage({ from, target: channel, text, type, ...fields });
+
+    if (!this.messages[channel]) {
+      this.messages[channel] = [];
+    }
+    this.messages[channel].push(event);
+
+    this.emit('onMessage', event);
+  }
+
+  // Simulate another user inviting us to a channel
+  receiveInvite(nick, channel) {
+    if (!this.connected || this.isIgnored(nick, IGNORE_SCOPES.INVITES)) return;
+
+    this.invitedTo.push(channel.toLowerCase());
+    this.emit('onInvite', { channel, from: nick });
+  }
+
+  // Simulate a CTCP request from another user, answered like PhantomIRCClient would
+  receiveCtcpRequest(nick, type, params = '') {
+    if (!this.connected || this.isIgnored(nick, IGNORE_SCOPES.CTCP)) return;
+
+    const reply = getCtcpReply(type, params, this.ctcpOptions);
+    this.emit('onCtcp', {
+      kind: 'request',
+      from: nick,
+      target: this.currentUser,
+      type,
+      params,
+      replied: reply !== null && this.ctcpLimiter(this.clock.now()),
+      time: new Date(this.clock.now())
+    });
+  }
+
+  // API: Send a CTCP request; demo users answer the common ones
+  sendCtcp(target, type, params = '') {
+    this.ensureConnected();
+    type = type.toUpperCase();
+
+    if (type === 'ACTION') {
+      this.sendAction(target, params);
+      return;
+    }
+
+    const sentAt = this.clock.now();
+    const from = this.isChannel(target) ? 'alice' : target;
+    const replies = {
+      VERSION: 'Phantom Demo Bot 1.0 (simulated)',
+      PING: params || String(sentAt),
+      TIME: new Date(sentAt).toString(),
+      CLIENTINFO: SUPPORTED_CTCP.join(' ')
+    };
+    if (!replies[type]) {
+      return;
+    }
+
+    this.after(this.random.between(200, 800), () => {
+      this.emit('onCtcp', {
+        kind: 'reply',
+        from,
+        target: this.currentUser,
+        type,
+        params: replies[type],
+        rtt: type === 'PING' ? this.clock.now() - sentAt : null,
+        time: new Date(this.clock.now())
+      });
+    });
+  }
+
+  // API: List public channels; results stream in through onChannelList like a real LIST
+  listChannels(filters = {}) {
+    this.ensureConnected();
+
+    // Scenario channels count us in once we've joined
+    const known = this.scenario.channels.map(c => ({
+      name: c.name,
+      users: (this.users[c.name] || c.users || []).length,
+      topic: this.getChannelInfo(c.name).topic || c.topic || ''
+    }));
+    const channels = filterChannels([...known, ...this.scenario.directory], filters);
+
+    // A few entries at a time, the way big networks trickle them in
+    const chunks = [];
+    for (let i = 0; i < channels.length; i += 5) {
+      chunks.push(channels.slice(i, i + 5));
+    }
+    chunks.forEach((chunk, i) => {
+      this.after(300 + i * 250, () => {
+        this.emit('onChannelList', { channels: chunk, done: false });
+      });
+    });
+    this.after(300 + chunks.length * 250, () => {
+      this.emit('onChannelList', { channels: [], done: true });
+    });
+  }
+
+  // API: The demo server filters by mask and user count like an ELIST=MU server
+  getListSupport() {
+    return 'MU';
+  }
+
+  // API: Change nick (the demo server never says the nick is taken)
+  changeNick(nick) {
+    this.ensureConnected();
+    const oldNick = this.currentUser;
+    this.currentUser = nick;
+
+    this.channels.forEach(channel => {
+      this.users[channel] = (this.users[channel] || []).map(u => u.nick === oldNick ? { ...u, nick } : u);
+      this.emit('onUserList', { channel, users: this.users[channel] });
+      this.emitEvent(channel, 'nick', oldNick, '', { newNick: nick });
+    });
+
+    this.emit('onNick', { oldNick, newNick: nick, self: true, query: null });
+  }
+
+  // API: Set a channel topic (no topic = ask for it)
+  setTopic(channel, topic) {
+    this.ensureConnected();
+    if (topic === undefined) {
+      this.emitChannelInfo(channel);
+      return;
+    }
+    this.applyTopic(channel, this.currentUser, topic);
+  }
+
+  // Record a topic change by anyone
+  applyTopic(channel, nick, topic) {
+    this.channelInfo[channel] = {
+      ...this.getChannelInfo(channel),
+      topic,
+      topicSetBy: nick,
+      topicSetAt: new Date(this.clock.now())
+    };
+    this.emitEvent(channel, 'topic', nick, topic);
+    this.emitChannelInfo(channel);
+  }
+
+  // API: Look up a user (shaped like an irc-framework whois event)
+  whois(nick) {
+    this.ensureConnected();
+    const channels = this.channels
+      .map(c => ({ channel: c, user: (this.users[c] || []).find(u => u.nick.toLowerCase() === nick.toLowerCase()) }))
+      .filter(({ user }) => user);
+
+    if (channels.length === 0 && nick !== this.currentUser) {
+      return Promise.resolve({ nick, error: 'not_found' });
+    }
+
+    const profile = this.scenario.profiles[nick] || {};
+    const isSelf = nick === this.currentUser;
+    return Promise.resolve({
+      ...this.getSource(nick),
+      nick: channels[0]?.user.nick || nick,
+      real_name: profile.realName || (isSelf ? 'Phantom IRC User' : `${nick} (simulated)`),
+      account: profile.account,
+      channels: channels.map(({ channel, user }) => getUserPrefix(user) + channel).join(' '),
+      server: 'irc.phantom.demo',
+      server_info: 'Phantom IRC demo server',
+      idle: isSelf ? 0 : profile.idle ?? this.random.int(0, 599),
+      logon: Math.floor(this.clock.now() / 1000) - 86400,
+      away: isSelf ? this.away?.message : profile.away,
+      secure: profile.secure
+    });
+  }
+
+  // API: Look up a user who has left (guests that wandered off)
+  whowas(nick) {
+    this.ensureConnected();
+    if (!this.isGuest(nick)) {
+      return Promise.resolve({ nick, error: 'no_such_nick' });
+    }
+    return Promise.resolve({
+      ...this.getSource(nick),
+      real_name: 'Guest',
+      server: 'irc.phantom.demo',
+      server_info: 'Phantom IRC demo server'
+    });
+  }
+
+  // API: Get a user's profile, falling back to WHOWAS if they are gone
+  async lookupUser(nick) {
+    const whois = await this.whois(nick);
+    if (!whois.error) {
+      return buildUserProfile(whois);
+    }
+    return buildUserProfile(await this.whowas(nick), false);
+  }
+
+  // API: Ignore a nick or hostmask; options are { scopes, minutes }
+  ignore(mask, options = {}) {
+    const entry = createIgnoreEntry(mask, options, this.clock.now());
+    this.ignored = addIgnoreEntry(this.ignored, entry);
+    return entry;
+  }
+
+  // API: Remove an ignore entry
+  unignore(mask) {
+    this.ignored = removeIgnoreEntry(this.ignored, mask);
+  }
+
+  // API: Replace the whole ignore list
+  setIgnoreList(entries) {
+    this.ignored = entries.filter(entry => isIgnoreActive(entry, this.clock.now()));
+  }
+
+  // API: Get the ignore entries that haven't expired
+  getIgnoreList() {
+    this.ignored = this.ignored.filter(entry => isIgnoreActive(entry, this.clock.now()));
+    return this.ignored;
+  }
+
+  // API: Check whether a user (nick or { nick, ident, hostname }) is ignored for a kind of traffic
+  isIgnored(source, scope = IGNORE_SCOPES.MESSAGES) {
+    const user = typeof source === 'string' ? this.getSource(source) : { ...this.getSource(source.nick), ...source };
+    return !!findIgnoreMatch(this.ignored, user, scope, this.clock.now());
+  }
+
+  // Ident and host of a demo user, as WHOIS reports them
+  getSource(nick) {
+    const profile = this.scenario.profiles[nick] || {};
+    return {
+      nick,
+      ident: `~${nick.toLowerCase().slice(0, 9)}`,
+      hostname: profile.host || (this.isGuest(nick) ? 'gateway/web/phantom' : 'demo.phantom.irc')
+    };
+  }
+
+  // Guests come and go on their own (see simulatePresence())
+  isGuest(nick) {
+    return this.scenario.simulation.guests.includes(nick);
+  }
+
+  // API: Change channel modes (the demo server accepts every change)
+  setMode(target, modes, args = []) {
+    this.ensureConnected();
+    if (!this.isChannel(target)) {
+      return;
+    }
+
+    this.applyModes(target, this.currentUser, modes, args);
+  }
+
+  // Record a channel mode change by anyone
+  applyModes(channel, nick, modes, args = []) {
+    const result = applyModeChanges(
+      this.getChannelInfo(channel).modes,
+      this.getUsers(channel),
+      parseModeString(modes, args)
+    );
+    this.users[channel] = result.users;
+    this.channelInfo[channel] = { ...this.getChannelInfo(channel), modes: result.modes };
+    this.emitEvent(channel, 'mode', nick, [modes, ...args].join(' '));
+
+    this.emit('onUserList', { channel, users: this.users[channel] });
+    this.emitChannelInfo(channel);
+  }
+
+  // API: Kick a user from a channel
+  kick(channel, nick, reason) {
+    this.ensureConnected();
+    this.users[channel] = (this.users[channel] || []).filter(u => u.nick !== nick);
+    this.emitEvent(channel, 'kick', this.currentUser, reason || nick, { kicked: nick });
+
+    this.emit('onUserList', { channel, users: this.users[channel] });
+  }
+
+  // API: Ban a mask from a channel (accepted but not simulated)
+  ban(channel, mask) {
+    this.ensureConnected();
+  }
+
+  // API: Invite a user to a channel (accepted but not simulated)
+  invite(nick, channel) {
+    this.ensureConnected();
+  }
+
+  // API: Mark ourselves away, or back when no message is given
+  setAway(message) {
+    this.ensureConnected();
+    const mentions = message ? [] : this.awayMentions;
+    this.away = message ? { message, since: this.away?.since || new Date(this.clock.now()) } : null;
+    if (!message) {
+      this.awayMentions = [];
+    }
+
+    // Dim ourselves in the user lists too
+    this.channels.forEach(channel => {
+      this.users[channel] = (this.users[channel] || []).map(u =>
+        u.nick === this.currentUser ? { ...u, away: !!message, awayMessage: message || '' } : u
+      );
+      this.emit('onUserList', { channel, users: this.users[channel] });
+    });
+
+    this.emit('onAway', {
+      away: !!message,
+      message: message || '',
+      since: this.away?.since || null,
+      mentions
+    });
+
+    // The scenario may have someone come looking for you the moment you step away
+    const ping = this.scenario.simulation.awayPing;
+    if (message && ping) {
+      const channel = this.channels[0];
+      this.after(ping.after * 1000, () => {
+        if (this.away && channel && this.channels.includes(channel) && !this.isIgnored(ping.from)) {
+          this.receiveMessage({ from: ping.from, target: channel, text: this.fillText(ping.text) });
+        }
+      });
+    }
+  }
+
+  // API: Get our away status
+  getAway() {
+    return this.away;
+  }
+
+  // Keep mentions and DMs that arrive while we're away
+  recordMention(message) {
+    if (this.away && (!this.isChannel(message.target) || mentionsNick(message.text, this.currentUser))) {
+      this.awayMentions.push(message);
+    }
+  }
+
+  // API: Raw lines need a real server
+  raw(line) {
+    throw new Error('Raw commands are not available in demo mode');
+  }
+
+  // API: Forget the stored messages of a buffer (/clear)
+  clearMessages(buffer) {
+    this.messages[buffer] = [];
+  }
+
+  ensureConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected to IRC server');
+    }
+  }
+
+  // API: Get the latest messages of a buffer
+  getMessages(channel, limit = 100) {
+    return (this.messages[channel] || []).slice(-limit);
   }
 
   // API: Get users in channel
@@ -340,21 +953,55 @@ class MockIRCClient {
     return this.channels;
   }
 
+  // API: Get topic and modes of a channel
+  getChannelInfo(channel) {
+    return this.channelInfo[channel] || { topic: '', topicSetBy: null, topicSetAt: null, modes: {} };
+  }
+
+  // API: Get user prefixes, highest rank first
+  getPrefixes() {
+    return DEFAULT_PREFIXES;
+  }
+
+  emitChannelInfo(channel) {
+    this.emit('onChannelInfo', { channel, ...this.getChannelInfo(channel) });
+  }
+
+  // Notify status listeners (mirrors PhantomIRCClient connection states)
+  setState(state) {
+    this.state = state;
+    this.emit('onStatus', { state });
+  }
+
+  // API: Get current nick
+  getNick() {
+    return this.currentUser;
+  }
+
+  // API: Get connection state
+  getState() {
+    return this.state;
+  }
+
   // API: Check if connected
   isConnected() {
     return this.connected;
   }
 
+  // API: Skip the reconnect backoff (the demo connection never drops)
+  reconnectNow() {}
+
   // API: Disconnect
   disconnect() {
     this.connected = false;
+    this.dropQueuedMessages();
+    this.setState('disconnected');
     this.channels = [];
+    this.queries = [];
     this.messages = {};
     this.users = {};
-
-    if (this.messageInterval) {
-      clearInterval(this.messageInterval);
-    }
+    this.channelInfo = {};
+    [...this.timers.keys()].forEach(id => this.stopTimer(id));
   }
 }
 
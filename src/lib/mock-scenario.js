@@ -0,0 +1,224 @@
+/**
+ * Mock Scenarios
+ *
+ * A scenario scripts what demo mode does: which channels exist, who is in
+ * them, what they said before we arrived, and a timeline of messages,
+ * joins, kicks, nick changes and spam bursts after we connect. Scenarios
+ * are plain objects, or JSON/YAML files in the same shape; anything left
+ * out comes from the built-in demo (demo-scenario.js). With a seed, and a
+ * VirtualClock for tests, a scenario plays out the same way every time.
+ */
+
+import { parse as parseYaml } from 'yaml';
+import DEMO_SCENARIO from './demo-scenario.js';
+
+// Timeline event types and the fields each needs (`at`, in seconds, always)
+const EVENT_FIELDS = {
+  message: ['channel', 'from', 'text'],
+  action: ['channel', 'from', 'text'],
+  notice: ['from', 'text'],          // To `channel`, or privately without one
+  dm: ['from', 'text'],
+  join: ['channel', 'nick'],
+  part: ['channel', 'nick'],
+  quit: ['nick'],
+  kick: ['channel', 'nick', 'by'],
+  nick: ['nick', 'newNick'],
+  topic: ['channel', 'by', 'text'],
+  mode: ['channel', 'by', 'modes'],
+  invite: ['from', 'channel'],
+  ctcp: ['from', 'ctcp'],
+  spam: ['channel']                  // Optional: from, count, every, texts
+};
+
+export const SCENARIO_EVENT_TYPES = Object.keys(EVENT_FIELDS);
+
+// Lines the spam scenario floods with (the AI spam filter should catch them)
+export const SPAM_EXAMPLES = [
+  'BUY CHEAP PRODUCTS NOW!!! CLICK HERE: http://spam.com',
+  'Make $$$$ working from home! Limited time offer!!!',
+  'You won a FREE iPhone! Claim now at: http://scam.com',
+  'URGENT: Your account needs verification: http://phishing.com'
+];
+
+// Defaults for a spam burst
+export const SPAM_DEFAULTS = { from: 'spambot', count: 5, every: 1 };
+
+/**
+ * Check one timeline event
+ * @param {Object} event
+ * @param {number} index - Position in the timeline, for the error message
+ * @returns {Object} The event with spam defaults filled in
+ */
+function normalizeEvent(event, index) {
+  const where = `Scenario timeline[${index}]`;
+  if (!event || typeof event !== 'object') {
+    throw new Error(`${where}: expected an object`);
+  }
+  if (!EVENT_FIELDS[event.type]) {
+    throw new Error(`${where}: unknown type "${event.type}" (expected one of ${SCENARIO_EVENT_TYPES.join(', ')})`);
+  }
+  if (typeof event.at !== 'number' || event.at < 0) {
+    throw new Error(`${where}: "at" must be a number of seconds after connecting`);
+  }
+  const missing = EVENT_FIELDS[event.type].filter(field => event[field] === undefined || event[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`${where}: ${event.type} needs ${missing.join(', ')}`);
+  }
+
+  if (event.type !== 'spam') {
+    return event;
+  }
+  const spam = { ...SPAM_DEFAULTS, texts: SPAM_EXAMPLES, ...event };
+  return { ...spam, from: [].concat(spam.from) };
+}
+
+/**
+ * Fill in a scenario from the demo and check it
+ * @param {Object} scenario - Parsed scenario (any section may be missing)
+ * @returns {Object} Complete scenario, timeline sorted by `at`
+ */
+export function normalizeScenario(scenario = {}) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new Error('Scenario must be an object');
+  }
+
+  const merged = {
+    ...DEMO_SCENARIO,
+    ...scenario,
+    simulation: { ...DEMO_SCENARIO.simulation, ...scenario.simulation }
+  };
+
+  ['autojoin', 'channels', 'directory', 'timeline'].forEach(section => {
+    if (!Array.isArray(merged[section])) {
+      throw new Error(`Scenario ${section} must be a list`);
+    }
+  });
+  merged.channels.forEach((channel, i) => {
+    if (!channel.name) {
+      throw new Error(`Scenario channels[${i}]: missing name`);
+    }
+  });
+
+  const timeline = merged.timeline.map(normalizeEvent);
+  // Stable sort keeps events with the same `at` in file order
+  return { ...merged, timeline: timeline.sort((a, b) => a.at - b.at) };
+}
+
+/**
+ * Parse a scenario file
+ * @param {string} text - File contents
+ * @param {string} filename - Picks the format from .json/.yaml/.yml (otherwise guessed)
+ * @returns {Object} Complete scenario, see normalizeScenario()
+ */
+export function parseScenario(text, filename = '') {
+  const json = /\.json$/i.test(filename) || (!/\.ya?ml$/i.test(filename) && text.trim().startsWith('{'));
+  let data;
+  try {
+    data = json ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new Error(`Could not read scenario${filename ? ` ${filename}` : ''}: ${err.message}`);
+  }
+  return normalizeScenario(data);
+}
+
+/**
+ * A ready-made scenario: spambots flood #phantom-demo with SPAM_EXAMPLES
+ * and the ops clean up, to try the AI spam filter on
+ * @returns {Object} Complete scenario
+ */
+export function createSpamScenario() {
+  const channel = '#phantom-demo';
+  return normalizeScenario({
+    name: 'Spam wave',
+    description: 'Spambots flood #phantom-demo - try the AI spam filter',
+    timeline: [
+      { at: 3, type: 'spam', channel, from: 'cheapdealz', count: 4, every: 1.5 },
+      { at: 10, type: 'kick', channel, nick: 'cheapdealz', by: 'alice', reason: 'Spam is not welcome here' },
+      { at: 12, type: 'message', channel, from: 'bob', text: '{nick}: did the spam filter catch those?' },
+      { at: 18, type: 'spam', channel, from: ['fr33_iph0ne', 'acct-verify'], count: 6, every: 0.8 },
+      { at: 24, type: 'mode', channel, by: 'alice', modes: '+m' },
+      { at: 25, type: 'quit', nick: 'fr33_iph0ne', reason: 'Killed (spam)' },
+      { at: 25, type: 'quit', nick: 'acct-verify', reason: 'Killed (spam)' },
+      { at: 27, type: 'message', channel, from: 'alice', text: 'Channel is moderated for a bit while the bots get cleaned up' },
+      { at: 40, type: 'mode', channel, by: 'alice', modes: '-m' }
+    ]
+  });
+}
+
+// Timeline messages that a replay turns into scenario events
+const REPLAY_EVENTS = {
+  privmsg: (m) => ({ type: 'message', from: m.from, text: m.text }),
+  action: (m) => ({ type: 'action', from: m.from, text: m.text }),
+  notice: (m) => ({ type: 'notice', from: m.from, text: m.text }),
+  join: (m) => ({ type: 'join', nick: m.from }),
+  part: (m) => ({ type: 'part', nick: m.from, reason: m.text }),
+  quit: (m) => ({ type: 'quit', nick: m.from, reason: m.text }),
+  kick: (m) => ({ type: 'kick', nick: m.kicked, by: m.from, reason: m.text }),
+  nick: (m) => ({ type: 'nick', nick: m.from, newNick: m.newNick }),
+  topic: (m) => ({ type: 'topic', by: m.from, text: m.text }),
+  mode: (m) => {
+    const [modes, ...args] = m.text.split(' ');
+    return { type: 'mode', by: m.from, modes, args };
+  }
+};
+
+/**
+ * A scenario that replays a log (see log-import.js) as a live channel:
+ * whoever speaks before joining is there already, and long silences are
+ * cut short so the replay keeps moving
+ * @param {Object[]} messages - Timeline messages, oldest first
+ * @param {Object} options
+ * @param {string} options.channel - Channel to replay into (default: the messages' target)
+ * @param {number} options.speed - Time multiplier (default: 1, real time)
+ * @param {number} options.maxGap - Longest pause between lines, in seconds before speed (default: 10)
+ * @returns {Object} Complete scenario
+ */
+export function createReplayScenario(messages, { channel, speed = 1, maxGap = 10 } = {}) {
+  const name = channel || messages[0]?.target || '#replay';
+  const replayable = messages.filter(m => REPLAY_EVENTS[m.type] && m.from);
+
+  // Present from the start: anyone whose first appearance isn't a join
+  const present = new Set();
+  const seen = new Set();
+  replayable.forEach(m => {
+    if (!seen.has(m.from) && m.type !== 'join') present.add(m.from);
+    seen.add(m.from);
+    if (m.type === 'nick') seen.add(m.newNick);
+  });
+
+  let at = 0;
+  let last = null;
+  const timeline = replayable.map(m => {
+    const time = new Date(m.time).getTime();
+    if (last !== null) {
+      at += Math.min(Math.max(0, (time - last) / 1000), maxGap) / speed;
+    }
+    last = time;
+    const event = { ...REPLAY_EVENTS[m.type](m), at: Math.round(at * 100) / 100 };
+    return event.type === 'quit' ? event : { ...event, channel: name };
+  }).filter(event => EVENT_FIELDS[event.type].every(field => event[field] !== undefined && event[field] !== ''));
+
+  const topic = replayable.find(m => m.type === 'topic');
+  return normalizeScenario({
+    name: `Replay of ${name}`,
+    description: `${replayable.length} lines from an imported log`,
+    autojoin: [name],
+    channels: [{
+      name,
+      topic: topic ? '' : `Replay of ${name}`,
+      modes: { n: true, t: true },
+      users: [...present].map(nick => ({ nick, modes: [] }))
+    }],
+    directory: [],
+    // Only the log speaks: no guests, chatter or canned replies
+    simulation: { guests: [], presenceChance: 0, replies: [], awayPing: null },
+    // Joins and our first line take a moment after connecting
+    timeline: timeline.map(event => ({ ...event, at: event.at + 2 }))
+  });
+}
+
+// Scenarios offered in the connect form
+export const BUILT_IN_SCENARIOS = {
+  demo: { label: 'Phantom demo', create: () => normalizeScenario(DEMO_SCENARIO) },
+  spam: { label: 'Spam wave', create: createSpamScenario }
+};
@@ -0,0 +1,168 @@
+/**
+ * Network Manager - Owns one IRC client per network
+ *
+ * Lets the UI sit on several networks at once (e.g., Libera, OFTC and an
+ * internal ircd). Every event from a client is re-emitted with the id of
+ * the network it came from, so state can be keyed by network + channel.
+ */
+
+import MockIRCClient from './mock-irc.js';
+import PhantomIRCClient from './irc-client.js';
+import { CONNECTION_MODES } from './irc-transport.js';
+import { CONNECTION_STATES } from './connection-state.js';
+import ClientEmitter, { CLIENT_EVENTS } from './client-contract.js';
+
+// Client events that are forwarded with a network id attached (errors are passed separately)
+const FORWARDED_EVENTS = CLIENT_EVENTS.filter(event => event !== 'onError');
+
+/**
+ * Build the key used for per-buffer state (messages, users, AI results)
+ * @param {string} networkId - Network id from addNetwork()
+ * @param {string} target - Channel or nick
+ * @returns {string} e.g. 'net1/#rust'
+ */
+export function bufferKey(networkId, target) {
+  return `${networkId}/${target}`;
+}
+
+/**
+ * Split a buffer key back into its parts
+ * @param {string} key - Key from bufferKey()
+ * @returns {Object} { networkId, target }
+ */
+export function parseBufferKey(key) {
+  // Network ids never contain '/', channel names may
+  const index = key.indexOf('/');
+  return {
+    networkId: key.slice(0, index),
+    target: key.slice(index + 1)
+  };
+}
+
+class NetworkManager extends ClientEmitter {
+  constructor() {
+    super([...CLIENT_EVENTS, 'onNetworksChanged']);
+    this.networks = {};
+    this.order = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Create a client for a network and start connecting
+   * @param {Object} options
+   * @param {string} options.name - Display name (e.g., 'Libera')
+   * @param {string} options.mode - One of CONNECTION_MODES
+   * @param {Object} options.config - PhantomIRCClient.connect() config
+   * @returns {string} Network id
+   */
+  addNetwork({ name, mode, config }) {
+    const id = `net${this.nextId++}`;
+    const client = mode === CONNECTION_MODES.DEMO
+      ? new MockIRCClient({ network: id })
+      : new PhantomIRCClient({ network: id });
+
+    this.networks[id] = {
+      id,
+      name: name || config.host || 'IRC',
+      mode,
+      config,
+      client,
+      state: CONNECTION_STATES.DISCONNECTED
+    };
+    this.order.push(id);
+
+    FORWARDED_EVENTS.forEach(event => {
+      client.on(event, (payload = {}) => {
+        if (event === 'onStatus') {
+          this.networks[id].state = payload.state;
+          this.notifyNetworksChanged();
+        }
+        // Our nick and away status are part of the network summary
+        if ((event === 'onNick' && payload.self) || event === 'onAway') {
+          this.notifyNetworksChanged();
+        }
+        this.emit(event, { ...payload, network: id });
+      });
+    });
+
+    // Errors are Error objects, so pass the network id alongside instead of spreading
+    client.on('onError', (error) => {
+      this.emit('onError', error, id);
+    });
+
+    this.notifyNetworksChanged();
+    client.connect(config);
+    return id;
+  }
+
+  /**
+   * Disconnect and forget a network
+   * @param {string} id - Network id
+   */
+  removeNetwork(id) {
+    const network = this.networks[id];
+    if (!network) {
+      return;
+    }
+
+    network.client.disconnect();
+    delete this.networks[id];
+    this.order = this.order.filter(n => n !== id);
+    this.notifyNetworksChanged();
+  }
+
+  /**
+   * Get the client for a network
+   * @param {string} id - Network id
+   * @returns {PhantomIRCClient|MockIRCClient|null}
+   */
+  getClient(id) {
+    return this.networks[id]?.client || null;
+  }
+
+  /**
+   * Get a network summary
+   * @param {string} id - Network id
+   * @returns {Object|null} { id, name, mode, nick, away, state, channels }
+   */
+  getNetwork(id) {
+    const network = this.networks[id];
+    if (!network) {
+      return null;
+    }
+
+    return {
+      id,
+      name: network.name,
+      mode: network.mode,
+      nick: network.client.getNick() || network.config.nick,
+      away: network.client.getAway(),
+      state: network.state,
+      channels: [...network.client.getChannels()]
+    };
+  }
+
+  /**
+   * Get summaries of all networks in the order they were added
+   * @returns {Array} Array of network summaries
+   */
+  getNetworks() {
+    return this.order.map(id => this.getNetwork(id));
+  }
+
+  /**
+   * Disconnect every network
+   */
+  disconnectAll() {
+    this.order.forEach(id => this.networks[id].client.disconnect());
+  }
+
+  /**
+   * Tell the UI the network list or a network's state changed
+   */
+  notifyNetworksChanged() {
+    this.emit('onNetworksChanged', this.getNetworks());
+  }
+}
+
+export default NetworkManager;
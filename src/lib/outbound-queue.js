@@ -0,0 +1,176 @@
+/**
+ * Outbound Message Queue
+ *
+ * Servers kill clients that send too fast ("Excess Flood") and cut lines
+ * longer than 512 bytes. Outgoing messages are split to fit and released
+ * through a token bucket: a short burst goes out at once, the rest at a
+ * steady pace.
+ */
+
+export const DEFAULT_QUEUE_OPTIONS = {
+  burst: 4,        // Lines that may go out back to back
+  interval: 2000   // One more line allowed every 2s after the burst
+};
+
+// RFC 1459 line limit, including the trailing CRLF
+const MAX_LINE_BYTES = 512;
+// Longest hostmask we assume the server prepends when relaying our line
+const MAX_HOST_BYTES = 63;
+
+const encoder = new TextEncoder();
+
+/**
+ * Length of a string in UTF-8 bytes
+ * @param {string} text
+ * @returns {number}
+ */
+export function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+/**
+ * Bytes left for message text in a PRIVMSG/NOTICE once the server relays it
+ * as ':nick!user@host PRIVMSG target :text\r\n'
+ * @param {Object} details
+ * @param {string} details.nick - Our nick
+ * @param {string} details.ident - Our username (default: 10 bytes assumed)
+ * @param {string} details.hostname - Our host as others see it (default: worst case)
+ * @param {string} details.target - Channel or nick
+ * @param {string} details.command - 'PRIVMSG' or 'NOTICE' (default: 'PRIVMSG')
+ * @returns {number} Maximum text bytes
+ */
+export function getMessageByteLimit({ nick, ident, hostname, target, command = 'PRIVMSG' }) {
+  const prefix = `:${nick}!${ident || 'x'.repeat(10)}@${hostname || 'x'.repeat(MAX_HOST_BYTES)} `;
+  const overhead = byteLength(`${prefix}${command} ${target} :\r\n`);
+  return MAX_LINE_BYTES - overhead;
+}
+
+/**
+ * Split text into lines that each fit in maxBytes of UTF-8
+ * Newlines always split; long lines break at the last space that fits, or
+ * mid-word (never mid-character) when a single word is too long.
+ * @param {string} text - Message text
+ * @param {number} maxBytes - Byte budget per line
+ * @returns {Array<string>} Lines to send (empty lines dropped)
+ */
+export function splitMessage(text, maxBytes) {
+  const lines = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    let rest = line;
+    while (byteLength(rest) > maxBytes) {
+      // Walk code points so multi-byte characters stay whole
+      let bytes = 0;
+      let cut = 0;
+      let lastSpace = -1;
+      for (const char of rest) {
+        const size = byteLength(char);
+        if (bytes + size > maxBytes) {
+          break;
+        }
+        bytes += size;
+        cut += char.length;
+        if (char === ' ') {
+          lastSpace = cut - 1;
+        }
+      }
+
+      if (lastSpace > 0) {
+        lines.push(rest.slice(0, lastSpace));
+        rest = rest.slice(lastSpace + 1);
+      } else {
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+    }
+    if (rest.trim()) {
+      lines.push(rest);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Token bucket queue for outgoing lines
+ */
+class OutboundQueue {
+  /**
+   * @param {Object} options - DEFAULT_QUEUE_OPTIONS overrides
+   * @param {Function} options.now - Clock (default: Date.now)
+   * @param {Function} options.setTimeout - Timer to wait for tokens with (default: setTimeout)
+   * @param {Function} options.clearTimeout - Cancels it (default: clearTimeout)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+    this.now = options.now || Date.now;
+    this.setTimer = options.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    this.clearTimer = options.clearTimeout || ((id) => clearTimeout(id));
+    this.tokens = this.options.burst;
+    this.lastRefill = this.now();
+    this.items = [];
+    this.timer = null;
+  }
+
+  /**
+   * Queue a send; runs immediately if the bucket has a token
+   * @param {Function} send - Called when it's this line's turn
+   */
+  enqueue(send) {
+    this.items.push(send);
+    this.drain();
+  }
+
+  /**
+   * Number of lines waiting for a token
+   * @returns {number}
+   */
+  size() {
+    return this.items.length;
+  }
+
+  /**
+   * Drop everything still waiting (e.g., on disconnect)
+   */
+  clear() {
+    this.items = [];
+    this.clearTimer(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Top the bucket up for the time that has passed
+   */
+  refill() {
+    const now = this.now();
+    const earned = Math.floor((now - this.lastRefill) / this.options.interval);
+    if (earned > 0) {
+      this.tokens = Math.min(this.options.burst, this.tokens + earned);
+      this.lastRefill += earned * this.options.interval;
+    }
+    if (this.tokens === this.options.burst) {
+      this.lastRefill = now;
+    }
+  }
+
+  /**
+   * Send as many queued lines as we have tokens for, then wait for the next one
+   */
+  drain() {
+    this.refill();
+    while (this.items.length > 0 && this.tokens > 0) {
+      this.tokens--;
+      this.items.shift()();
+    }
+
+    if (this.items.length > 0 && !this.timer) {
+      const wait = this.options.interval - (this.now() - this.lastRefill);
+      this.timer = this.setTimer(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(0, wait));
+    }
+  }
+}
+
+export default OutboundQueue;
@@ -0,0 +1,56 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Math.random() can't be replayed. This generator (mulberry32) gives the
+ * same sequence for the same seed, so a demo or test that picks random
+ * messages and delays does the same thing every time.
+ */
+
+/**
+ * Turn a seed into a 32-bit starting state
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+  // FNV-1a over the characters
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator
+ * @param {number|string} seed - Same seed, same sequence
+ * @returns {Object} { seed, next, between, int, pick, chance }
+ */
+export function createRandom(seed = Date.now()) {
+  let state = hashSeed(seed);
+
+  // A float in [0, 1), like Math.random()
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed,
+    next,
+    // A float in [min, max)
+    between: (min, max) => min + next() * (max - min),
+    // An integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // A random element (undefined for an empty list)
+    pick: (list) => list[Math.floor(next() * list.length)],
+    // True with probability p
+    chance: (p) => next() < p
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Timeline System Events
+ *
+ * Joins, parts, quits, nick changes, kicks, mode and topic changes are
+ * stored alongside chat messages (same fields, different `type`) so they
+ * sort and page with the conversation. These helpers turn them into text
+ * and fold away join/part noise in busy channels.
+ */
+
+import { stripFormatting } from './irc-format.js';
+
+// Events that only say who is around; these are the ones that get folded
+export const PRESENCE_TYPES = ['join', 'part', 'quit', 'nick'];
+
+export const EVENT_TYPES = [...PRESENCE_TYPES, 'kick', 'mode', 'topic'];
+
+// Per-channel display of PRESENCE_TYPES
+export const JOIN_PART_MODES = {
+  SHOW: 'show',
+  COLLAPSE: 'collapse',
+  HIDE: 'hide'
+};
+
+/**
+ * Check whether a timeline entry is a system event rather than chat
+ * @param {Object} message - Timeline message
+ * @returns {boolean}
+ */
+export function isSystemEvent(message) {
+  return EVENT_TYPES.includes(message.type);
+}
+
+/**
+ * Describe a system event in one line
+ * @param {Object} message - Timeline message with an EVENT_TYPES type
+ * @returns {string} e.g. 'alice joined', 'bob kicked eve (spam)'
+ */
+export function describeEvent(message) {
+  const text = stripFormatting(message.text);
+  const reason = text ? ` (${text})` : '';
+
+  switch (message.type) {
+    case 'join':
+      return `${message.from} joined`;
+    case 'part':
+      return `${message.from} left${reason}`;
+    case 'quit':
+      return `${message.from} quit${reason}`;
+    case 'nick':
+      return `${message.from} is now known as ${message.newNick}`;
+    case 'kick':
+      return `${message.from} kicked ${message.kicked}${reason}`;
+    case 'mode':
+      return `${message.from} sets mode ${text}`;
+    case 'topic':
+      return `${message.from} changed the topic to: ${text}`;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Summarize a run of presence events
+ * @param {Array} messages - Consecutive PRESENCE_TYPES messages
+ * @returns {string} e.g. '3 joined, 1 left, 1 changed nick'
+ */
+export function summarizePresence(messages) {
+  const count = type => messages.filter(m => m.type === type).length;
+  const parts = [
+    [count('join'), 'joined'],
+    [count('part') + count('quit'), 'left'],
+    [count('nick'), 'changed nick']
+  ];
+
+  return parts
+    .filter(([n]) => n > 0)
+    .map(([n, label]) => `${n} ${label}`)
+    .join(', ');
+}
+
+/**
+ * Apply a channel's join/part setting to its timeline
+ * @param {Array} messages - Timeline messages in order
+ * @param {string} mode - One of JOIN_PART_MODES
+ * @returns {Array} Messages, with runs of 2+ presence events replaced by
+ *   { type: 'presence-group', id, messages } when collapsing
+ */
+export function applyJoinPartMode(messages, mode = JOIN_PART_MODES.SHOW) {
+  if (mode === JOIN_PART_MODES.HIDE) {
+    return messages.filter(m => !PRESENCE_TYPES.includes(m.type));
+  }
+  if (mode !== JOIN_PART_MODES.COLLAPSE) {
+    return messages;
+  }
+
+  const items = [];
+  let run = [];
+  const flush = () => {
+    if (run.length > 1) {
+      items.push({ type: 'presence-group', id: `group-${run[0].id}`, messages: run });
+    } else {
+      items.push(...run);
+    }
+    run = [];
+  };
+
+  for (const message of messages) {
+    if (PRESENCE_TYPES.includes(message.type)) {
+      run.push(message);
+    } else {
+      flush();
+      items.push(message);
+    }
+  }
+  flush();
+  return items;
+}
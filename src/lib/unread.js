@@ -0,0 +1,71 @@
+/**
+ * Unread Tracking
+ *
+ * Each buffer remembers when it was last read: the time of the newest
+ * message the user saw there. Anything newer is unread. Times (not ids)
+ * are kept because server history brings back the same messages with the
+ * same times after a reload, while demo-mode ids change every session.
+ */
+
+import { isNotifiable } from './highlights.js';
+import { isSystemEvent } from './system-events.js';
+
+// Ordered, so the highest level of a buffer's unread messages wins
+export const ACTIVITY_LEVELS = {
+  NONE: 0,
+  EVENTS: 1,       // Joins, parts, modes, topics
+  MESSAGES: 2,     // Chat from others
+  HIGHLIGHTS: 3    // Highlights, and anything in a query
+};
+
+/**
+ * Get the kind of activity a message is
+ * @param {Object} message - See createMessage() in client-contract.js
+ * @param {boolean} highlighted - From createHighlighter() in highlights.js
+ * @returns {number} One of ACTIVITY_LEVELS
+ */
+export function getActivityLevel(message, highlighted) {
+  if (highlighted) {
+    return ACTIVITY_LEVELS.HIGHLIGHTS;
+  }
+  if (isNotifiable(message)) {
+    return ACTIVITY_LEVELS.MESSAGES;
+  }
+  return isSystemEvent(message) ? ACTIVITY_LEVELS.EVENTS : ACTIVITY_LEVELS.NONE;
+}
+
+/**
+ * Summarize what is unread in a buffer
+ * @param {Array} messages - Buffer messages, oldest first
+ * @param {number} lastRead - Time in ms of the newest message read (0: nothing read)
+ * @param {Function} isHighlight - (message) => boolean, from createHighlighter()
+ * @param {boolean} isQuery - Chat in a query counts as a highlight
+ * @returns {Object} { unread, mentions, activity, firstUnreadId }
+ */
+export function summarizeUnread(messages = [], lastRead = 0, isHighlight = () => false, isQuery = false) {
+  const summary = { unread: 0, mentions: 0, activity: ACTIVITY_LEVELS.NONE, firstUnreadId: null };
+
+  // Walk back from the newest message until we reach what was read
+  for (let i = messages.length - 1; i >= 0 && messages[i].time.getTime() > lastRead; i--) {
+    const message = messages[i];
+    const level = getActivityLevel(message, isHighlight(message) || (isQuery && isNotifiable(message)));
+    if (level >= ACTIVITY_LEVELS.MESSAGES) {
+      summary.unread++;
+      summary.firstUnreadId = message.id;
+    }
+    if (level === ACTIVITY_LEVELS.HIGHLIGHTS) {
+      summary.mentions++;
+    }
+    summary.activity = Math.max(summary.activity, level);
+  }
+  return summary;
+}
+
+/**
+ * Get the read position after reading a whole buffer
+ * @param {Array} messages - Buffer messages, oldest first
+ * @returns {number} Time in ms of the newest message (0 if empty)
+ */
+export function getLatestTime(messages = []) {
+  return messages.length > 0 ? messages[messages.length - 1].time.getTime() : 0;
+}
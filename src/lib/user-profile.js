@@ -0,0 +1,74 @@
+/**
+ * User Profiles
+ *
+ * WHOIS answers with a dozen numerics that irc-framework collects into one
+ * event; WHOWAS does the same for users who have left the network. These
+ * helpers turn either into the profile shown when a user is clicked.
+ */
+
+/**
+ * Normalize a WHOIS or WHOWAS event
+ * @param {Object} event - irc-framework 'whois'/'whowas' event
+ * @param {boolean} online - false when the data came from WHOWAS
+ * @returns {Object|null} Profile, or null if the server knows no such nick
+ */
+export function buildUserProfile(event, online = true) {
+  if (!event || event.error) {
+    return null;
+  }
+
+  return {
+    nick: event.nick,
+    online,
+    hostmask: `${event.nick}!${event.ident || '*'}@${event.hostname || '*'}`,
+    realName: event.real_name || '',
+    account: event.account || null,
+    // 'channels' is a space separated list, each with our view of their prefix (e.g. '@#rust')
+    channels: (event.channels || '').split(' ').filter(Boolean),
+    idle: event.idle !== undefined ? Number(event.idle) : null,
+    signedOn: event.logon ? new Date(Number(event.logon) * 1000) : null,
+    away: event.away || null,
+    server: event.server || null,
+    serverInfo: event.server_info || null,
+    operator: event.operator || null,
+    secure: !!event.secure,
+    bot: !!event.bot
+  };
+}
+
+/**
+ * Format an idle time
+ * @param {number} seconds - Idle seconds from WHOIS
+ * @returns {string} e.g. '45s', '12m', '3h 5m', '2d 4h'
+ */
+export function formatIdle(seconds) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = Math.max(0, Math.floor(seconds));
+
+  for (const [label, size] of units) {
+    if (rest >= size || (label === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${label}`);
+      rest %= size;
+    }
+  }
+  // Two units are plenty
+  return parts.slice(0, 2).join(' ');
+}
+
+/**
+ * Split a WHOIS channel entry into its prefix and name
+ * @param {string} entry - e.g. '@#rust'
+ * @param {Array} prefixes - [{ symbol, mode }] from getPrefixes()
+ * @param {Function} isChannel - Client isChannel()
+ * @returns {Object} { prefix: '@', channel: '#rust' }
+ */
+export function parseWhoisChannel(entry, prefixes, isChannel) {
+  const symbols = prefixes.map(p => p.symbol);
+  let index = 0;
+  // '&' is both a prefix and a channel type, so only strip while a channel remains
+  while (symbols.includes(entry[index]) && isChannel(entry.slice(index + 1))) {
+    index++;
+  }
+  return { prefix: entry.slice(0, index), channel: entry.slice(index) };
+}
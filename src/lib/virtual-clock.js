@@ -0,0 +1,120 @@
+/**
+ * Clocks
+ *
+ * Code that waits (the mock client, the outbound queue) takes a clock
+ * instead of calling setTimeout and Date.now directly. REAL_CLOCK is the
+ * browser's; a VirtualClock only moves when told to, so a test can jump
+ * through a scripted scenario in a few milliseconds and get the same
+ * result every run.
+ */
+
+export const REAL_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+/**
+ * A clock that only advances by hand
+ */
+class VirtualClock {
+  /**
+   * @param {number} start - Starting time in ms (default: now)
+   */
+  constructor(start = Date.now()) {
+    this.time = start;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Current virtual time
+   * @returns {number} ms since the epoch
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Run a function once, `ms` from now
+   * @param {Function} fn
+   * @param {number} ms
+   * @returns {number} Timer id
+   */
+  setTimeout(fn, ms = 0) {
+    return this.addTimer(fn, ms, null);
+  }
+
+  /**
+   * Run a function every `ms`
+   * @param {Function} fn
+   * @param {number} ms
+   * @returns {number} Timer id
+   */
+  setInterval(fn, ms) {
+    return this.addTimer(fn, ms, Math.max(1, ms));
+  }
+
+  /**
+   * Cancel a timer from setTimeout()
+   * @param {number} id
+   */
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Cancel a timer from setInterval()
+   * @param {number} id
+   */
+  clearInterval(id) {
+    this.clearTimeout(id);
+  }
+
+  /**
+   * Move time forward, running every timer that comes due on the way
+   * Timers run in order of due time (then creation), each seeing now()
+   * at its own due time; timers they start run too if due in the window.
+   * @param {number} ms - How far to go
+   */
+  advance(ms) {
+    const end = this.time + ms;
+    let timer = this.nextDue(end);
+    while (timer) {
+      this.time = timer.due;
+      if (timer.interval) {
+        timer.due += timer.interval;
+      } else {
+        this.clearTimeout(timer.id);
+      }
+      timer.fn();
+      timer = this.nextDue(end);
+    }
+    this.time = end;
+  }
+
+  /**
+   * Number of timers waiting to run
+   * @returns {number}
+   */
+  pending() {
+    return this.timers.length;
+  }
+
+  addTimer(fn, ms, interval) {
+    const id = this.nextTimerId++;
+    this.timers.push({ id, fn, due: this.time + Math.max(0, ms), interval });
+    return id;
+  }
+
+  // Earliest timer due by `end`, oldest first on ties
+  nextDue(end) {
+    return this.timers
+      .filter(timer => timer.due <= end)
+      .reduce((first, timer) => (!first || timer.due < first.due || (timer.due === first.due && timer.id < first.id) ? timer : first), null);
+  }
+}
+
+export default VirtualClock;
@@ -0,0 +1,268 @@
+/**
+ * PhantomIRCClient against the in-process test server: registration, SASL,
+ * joins, echoes, refused joins and reconnects, over a real TCP socket.
+ *
+ * Run with: npm test
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IRCTestServer from '../server/irc-test-server.js';
+import PhantomIRCClient from '../src/lib/irc-client.js';
+import { executeCommand } from '../src/lib/commands.js';
+
+// Resolve with the first `event` payload that passes `match`
+function nextEvent(client, event, match = () => true, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    const listener = (payload) => {
+      if (!match(payload)) {
+        return;
+      }
+      clearTimeout(timer);
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+describe('PhantomIRCClient with IRCTestServer', () => {
+  let server;
+  let port;
+  let client;
+
+  // Connect as `nick` and wait for registration
+  const connect = async (config = {}) => {
+    const connected = nextEvent(client, 'onConnect');
+    client.connect({
+      host: '127.0.0.1',
+      port,
+      nick: 'tester',
+      reconnect: { baseDelay: 50, maxDelay: 100 },
+      ...config
+    });
+    await connected;
+  };
+
+  // Join a channel and wait until we're in it
+  const join = async (channel, key) => {
+    const joined = nextEvent(client, 'onJoin', e => e.channel === channel && e.nick === client.getNick());
+    client.joinChannel(channel, key);
+    await joined;
+  };
+
+  beforeEach(async () => {
+    server = new IRCTestServer({
+      accounts: { tester: 'secret' },
+      externalAccounts: { certuser: 'certified' }
+    });
+    ({ port } = await server.listen());
+    client = new PhantomIRCClient({ network: 'test' });
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  describe('registration', () => {
+    it('connects without SASL', async () => {
+      await connect();
+      assert.equal(client.getNick(), 'tester');
+      assert.equal(server.findUser('tester').account, null);
+    });
+
+    it('logs in with SASL PLAIN', async () => {
+      await connect({ sasl: { mechanism: 'PLAIN', password: 'secret' } });
+      assert.ok(server.received(/^AUTHENTICATE PLAIN$/));
+      assert.equal(server.findUser('tester').account, 'tester');
+    });
+
+    it('logs in with SASL EXTERNAL', async () => {
+      await connect({ nick: 'certuser', sasl: { mechanism: 'EXTERNAL' } });
+      assert.ok(server.received(/^AUTHENTICATE EXTERNAL$/));
+      assert.equal(server.findUser('certuser').account, 'certified');
+    });
+
+    it('reports a rejected SASL PLAIN password', async () => {
+      const failed = nextEvent(client, 'onError');
+      client.connect({ host: '127.0.0.1', port, nick: 'tester', sasl: { mechanism: 'PLAIN', password: 'wrong' } });
+      const error = await failed;
+      assert.equal(error.code, 'sasl_failed');
+    });
+  });
+
+  describe('channels', () => {
+    beforeEach(() => connect());
+
+    it('joins and gets the NAMES list', async () => {
+      server.join('bob', '#test');
+      const names = nextEvent(client, 'onUserList', e => e.channel === '#test' && e.users.length === 2);
+      await join('#test');
+      const { users } = await names;
+      assert.deepEqual(users.map(u => u.nick).sort(), ['bob', 'tester']);
+      assert.ok(server.getChannel('#test').users.some(u => u.nick === 'tester'));
+    });
+
+    it('adds users who join later', async () => {
+      await join('#test');
+      const joined = nextEvent(client, 'onJoin', e => e.nick === 'alice');
+      server.join('alice', '#test');
+      await joined;
+      assert.ok(client.getUsers('#test').some(u => u.nick === 'alice'));
+    });
+
+    it('reports a join refused as banned (474)', async () => {
+      server.failNext('JOIN', 474);
+      const refused = nextEvent(client, 'onJoinError');
+      client.joinChannel('#banned');
+      const { channel, error } = await refused;
+      assert.equal(channel, '#banned');
+      assert.equal(error.numeric, 474);
+      assert.ok(!client.getChannels().includes('#banned'));
+    });
+
+    it('reports a join refused for a bad key (475)', async () => {
+      server.failNext('JOIN', 475);
+      const refused = nextEvent(client, 'onJoinError');
+      client.joinChannel('#locked', 'guess');
+      const { channel, error, withKey } = await refused;
+      assert.equal(channel, '#locked');
+      assert.equal(error.numeric, 475);
+      assert.equal(withKey, true);
+    });
+  });
+
+  describe('messages', () => {
+    beforeEach(async () => {
+      await connect();
+      await join('#test');
+    });
+
+    it('swaps the pending local copy for the labeled echo', async () => {
+      const sent = nextEvent(client, 'onMessage', m => m.self && m.pending);
+      const confirmed = nextEvent(client, 'onMessage', m => m.self && !m.pending);
+      client.sendMessage('#test', 'hello world');
+
+      const local = await sent;
+      assert.match(local.id, /^local-/);
+      const echo = await confirmed;
+      assert.equal(echo.replaces, local.id);
+      assert.equal(echo.text, 'hello world');
+      assert.doesNotMatch(echo.id, /^local-/);
+
+      // The stored timeline holds only the confirmed copy, under the server's msgid
+      const stored = client.getMessages('#test').filter(m => m.self && m.type === 'privmsg');
+      assert.deepEqual(stored.map(m => m.id), [echo.id]);
+      assert.ok(server.received(/^@label=\S+ PRIVMSG #test :hello world$/));
+    });
+
+    it('receives messages from other users', async () => {
+      const received = nextEvent(client, 'onMessage', m => m.from === 'bob' && m.type === 'privmsg');
+      server.join('bob', '#test');
+      server.say('bob', '#test', 'hi tester');
+      const message = await received;
+      assert.equal(message.target, '#test');
+      assert.equal(message.text, 'hi tester');
+      assert.equal(message.self, false);
+    });
+  });
+
+  describe('disconnects', () => {
+    beforeEach(async () => {
+      await connect();
+      await join('#test');
+    });
+
+    it('reconnects and rejoins after the server drops the link', async () => {
+      const rejoined = nextEvent(client, 'onJoin', e => e.channel === '#test' && e.nick === 'tester');
+      server.disconnect('tester');
+      await nextEvent(client, 'onStatus', s => s.state === 'reconnecting');
+      await rejoined;
+      assert.equal(client.getState(), 'connected');
+      assert.ok(server.getChannel('#test').users.some(u => u.nick === 'tester'));
+    });
+
+    it('stays offline after disconnect() and rejoins on the next connect', async () => {
+      const stopped = nextEvent(client, 'onStatus', s => s.state === 'disconnected');
+      client.disconnect();
+      await stopped;
+      await server.waitFor(/^QUIT /);
+      assert.throws(() => client.sendMessage('#test', 'anyone?'));
+
+      const rejoined = nextEvent(client, 'onJoin', e => e.channel === '#test' && e.nick === 'tester');
+      await connect();
+      await rejoined;
+      assert.ok(server.getChannel('#test').users.some(u => u.nick === 'tester'));
+    });
+
+    it('fails a send whose echo never came', async () => {
+      server.setSilent(true);
+      const sent = nextEvent(client, 'onMessage', m => m.self && m.pending && !m.queued);
+      client.sendMessage('#test', 'into the void');
+      const { id } = await sent;
+
+      const failed = nextEvent(client, 'onMessage', m => m.replaces === id && m.failed);
+      server.disconnect('tester');
+      await failed;
+    });
+
+    it('rejects a WHOIS still waiting when the link drops', async () => {
+      server.setSilent(true);
+      const lookup = client.whois('bob');
+      await server.waitFor(/^WHOIS bob$/);
+      server.disconnect('tester');
+      await assert.rejects(lookup, /Lost the connection/);
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(() => connect());
+
+    it('matches query nicks by the network\'s CASEMAPPING', async () => {
+      // Under rfc1459, [ ] \\ fold to { } |
+      // Registration's own 005 may still be on its way, so wait for ours
+      const applied = new Promise(resolve => {
+        client.client.on('server options', ({ options }) => options.CASEMAPPING === 'rfc1459' && resolve());
+      });
+      server.sendRaw('tester', ':phantom.test 005 tester CASEMAPPING=rfc1459 :are supported by this server');
+      await applied;
+
+      assert.equal(client.openQuery('foo['), 'foo[');
+      assert.equal(client.openQuery('FOO{'), 'foo[');
+      assert.deepEqual(client.getQueries(), ['foo[']);
+      client.closeQuery('Foo{');
+      assert.deepEqual(client.getQueries(), []);
+    });
+  });
+
+  describe('away', () => {
+    beforeEach(() => connect());
+
+    it('takes /away status from the server\'s 306 and 305 replies', async () => {
+      const context = { client, target: 'tester', connected: true };
+      const away = nextEvent(client, 'onAway');
+      assert.deepEqual(await executeCommand('/away lunch', context), {});
+      assert.deepEqual(await away, { away: true, message: 'lunch', since: client.getAway().since, mentions: [] });
+
+      const back = nextEvent(client, 'onAway');
+      assert.deepEqual(await executeCommand('/away', context), {});
+      assert.equal((await back).away, false);
+      assert.equal(client.getAway(), null);
+    });
+  });
+
+  describe('lookups', () => {
+    beforeEach(() => connect());
+
+    it('resolves WHOIS with the server\'s reply', async () => {
+      server.join('bob', '#test');
+      const profile = await client.lookupUser('bob');
+      assert.equal(profile.nick, 'bob');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Log import: one fixture per client (test/fixtures/logs), all telling the
+ * same story, so every parser must produce the same timeline.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { detectLogFormat, guessLogDate, guessLogTarget, parseLog } from '../src/lib/log-import.js';
+import { mergeHistory } from '../src/lib/message-store.js';
+
+const FIXTURES = {
+  irssi: 'irssi/#phantom.log',
+  weechat: 'irc.libera.#phantom.weechatlog',
+  znc: 'znc/#phantom/2024-10-15.log',
+  hexchat: 'libera-#phantom.log',
+  textual: 'textual/#phantom/2024-10-15.txt'
+};
+
+// What every fixture says, one line a second from 10:00:00 local time
+const EXPECTED = [
+  { type: 'join', from: 'alice', text: '' },
+  { type: 'privmsg', from: 'alice', text: 'hello everyone' },
+  { type: 'action', from: 'alice', text: 'waves' },
+  { type: 'nick', from: 'alice', text: '', newNick: 'al' },
+  { type: 'part', from: 'bob', text: 'bye' },
+  { type: 'quit', from: 'carol', text: 'Quit: zzz' },
+  { type: 'kick', from: 'al', text: 'spam', kicked: 'dave' }
+];
+
+// Paths by hand: the '#' in these names would start a URL fragment
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'logs');
+
+function readFixture(path) {
+  return readFileSync(join(FIXTURE_DIR, path), 'utf8');
+}
+
+describe('parseLog', () => {
+  Object.entries(FIXTURES).forEach(([format, path]) => {
+    describe(format, () => {
+      const text = readFixture(path);
+      const parse = () => parseLog(text, { filename: path, selfNick: 'alice' });
+
+      it('is detected from its contents', () => {
+        assert.equal(detectLogFormat(text), format);
+      });
+
+      it('reads every line into the timeline', () => {
+        const { format: detected, target, messages, skipped } = parse();
+        assert.equal(detected, format);
+        assert.equal(target, '#phantom');
+        assert.equal(skipped, 0);
+
+        const fields = messages.map(({ type, from, text: body, newNick, kicked }) => ({
+          type,
+          from,
+          text: body,
+          ...(newNick !== undefined && { newNick }),
+          ...(kicked !== undefined && { kicked })
+        }));
+        assert.deepEqual(fields, EXPECTED);
+        messages.forEach((message, i) => {
+          assert.equal(message.time.getTime(), new Date(2024, 9, 15, 10, 0, i).getTime(), `line ${i} time`);
+        });
+      });
+
+      it('marks imported lines and our own', () => {
+        const { messages } = parse();
+        assert.ok(messages.every(m => m.imported && m.historical && m.target === '#phantom'));
+        assert.deepEqual(messages.filter(m => m.self).map(m => m.type), ['join', 'privmsg', 'action', 'nick']);
+      });
+
+      it('drops a log imported twice when merged', () => {
+        const first = parse().messages;
+        const again = parse().messages;
+        assert.deepEqual(mergeHistory(first, again), first);
+      });
+    });
+  });
+
+  it('rejects text in no known format', () => {
+    assert.throws(() => parseLog('just some words', { filename: 'notes.txt' }), /Unrecognized log format in notes\.txt/);
+  });
+
+  it('counts lines it could not read', () => {
+    const { messages, skipped } = parseLog(`${readFixture(FIXTURES.znc)}garbage line\n`, { filename: FIXTURES.znc });
+    assert.equal(messages.length, EXPECTED.length);
+    assert.equal(skipped, 1);
+  });
+});
+
+describe('guessLogTarget and guessLogDate', () => {
+  it('finds the buffer and day in common file layouts', () => {
+    assert.equal(guessLogTarget('#rust.log'), '#rust');
+    assert.equal(guessLogTarget('libera-#rust.log'), '#rust');
+    assert.equal(guessLogTarget('irc.libera.#rust.weechatlog'), '#rust');
+    assert.equal(guessLogTarget('#rust_20241015.log'), '#rust');
+    assert.equal(guessLogTarget('logs/alice/2024-10-15.log'), 'alice');
+    assert.equal(guessLogTarget('notes.txt'), null);
+
+    assert.equal(guessLogDate('#rust_20241015.log').getTime(), new Date(2024, 9, 15).getTime());
+    assert.equal(guessLogDate('2024-13-01.log'), null);
+  });
+});
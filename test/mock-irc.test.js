@@ -0,0 +1,62 @@
+/**
+ * MockIRCClient keeps PhantomIRCClient's send contract: pending copies are
+ * stored, confirmed in place, and failed when the connection goes first.
+ *
+ * Run with: npm test
+ */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MockIRCClient from '../src/lib/mock-irc.js';
+import VirtualClock from '../src/lib/virtual-clock.js';
+
+describe('MockIRCClient sends', () => {
+  let clock;
+  let client;
+  let messages;
+
+  beforeEach(() => {
+    clock = new VirtualClock(Date.UTC(2024, 0, 1));
+    client = new MockIRCClient({ network: 'demo', seed: 1, clock });
+    messages = [];
+    client.on('onMessage', message => messages.push(message));
+    // One line at once, then one every 2s
+    client.connect({ nick: 'tester', queue: { burst: 1 } });
+    clock.advance(5000);
+    client.joinChannel('#queue');
+    clock.advance(1000);
+    messages.length = 0;
+  });
+
+  const ours = () => client.getMessages('#queue').filter(m => m.self && m.type === 'privmsg');
+
+  it('stores the pending copy and confirms it in place', () => {
+    client.sendMessage('#queue', 'one');
+    client.sendMessage('#queue', 'two');
+    assert.deepEqual(ours().map(m => [m.text, !!m.pending]), [['one', false], ['two', true]]);
+
+    clock.advance(2000);
+    assert.deepEqual(ours().map(m => [m.text, !!m.pending]), [['one', false], ['two', false]]);
+    const confirmed = messages.find(m => m.replaces && m.text === 'two');
+    assert.equal(confirmed.replaces, confirmed.id);
+    assert.equal(confirmed.queued, false);
+  });
+
+  it('fails lines still queued when it disconnects', () => {
+    client.sendMessage('#queue', 'one');
+    client.sendMessage('#queue', 'two');
+    client.sendMessage('#queue', 'three');
+    const queued = messages.filter(m => m.queued && !m.replaces).slice(1).map(m => m.id);
+
+    client.disconnect();
+    const failed = messages.filter(m => m.failed);
+    assert.deepEqual(failed.map(m => m.replaces), queued);
+    assert.deepEqual(failed.map(m => m.text), ['two', 'three']);
+    assert.ok(failed.every(m => !m.pending && !m.queued));
+
+    // Nothing goes out later from the dropped queue
+    const count = messages.length;
+    clock.advance(10000);
+    assert.equal(messages.length, count);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Scenarios replay exactly: the same seed and a VirtualClock give the same
+ * events every run. Also covers scenario parsing and validation, and the
+ * replay scenario built from an imported log.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MockIRCClient from '../src/lib/mock-irc.js';
+import VirtualClock from '../src/lib/virtual-clock.js';
+import { CLIENT_EVENTS } from '../src/lib/client-contract.js';
+import { createRandom } from '../src/lib/seeded-random.js';
+import { createReplayScenario, normalizeScenario, parseScenario } from '../src/lib/mock-scenario.js';
+
+const START = Date.UTC(2024, 0, 1);
+
+const SCENARIO = {
+  autojoin: ['#lab'],
+  channels: [{
+    name: '#lab',
+    topic: 'Reproducible results',
+    users: [{ nick: 'bob', modes: ['o'] }],
+    chatter: [
+      { from: 'bob', text: 'anyone around?' },
+      { from: 'bob', text: 'coffee time' },
+      { from: 'bob', text: 'tests are green' }
+    ]
+  }],
+  timeline: [
+    { at: 3, type: 'spam', channel: '#lab', count: 3 },
+    { at: 5, type: 'kick', channel: '#lab', nick: 'spambot', by: 'bob', reason: 'no spam' },
+    { at: 8, type: 'message', channel: '#lab', from: 'bob', text: 'hi {nick}' },
+    { at: 12, type: 'nick', nick: 'bob', newNick: 'robert' }
+  ]
+};
+
+// Connect, say something, and record every event for a minute of virtual time
+function play(seed) {
+  const clock = new VirtualClock(START);
+  const client = new MockIRCClient({ network: 'demo', scenario: SCENARIO, seed, clock });
+  const events = [];
+  CLIENT_EVENTS.forEach(event => {
+    client.on(event, payload => events.push({ at: clock.now() - START, event, payload: JSON.stringify(payload) }));
+  });
+
+  client.connect({ nick: 'tester' });
+  clock.advance(10000);
+  client.sendMessage('#lab', 'hello lab');
+  clock.advance(50000);
+  client.disconnect();
+  return { events, pending: clock.pending() };
+}
+
+describe('createRandom', () => {
+  it('gives the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    assert.deepEqual([a.next(), a.int(1, 6), a.pick(['x', 'y', 'z'])], [b.next(), b.int(1, 6), b.pick(['x', 'y', 'z'])]);
+  });
+
+  it('accepts string seeds and differs between seeds', () => {
+    const sequence = seed => {
+      const random = createRandom(seed);
+      return [random.next(), random.next(), random.next()];
+    };
+    assert.deepEqual(sequence('demo'), sequence('demo'));
+    assert.notDeepEqual(sequence('demo'), sequence('demo2'));
+  });
+});
+
+describe('scenario replay', () => {
+  it('plays the same timeline twice with the same seed', () => {
+    const first = play(7);
+    const second = play(7);
+    assert.ok(first.events.length > 10);
+    assert.deepEqual(second.events, first.events);
+  });
+
+  it('leaves no timers behind after disconnect()', () => {
+    assert.equal(play(7).pending, 0);
+  });
+
+  it('plays the scripted events at their times', () => {
+    const { events } = play(7);
+    const messages = events.filter(e => e.event === 'onMessage').map(e => ({ at: e.at, ...JSON.parse(e.payload) }));
+    const kick = messages.find(m => m.type === 'kick');
+    assert.equal(kick.kicked, 'spambot');
+    assert.equal(kick.at, 6000);   // 1s to connect, then `at: 5`
+    const greeting = messages.find(m => m.type === 'privmsg' && m.from === 'bob' && m.text === 'hi tester');
+    assert.equal(greeting.at, 9000);
+    assert.ok(events.some(e => e.event === 'onNick' && JSON.parse(e.payload).newNick === 'robert'));
+  });
+
+  it('takes a different course with another seed', () => {
+    assert.notDeepEqual(play(8).events, play(7).events);
+  });
+});
+
+describe('parseScenario', () => {
+  it('reads JSON and YAML into the same scenario', () => {
+    const json = parseScenario(JSON.stringify({ timeline: [{ at: 1, type: 'join', channel: '#a', nick: 'x' }] }), 'lab.json');
+    const yaml = parseScenario('timeline:\n  - { at: 1, type: join, channel: "#a", nick: x }\n', 'lab.yaml');
+    assert.deepEqual(yaml, json);
+  });
+
+  it('fills in spam defaults and sorts the timeline by time, stably', () => {
+    const scenario = normalizeScenario({
+      timeline: [
+        { at: 5, type: 'quit', nick: 'b' },
+        { at: 1, type: 'spam', channel: '#a' },
+        { at: 5, type: 'quit', nick: 'c' }
+      ]
+    });
+    assert.deepEqual(scenario.timeline.map(e => e.nick || e.type), ['spam', 'b', 'c']);
+    assert.deepEqual(scenario.timeline[0].from, ['spambot']);
+    assert.equal(scenario.timeline[0].count, 5);
+  });
+
+  it('reports unreadable files with the filename', () => {
+    assert.throws(() => parseScenario('{ not json', 'broken.json'), /Could not read scenario broken\.json/);
+  });
+
+  it('rejects scenarios that are not objects or have bad sections', () => {
+    assert.throws(() => normalizeScenario([]), /Scenario must be an object/);
+    assert.throws(() => normalizeScenario({ timeline: {} }), /Scenario timeline must be a list/);
+    assert.throws(() => normalizeScenario({ channels: [{ topic: 'x' }] }), /Scenario channels\[0\]: missing name/);
+  });
+
+  it('rejects bad timeline events with their position', () => {
+    const check = (event, pattern) => {
+      assert.throws(() => normalizeScenario({ timeline: [{ at: 1, type: 'quit', nick: 'ok' }, event] }), pattern);
+    };
+    check('join', /timeline\[1\]: expected an object/);
+    check({ at: 1, type: 'dance' }, /timeline\[1\]: unknown type "dance" \(expected one of message, /);
+    check({ type: 'quit', nick: 'x' }, /timeline\[1\]: "at" must be a number/);
+    check({ at: -1, type: 'quit', nick: 'x' }, /timeline\[1\]: "at" must be a number/);
+    check({ at: 1, type: 'kick', channel: '#a', nick: '' }, /timeline\[1\]: kick needs nick, by/);
+  });
+});
+
+describe('createReplayScenario', () => {
+  const at = seconds => new Date(START + seconds * 1000);
+  const log = [
+    { type: 'privmsg', target: '#log', from: 'alice', text: 'first', time: at(0) },
+    { type: 'join', target: '#log', from: 'bob', text: '', time: at(5) },
+    { type: 'privmsg', target: '#log', from: 'bob', text: 'after an hour', time: at(3605) },
+    { type: 'kick', target: '#log', from: 'alice', kicked: 'bob', text: 'bye', time: at(3606) }
+  ];
+
+  it('starts with whoever speaks before joining, and caps long silences', () => {
+    const scenario = createReplayScenario(log, { maxGap: 10 });
+    assert.deepEqual(scenario.autojoin, ['#log']);
+    assert.deepEqual(scenario.channels[0].users.map(u => u.nick), ['alice']);
+    assert.deepEqual(scenario.timeline.map(e => [e.type, e.at]), [['message', 2], ['join', 7], ['message', 17], ['kick', 18]]);
+    assert.equal(scenario.timeline[3].nick, 'bob');
+  });
+
+  it('speeds up the replay', () => {
+    const scenario = createReplayScenario(log, { speed: 2, maxGap: 10 });
+    assert.deepEqual(scenario.timeline.map(e => e.at), [2, 4.5, 9.5, 10]);
+  });
+});
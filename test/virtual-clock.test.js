@@ -0,0 +1,105 @@
+/**
+ * VirtualClock: timers run in due order, ties by creation, intervals repeat,
+ * and timers started by timers run if they come due in the same advance().
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import VirtualClock from '../src/lib/virtual-clock.js';
+
+const START = Date.UTC(2024, 0, 1);
+
+describe('VirtualClock', () => {
+  it('only moves when advanced', () => {
+    const clock = new VirtualClock(START);
+    assert.equal(clock.now(), START);
+    clock.advance(1500);
+    assert.equal(clock.now(), START + 1500);
+  });
+
+  it('runs timers by due time, then by creation on ties, each at its own time', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    const record = name => () => runs.push([name, clock.now() - START]);
+    clock.setTimeout(record('c'), 300);
+    clock.setTimeout(record('a'), 100);
+    clock.setTimeout(record('b1'), 200);
+    clock.setTimeout(record('b2'), 200);
+
+    clock.advance(250);
+    assert.deepEqual(runs, [['a', 100], ['b1', 200], ['b2', 200]]);
+    assert.equal(clock.now(), START + 250);
+    assert.equal(clock.pending(), 1);
+
+    clock.advance(50);
+    assert.deepEqual(runs.at(-1), ['c', 300]);
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('repeats intervals until cleared', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    const id = clock.setInterval(() => runs.push(clock.now() - START), 100);
+
+    clock.advance(350);
+    assert.deepEqual(runs, [100, 200, 300]);
+    clock.clearInterval(id);
+    clock.advance(1000);
+    assert.deepEqual(runs, [100, 200, 300]);
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('interleaves intervals and timeouts due at the same time by creation', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    clock.setInterval(() => runs.push('tick'), 100);
+    clock.setTimeout(() => runs.push('once'), 200);
+
+    clock.advance(200);
+    // The interval was created first, so its 200ms run goes before the timeout
+    assert.deepEqual(runs, ['tick', 'tick', 'once']);
+  });
+
+  it('runs timers that timers start when they are due within the window', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    clock.setTimeout(() => {
+      runs.push(['outer', clock.now() - START]);
+      clock.setTimeout(() => runs.push(['inner', clock.now() - START]), 50);
+      clock.setTimeout(() => runs.push(['late', clock.now() - START]), 500);
+    }, 100);
+
+    clock.advance(200);
+    assert.deepEqual(runs, [['outer', 100], ['inner', 150]]);
+    assert.equal(clock.pending(), 1);
+  });
+
+  it('runs a zero-delay timer started inside a timer before later ones', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    clock.setTimeout(() => {
+      runs.push('first');
+      clock.setTimeout(() => runs.push('nested'), 0);
+    }, 100);
+    clock.setTimeout(() => runs.push('second'), 100);
+
+    clock.advance(100);
+    // Same due time: the nested timer is newer, so it runs after `second`
+    assert.deepEqual(runs, ['first', 'second', 'nested']);
+  });
+
+  it('cancels timeouts, including from inside another timer', () => {
+    const clock = new VirtualClock(START);
+    const runs = [];
+    const later = clock.setTimeout(() => runs.push('later'), 200);
+    clock.setTimeout(() => {
+      runs.push('canceller');
+      clock.clearTimeout(later);
+    }, 100);
+
+    clock.advance(500);
+    assert.deepEqual(runs, ['canceller']);
+  });
+});